@@ -4,6 +4,9 @@ import session from "express-session";
 import pg from "pg";
 import connectPgSimple from "connect-pg-simple";
 import { createServer } from "http";
+import crypto from "crypto";
+import { promisify } from "util";
+import { pathToFileURL } from "url";
 import { Server } from "socket.io";
 
 const app = express();
@@ -11,6 +14,21 @@ const server = createServer(app);
 const io = new Server(server);
 const PORT = process.env.PORT || 3000;
 
+// Only `node server.mjs` connects and listens; tests import the module for its helpers
+const isMainModule = process.argv[1] !== undefined && import.meta.url === pathToFileURL(process.argv[1]).href;
+
+// Comma-separated user IDs allowed to see the cross-room "all rooms" board
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || "")
+  .split(",")
+  .map(id => parseInt(id.trim()))
+  .filter(id => !isNaN(id));
+
+// Minimum gap between two drinks from the same user, to catch double-taps (0 disables)
+const MIN_ENTRY_INTERVAL_SECONDS = Math.max(0, parseInt(process.env.MIN_ENTRY_INTERVAL_SECONDS ?? "10") || 0);
+
+// Flappy Bird daily challenge attempts per player per day (0 means unlimited)
+const FLAPPY_DAILY_ATTEMPTS = Math.max(0, parseInt(process.env.FLAPPY_DAILY_ATTEMPTS ?? "5") || 0);
+
 // PostgreSQL connection
 const pool = new pg.Pool({
   connectionString: process.env.DATABASE_URL || "postgresql://localhost:5432/beertally",
@@ -69,6 +87,191 @@ async function initializeDatabase() {
       )
     `);
     
+    // Create room_messages table (chat history for /room/:roomCode)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS room_messages (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        message TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create room_participants table (membership history; users.room_id is just the room in focus)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS room_participants (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE(room_id, user_id)
+      )
+    `);
+    
+    // Create user_sessions table (extra sessions signed in to an existing user)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        session_id VARCHAR(255) PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create hydration_entries table (water and food logged alongside drinks)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hydration_entries (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        room_id INTEGER,
+        kind VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create room_teams table (teams within a room; members pick or are assigned one)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS room_teams (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        UNIQUE(room_id, name)
+      )
+    `);
+    
+    // Create beer_entry_edits table (audit trail of undos, deletions and edits, shown to the room)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS beer_entry_edits (
+        id SERIAL PRIMARY KEY,
+        entry_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        room_id INTEGER,
+        action VARCHAR(10) NOT NULL,
+        before JSONB NOT NULL,
+        after JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create user_achievements table (badges earned per user and room; per-night badges also by night)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        room_id INTEGER NOT NULL,
+        badge VARCHAR(40) NOT NULL,
+        night DATE DEFAULT NULL,
+        awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create flappy_runs table (server-issued seeds; each run's token can submit one score)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS flappy_runs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        token VARCHAR(64) UNIQUE NOT NULL,
+        seed BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        submitted_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create flappy_daily_courses table (one seed per day, shared by every player's daily challenge)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS flappy_daily_courses (
+        day DATE PRIMARY KEY,
+        seed BIGINT NOT NULL
+      )
+    `);
+    
+    // Create flappy_races table (live races on one shared course; status is lobby, racing,
+    // finished or cancelled)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS flappy_races (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        created_by INTEGER NOT NULL,
+        seed BIGINT NOT NULL,
+        status VARCHAR(20) DEFAULT 'lobby' NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create flappy_race_entries table (each racer's run, result and finishing position)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS flappy_race_entries (
+        race_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        run_id INTEGER,
+        score INTEGER,
+        ticks INTEGER,
+        finished_at TIMESTAMP,
+        position INTEGER,
+        PRIMARY KEY (race_id, user_id),
+        FOREIGN KEY (race_id) REFERENCES flappy_races(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (run_id) REFERENCES flappy_runs(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create flappy_tournaments table (timed Flappy Bird tournaments within a room)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS flappy_tournaments (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        created_by INTEGER NOT NULL,
+        max_attempts INTEGER NOT NULL,
+        starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMP NOT NULL,
+        finished_at TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create challenges table (head-to-head challenges between two room members)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS challenges (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        challenger_id INTEGER NOT NULL,
+        opponent_id INTEGER NOT NULL,
+        kind VARCHAR(20) NOT NULL,
+        target INTEGER,
+        duration_minutes INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+        winner_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        resolved_at TIMESTAMP,
+        FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (challenger_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (opponent_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (winner_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    
     // Add missing columns first (migrations for existing users)
     try {
       await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS room_id INTEGER DEFAULT NULL`);
@@ -84,6 +287,161 @@ async function initializeDatabase() {
       console.log("user_type column already exists or error adding it:", error.message);
     }
     
+    // Optional event start/end times for a room's "this event" leaderboard
+    try {
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP DEFAULT NULL`);
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS ends_at TIMESTAMP DEFAULT NULL`);
+      console.log("Added event time columns to rooms table");
+    } catch (error) {
+      console.log("event time columns already exist or error adding them:", error.message);
+    }
+    
+    // Optional IANA time zone for a room's "tonight" window; NULL means the server's time zone
+    try {
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT NULL`);
+      console.log("Added timezone column to rooms table");
+    } catch (error) {
+      console.log("timezone column already exists or error adding it:", error.message);
+    }
+    
+    // Opt-in safety settings: "water between beers" and a pace alert of N drinks within M minutes
+    try {
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS hydration_mode BOOLEAN DEFAULT false NOT NULL`);
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS pace_alert_drinks INTEGER DEFAULT NULL`);
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS pace_alert_minutes INTEGER DEFAULT 60 NOT NULL`);
+      console.log("Added safety columns to rooms table");
+    } catch (error) {
+      console.log("safety columns already exist or error adding them:", error.message);
+    }
+    
+    // Team membership, and whether members may pick their own team
+    try {
+      await pool.query(`ALTER TABLE room_participants ADD COLUMN IF NOT EXISTS team_id INTEGER DEFAULT NULL REFERENCES room_teams(id) ON DELETE SET NULL`);
+      await pool.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS teams_self_select BOOLEAN DEFAULT true NOT NULL`);
+      console.log("Added team columns");
+    } catch (error) {
+      console.log("team columns already exist or error adding them:", error.message);
+    }
+    
+    // Scores verified by replaying their run; older scores have no run and aren't ranked
+    try {
+      await pool.query(`ALTER TABLE flappy_bird_scores ADD COLUMN IF NOT EXISTS run_id INTEGER DEFAULT NULL REFERENCES flappy_runs(id) ON DELETE SET NULL`);
+      console.log("Added run_id column to flappy_bird_scores table");
+    } catch (error) {
+      console.log("run_id column already exists or error adding it:", error.message);
+    }
+    
+    // Flappy runs and scores belong to the room the game was played in, and optionally a tournament
+    try {
+      for (const table of ["flappy_runs", "flappy_bird_scores"]) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS room_id INTEGER DEFAULT NULL REFERENCES rooms(id) ON DELETE SET NULL`);
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS tournament_id INTEGER DEFAULT NULL REFERENCES flappy_tournaments(id) ON DELETE SET NULL`);
+      }
+      console.log("Added room_id and tournament_id columns to Flappy tables");
+    } catch (error) {
+      console.log("Flappy room columns already exist or error adding them:", error.message);
+    }
+    
+    // Daily challenge runs and scores carry the day of the course they were played on
+    try {
+      for (const table of ["flappy_runs", "flappy_bird_scores"]) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS daily_date DATE DEFAULT NULL`);
+      }
+      console.log("Added daily_date columns to Flappy tables");
+    } catch (error) {
+      console.log("daily_date columns already exist or error adding them:", error.message);
+    }
+    
+    // Race runs and scores point at the race they were played in
+    try {
+      for (const table of ["flappy_runs", "flappy_bird_scores"]) {
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS race_id INTEGER DEFAULT NULL REFERENCES flappy_races(id) ON DELETE SET NULL`);
+      }
+      console.log("Added race_id columns to Flappy tables");
+    } catch (error) {
+      console.log("race_id columns already exist or error adding them:", error.message);
+    }
+    
+    // Co-admins: room_participants.role is 'member' or 'admin' (the owner is rooms.creator_id)
+    try {
+      await pool.query(`ALTER TABLE room_participants ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'member' NOT NULL`);
+      console.log("Added role column to room_participants table");
+    } catch (error) {
+      console.log("role column already exists or error adding it:", error.message);
+    }
+    
+    // Removed members keep their row, marked as kicked, so the room code doesn't let them back in
+    try {
+      await pool.query(`ALTER TABLE room_participants ADD COLUMN IF NOT EXISTS kicked_at TIMESTAMP DEFAULT NULL`);
+      console.log("Added kicked_at column to room_participants table");
+    } catch (error) {
+      console.log("kicked_at column already exists or error adding it:", error.message);
+    }
+    
+    // Announcements (achievements and the like) are posted to the chat as system messages
+    try {
+      await pool.query(`ALTER TABLE room_messages ADD COLUMN IF NOT EXISTS is_system BOOLEAN DEFAULT false NOT NULL`);
+      console.log("Added is_system column to room_messages table");
+    } catch (error) {
+      console.log("is_system column already exists or error adding it:", error.message);
+    }
+    
+    // Stamp each beer entry with the room it was logged in
+    try {
+      await pool.query(`ALTER TABLE beer_entries ADD COLUMN IF NOT EXISTS room_id INTEGER DEFAULT NULL REFERENCES rooms(id) ON DELETE SET NULL`);
+      console.log("Added room_id column to beer_entries table");
+    } catch (error) {
+      console.log("beer_entries.room_id column already exists or error adding it:", error.message);
+    }
+    
+    // Durable account credentials so a user can sign back in from any session
+    try {
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS username VARCHAR(30) UNIQUE`);
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS passcode_hash VARCHAR(255)`);
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS recovery_code_hash VARCHAR(255)`);
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS login_failures INTEGER DEFAULT 0 NOT NULL`);
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS login_locked_until TIMESTAMP`);
+      console.log("Added account columns to users table");
+    } catch (error) {
+      console.log("account columns already exist or error adding them:", error.message);
+    }
+    
+    // Client-generated key so a re-submitted +1 is only counted once
+    try {
+      await pool.query(`ALTER TABLE beer_entries ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(64) DEFAULT NULL`);
+      console.log("Added idempotency_key column to beer_entries table");
+    } catch (error) {
+      console.log("idempotency_key column already exists or error adding it:", error.message);
+    }
+    
+    // Opt-in body details for the BAC estimate
+    try {
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS weight_kg NUMERIC(5,1) DEFAULT NULL`);
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS sex VARCHAR(10) DEFAULT NULL`);
+      console.log("Added BAC profile columns to users table");
+    } catch (error) {
+      console.log("BAC profile columns already exist or error adding them:", error.message);
+    }
+    
+    // Drink details on beer entries; existing rows become a standard can of beer
+    try {
+      await pool.query(`ALTER TABLE beer_entries ADD COLUMN IF NOT EXISTS drink_type VARCHAR(30) DEFAULT 'beer' NOT NULL`);
+      await pool.query(`ALTER TABLE beer_entries ADD COLUMN IF NOT EXISTS volume_ml INTEGER DEFAULT 355 NOT NULL`);
+      await pool.query(`ALTER TABLE beer_entries ADD COLUMN IF NOT EXISTS abv NUMERIC(4,1) DEFAULT 5.0 NOT NULL`);
+      console.log("Added drink columns to beer_entries table");
+    } catch (error) {
+      console.log("drink columns already exist or error adding them:", error.message);
+    }
+    
+    // Per-night badges can be earned again each night, so uniqueness moves to an index that includes it
+    try {
+      await pool.query(`ALTER TABLE user_achievements ADD COLUMN IF NOT EXISTS night DATE DEFAULT NULL`);
+      await pool.query(`ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_user_id_room_id_badge_key`);
+      console.log("Added night column to user_achievements table");
+    } catch (error) {
+      console.log("user_achievements.night column already exists or error adding it:", error.message);
+    }
+    
     // Create indexes (after columns exist)
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_beer_entries_user_id ON beer_entries(user_id)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_beer_entries_created_at ON beer_entries(created_at)`);
@@ -92,10 +450,27 @@ async function initializeDatabase() {
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_bird_scores_score ON flappy_bird_scores(score DESC)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_rooms_room_code ON rooms(room_code)`);
     await pool.query(`CREATE INDEX IF NOT EXISTS idx_users_room_id ON users(room_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_room_messages_room_id ON room_messages(room_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_room_participants_room_id ON room_participants(room_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_room_participants_user_id ON room_participants(user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_beer_entries_room_id ON beer_entries(room_id)`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_beer_entries_idempotency_key ON beer_entries(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_hydration_entries_user_id ON hydration_entries(user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_beer_entry_edits_room_id ON beer_entry_edits(room_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_user_achievements_room_id ON user_achievements(room_id)`);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_user_achievements_badge ON user_achievements(user_id, room_id, badge, COALESCE(night, '1970-01-01'))`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_challenges_room_id_status ON challenges(room_id, status)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_bird_scores_room_id ON flappy_bird_scores(room_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_runs_tournament_id ON flappy_runs(tournament_id, user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_runs_daily_date ON flappy_runs(daily_date, user_id)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_bird_scores_daily_date ON flappy_bird_scores(daily_date)`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_flappy_races_room_id ON flappy_races(room_id, status)`);
     console.log("Created database indexes");
     
     // Create default room and migrate existing users
     await createDefaultRoomAndMigrate();
+    await migrateRoomMemberships();
     
     dbConnected = true;
     console.log("Database initialized successfully");
@@ -147,1838 +522,7349 @@ async function createDefaultRoomAndMigrate() {
   }
 }
 
+// Backfill memberships and entry rooms from the old single users.room_id column.
+// Entries logged before rooms were stamped are attributed to the user's current room.
+async function migrateRoomMemberships() {
+  try {
+    const memberships = await pool.query(`
+      INSERT INTO room_participants (room_id, user_id)
+      SELECT room_id, id FROM users WHERE room_id IS NOT NULL
+      ON CONFLICT (room_id, user_id) DO NOTHING
+    `);
+    const entries = await pool.query(`
+      UPDATE beer_entries be SET room_id = u.room_id
+      FROM users u
+      WHERE be.user_id = u.id AND be.room_id IS NULL AND u.room_id IS NOT NULL
+    `);
+    console.log(`Backfilled ${memberships.rowCount} room memberships and ${entries.rowCount} beer entry rooms`);
+  } catch (error) {
+    console.error("Error in membership migration:", error);
+  }
+}
+
 // Initialize database on startup (non-blocking)
-initializeDatabase();
+if (isMainModule) {
+  initializeDatabase();
+}
 
 // Session store using PostgreSQL
 const PgSession = connectPgSimple(session);
 
-app.use(
-  session({
-    store: new PgSession({
-      pool: pool,
-      tableName: "session",
-      createTableIfMissing: true
-    }),
-    secret: process.env.SESSION_SECRET || "REPLACE-THIS-WITH-RANDOM-STRING",
-    resave: false,
-    saveUninitialized: true,
-    cookie: { maxAge: 30 * 24 * 60 * 60 * 1000 } // 30 days
-  })
-);
+const sessionMiddleware = session({
+  store: new PgSession({
+    pool: pool,
+    tableName: "session",
+    createTableIfMissing: true
+  }),
+  secret: process.env.SESSION_SECRET || "REPLACE-THIS-WITH-RANDOM-STRING",
+  resave: false,
+  saveUninitialized: true,
+  cookie: { maxAge: 30 * 24 * 60 * 60 * 1000 } // 30 days
+});
+
+app.use(sessionMiddleware);
+
+// Share the express session with Socket.IO so sockets are tied to a real user
+io.engine.use(sessionMiddleware);
 
 // Middleware
+// CSV imports are much bigger than any other form, so their routes parse bodies with a higher
+// limit first (the default parsers then skip the already-read body)
+const IMPORT_BODY_LIMIT = "1mb";
+const importRoutes = ["/room/:roomCode/import", "/api/v1/rooms/:roomCode/import"];
+app.use(importRoutes, express.urlencoded({ extended: false, limit: IMPORT_BODY_LIMIT }), express.json({ limit: IMPORT_BODY_LIMIT }));
+app.use(importRoutes, (error, req, res, next) => {
+  if (error.type !== "entity.too.large") return next(error);
+  const message = `That CSV is too big to import in one go (the limit is ${IMPORT_BODY_LIMIT}). Split it into smaller files.`;
+  if (req.originalUrl.startsWith("/api/")) {
+    return res.status(413).json({ error: message });
+  }
+  req.session.error = message;
+  res.redirect(`/room/${encodeURIComponent(req.params.roomCode)}/import`);
+});
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
 // Helper functions
+// Finds the user for a session: either the session that created them or one signed in later
 async function getOrCreateUser(sessionId) {
-  const result = await pool.query(
-    "SELECT id, name, user_type, room_id FROM users WHERE session_id = $1",
-    [sessionId]
-  );
+  const result = await pool.query(`
+    SELECT id, name, user_type, room_id, username, weight_kg, sex FROM users
+    WHERE session_id = $1
+       OR id = (SELECT user_id FROM user_sessions WHERE session_id = $1)
+    ORDER BY (session_id = $1) ASC
+    LIMIT 1
+  `, [sessionId]);
   return result.rows[0] || null;
 }
 
-async function getBeerCount(userId) {
+const USER_TYPES = ["participant", "observer"];
+
+// Creates the session's user or updates its name and type
+async function saveUserProfile(sessionId, name, userType = "participant") {
+  const existing = await getOrCreateUser(sessionId);
+  
+  if (!existing) {
+    const result = await pool.query(
+      "INSERT INTO users (session_id, name, user_type) VALUES ($1, $2, $3) RETURNING *",
+      [sessionId, name, userType]
+    );
+    return result.rows[0];
+  }
+  
+  // By id, since a session linked through user_sessions isn't the user's own session_id
   const result = await pool.query(
-    "SELECT COUNT(*) as count FROM beer_entries WHERE user_id = $1",
-    [userId]
+    "UPDATE users SET name = $1, user_type = $2 WHERE id = $3 RETURNING *",
+    [name, userType, existing.id]
   );
-  return parseInt(result.rows[0].count);
+  return result.rows[0];
 }
 
-async function getLeaderboard(roomId = null) {
-  let whereClause = "";
-  let params = [];
-  
-  if (roomId) {
-    whereClause = "WHERE u.room_id = $1 AND";
-    params = [roomId];
-  } else {
-    whereClause = "WHERE";
+// Account helper functions
+const scrypt = promisify(crypto.scrypt);
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,30}$/;
+const PASSCODE_MIN_LENGTH = 4;
+// Wrong passcodes or recovery codes allowed per account before it's locked for a while
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const RECOVERY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+async function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(secret, salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+}
+
+async function verifySecret(secret, stored) {
+  if (!stored) return false;
+  const [salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(secret, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+// Recovery codes look like ABCD-EFGH-JKLM-NPQR; dashes and case are ignored when checking
+function generateRecoveryCode() {
+  let code = '';
+  for (let i = 0; i < 16; i++) {
+    if (i > 0 && i % 4 === 0) code += '-';
+    code += RECOVERY_CODE_CHARS.charAt(crypto.randomInt(RECOVERY_CODE_CHARS.length));
   }
-  
-  const participants = await pool.query(`
-    SELECT u.name, COUNT(be.id) as count
-    FROM users u
-    LEFT JOIN beer_entries be ON u.id = be.user_id
-    ${whereClause} u.user_type = 'participant'
-    GROUP BY u.id, u.name
-    ORDER BY count DESC
-  `, params);
-  
-  const observers = await pool.query(`
-    SELECT u.name, COUNT(be.id) as count
-    FROM users u
-    LEFT JOIN beer_entries be ON u.id = be.user_id
-    ${whereClause} u.user_type = 'observer'
-    GROUP BY u.id, u.name
-    ORDER BY count DESC
-  `, params);
-  
-  return {
-    participants: participants.rows,
-    observers: observers.rows
-  };
+  return code;
 }
 
-async function getTotalBeerCount(roomId = null) {
-  let whereClause = "";
-  let params = [];
+function normalizeRecoveryCode(code) {
+  return String(code || "").replace(/[^a-z0-9]/gi, "").toUpperCase();
+}
+
+// Gives an existing user a username and passcode, returning a fresh recovery code
+async function claimAccount(userId, username, passcode) {
+  const normalized = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(normalized)) {
+    throw new Error("Username must be 3-30 letters, numbers, dots, dashes or underscores.");
+  }
+  if (typeof passcode !== "string" || passcode.length < PASSCODE_MIN_LENGTH) {
+    throw new Error(`Passcode must be at least ${PASSCODE_MIN_LENGTH} characters.`);
+  }
   
-  if (roomId) {
-    whereClause = "WHERE u.room_id = $1 AND";
-    params = [roomId];
-  } else {
-    whereClause = "WHERE";
+  const taken = await pool.query("SELECT id FROM users WHERE username = $1 AND id <> $2", [normalized, userId]);
+  if (taken.rows.length > 0) {
+    throw new Error("That username is already taken.");
   }
   
+  const recoveryCode = generateRecoveryCode();
+  try {
+    await pool.query(
+      "UPDATE users SET username = $1, passcode_hash = $2, recovery_code_hash = $3 WHERE id = $4",
+      [normalized, await hashSecret(passcode), await hashSecret(normalizeRecoveryCode(recoveryCode)), userId]
+    );
+  } catch (error) {
+    // Lost a race for the same username
+    if (error.code === "23505") throw new Error("That username is already taken.");
+    throw error;
+  }
+  return recoveryCode;
+}
+
+// Counts a login or recovery attempt against the account before the secret is checked, so
+// parallel guesses can't slip past the limit; a correct one clears the count again. Returns
+// null for an unknown username and throws while the account is locked.
+async function claimLoginAttempt(username) {
+  const normalized = normalizeUsername(username);
   const result = await pool.query(`
-    SELECT COUNT(*) as total 
-    FROM beer_entries be
-    JOIN users u ON be.user_id = u.id
-    ${whereClause} u.user_type = 'participant'
-  `, params);
-  return parseInt(result.rows[0].total);
+    UPDATE users SET
+      login_failures = CASE WHEN login_locked_until IS NULL THEN login_failures + 1 ELSE 1 END,
+      login_locked_until = CASE
+        WHEN (CASE WHEN login_locked_until IS NULL THEN login_failures + 1 ELSE 1 END) >= $2
+        THEN LOCALTIMESTAMP + make_interval(mins => $3)
+      END
+    WHERE username = $1 AND (login_locked_until IS NULL OR login_locked_until <= LOCALTIMESTAMP)
+    RETURNING id, passcode_hash, recovery_code_hash
+  `, [normalized, LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES]);
+  if (result.rows[0]) return result.rows[0];
+  
+  const existing = await pool.query("SELECT 1 FROM users WHERE username = $1", [normalized]);
+  if (existing.rows.length > 0) {
+    throw new Error(`Too many failed attempts. Try again in ${LOGIN_LOCKOUT_MINUTES} minutes.`);
+  }
+  return null;
 }
 
-// Room helper functions
-function generateRoomCode() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < 6; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+async function clearLoginFailures(userId) {
+  await pool.query("UPDATE users SET login_failures = 0, login_locked_until = NULL WHERE id = $1", [userId]);
+}
+
+// Returns the user if the username/passcode pair is valid, otherwise null
+async function authenticateUser(username, passcode) {
+  const user = await claimLoginAttempt(username);
+  if (!user || typeof passcode !== "string" || !(await verifySecret(passcode, user.passcode_hash))) {
+    return null;
   }
-  return result;
+  await clearLoginFailures(user.id);
+  return user;
 }
 
-async function createRoom(userId, roomName) {
-  let roomCode;
-  let attempts = 0;
-  
-  // Generate unique room code
-  do {
-    roomCode = generateRoomCode();
-    attempts++;
-    if (attempts > 10) throw new Error("Failed to generate unique room code");
-  } while (await pool.query("SELECT id FROM rooms WHERE room_code = $1", [roomCode]).then(r => r.rows.length > 0));
+// Checks a recovery code, then sets a new passcode and rotates the code (each code works once)
+async function recoverAccount(username, recoveryCode, newPasscode) {
+  const user = await claimLoginAttempt(username);
+  if (!user || !(await verifySecret(normalizeRecoveryCode(recoveryCode), user.recovery_code_hash))) {
+    throw new Error("Username or recovery code is incorrect.");
+  }
+  await clearLoginFailures(user.id);
+  if (typeof newPasscode !== "string" || newPasscode.length < PASSCODE_MIN_LENGTH) {
+    throw new Error(`Passcode must be at least ${PASSCODE_MIN_LENGTH} characters.`);
+  }
   
-  const result = await pool.query(
-    "INSERT INTO rooms (room_code, name, creator_id) VALUES ($1, $2, $3) RETURNING *",
-    [roomCode, roomName, userId]
+  const nextRecoveryCode = generateRecoveryCode();
+  await pool.query(
+    "UPDATE users SET passcode_hash = $1, recovery_code_hash = $2 WHERE id = $3",
+    [await hashSecret(newPasscode), await hashSecret(normalizeRecoveryCode(nextRecoveryCode)), user.id]
   );
-  
-  return result.rows[0];
+  return { user, recoveryCode: nextRecoveryCode };
 }
 
-async function joinRoom(userId, roomCode) {
-  const roomResult = await pool.query(
-    "SELECT * FROM rooms WHERE room_code = $1 AND is_active = true",
-    [roomCode.toUpperCase()]
+// Starts a fresh session (avoids fixation) and links it to the user
+async function signInSession(req, userId) {
+  await new Promise((resolve, reject) => {
+    req.session.regenerate(error => error ? reject(error) : resolve());
+  });
+  await pool.query(
+    "INSERT INTO user_sessions (session_id, user_id) VALUES ($1, $2) ON CONFLICT (session_id) DO UPDATE SET user_id = $2",
+    [req.session.id, userId]
   );
+  // Persist now so the session row exists before the redirect lands
+  await new Promise((resolve, reject) => {
+    req.session.save(error => error ? reject(error) : resolve());
+  });
+}
+
+async function getBeerCount(userId, roomId = null) {
+  const result = roomId
+    ? await pool.query(
+      "SELECT COUNT(*) as count FROM beer_entries WHERE user_id = $1 AND room_id = $2",
+      [userId, roomId]
+    )
+    : await pool.query(
+      "SELECT COUNT(*) as count FROM beer_entries WHERE user_id = $1",
+      [userId]
+    );
+  return parseInt(result.rows[0].count);
+}
+
+// Drink presets offered next to the +1 button
+const DRINK_PRESETS = {
+  can: { label: "Can / bottle 🍺", drink_type: "beer", volume_ml: 355, abv: 5.0 },
+  pint: { label: "Pint 🍺", drink_type: "beer", volume_ml: 568, abv: 5.0 },
+  light: { label: "Light beer 🥤", drink_type: "light_beer", volume_ml: 355, abv: 4.2 },
+  stout: { label: "Pint of stout 🖤", drink_type: "stout", volume_ml: 568, abv: 4.2 },
+  ipa: { label: "Pint of IPA 🍻", drink_type: "ipa", volume_ml: 568, abv: 6.5 },
+  wine: { label: "Glass of wine 🍷", drink_type: "wine", volume_ml: 150, abv: 12.0 },
+  shot: { label: "Shot 🥃", drink_type: "shot", volume_ml: 44, abv: 40.0 },
+  cocktail: { label: "Cocktail 🍸", drink_type: "cocktail", volume_ml: 120, abv: 15.0 }
+};
+const DEFAULT_DRINK_PRESET = "can";
+
+// One US standard drink is 14g of pure alcohol; ethanol weighs 0.789 g/ml
+const STANDARD_DRINK_GRAMS = 14;
+const ETHANOL_DENSITY = 0.789;
+
+const LEADERBOARD_COLUMNS = `
+  COUNT(be.id) as count,
+  COALESCE(ROUND(SUM(be.volume_ml * be.abv / 100 * ${ETHANOL_DENSITY})::numeric, 1), 0) as grams,
+  COALESCE(ROUND(SUM(be.volume_ml * be.abv / 100 * ${ETHANOL_DENSITY} / ${STANDARD_DRINK_GRAMS})::numeric, 1), 0) as standard_drinks
+`;
+
+const LEADERBOARD_RANKINGS = {
+  count: "count",
+  standard: "standard_drinks",
+  grams: "grams"
+};
+
+// Picks drink details from a preset name or explicit volume/abv, falling back to the default preset
+function resolveDrink({ preset, drink_type, volume_ml, abv } = {}) {
+  if (preset && DRINK_PRESETS[preset]) {
+    const { drink_type, volume_ml, abv } = DRINK_PRESETS[preset];
+    return { drink_type, volume_ml, abv };
+  }
   
-  if (roomResult.rows.length === 0) {
-    throw new Error("Room not found");
+  const volume = Number(volume_ml);
+  const strength = Number(abv);
+  if (volume_ml !== undefined && abv !== undefined) {
+    if (!Number.isFinite(volume) || volume <= 0 || volume > 2000) {
+      throw new Error("Invalid drink volume");
+    }
+    if (!Number.isFinite(strength) || strength < 0 || strength > 100) {
+      throw new Error("Invalid drink ABV");
+    }
+    return {
+      drink_type: String(drink_type || "beer").trim().slice(0, 30) || "beer",
+      volume_ml: Math.round(volume),
+      abv: Math.round(strength * 10) / 10
+    };
   }
   
-  const room = roomResult.rows[0];
+  const { drink_type: type, volume_ml: defaultVolume, abv: defaultAbv } = DRINK_PRESETS[DEFAULT_DRINK_PRESET];
+  return { drink_type: type, volume_ml: defaultVolume, abv: defaultAbv };
+}
+
+// Leaderboard time windows. "Tonight" starts at the most recent NIGHT_START_HOUR in the room's
+// time zone, or the database's when the room hasn't set one.
+const LEADERBOARD_WINDOWS = {
+  hour: "Last hour",
+  tonight: "Tonight",
+  event: "This event",
+  all: "All time"
+};
+const NIGHT_START_HOUR = 17;
+
+// Turns a window name into { from, to } bounds (either may be null).
+// Bounds come from the database clock so they match how created_at is stored.
+async function resolveTimeWindow(windowName, room = null) {
+  switch (windowName) {
+    case "hour": {
+      const result = await pool.query("SELECT LOCALTIMESTAMP - INTERVAL '1 hour' as from_time");
+      return { from: result.rows[0].from_time, to: null };
+    }
+    case "tonight": {
+      // Find the boundary on the room's wall clock, then convert it back to the database's local time
+      const result = await pool.query(`
+        WITH tz AS (SELECT COALESCE($2::text, current_setting('TimeZone')) as name)
+        SELECT ((date_trunc('day', (now() AT TIME ZONE tz.name) - make_interval(hours => $1))
+                 + make_interval(hours => $1)) AT TIME ZONE tz.name)::timestamp as from_time
+        FROM tz
+      `, [NIGHT_START_HOUR, room?.timezone ?? null]);
+      return { from: result.rows[0].from_time, to: null };
+    }
+    case "event":
+      return { from: room?.starts_at || null, to: room?.ends_at || null };
+    default:
+      return { from: null, to: null };
+  }
+}
+
+// Rooms with event times default to the event window, everything else to all time
+function defaultWindowName(room) {
+  return room && (room.starts_at || room.ends_at) ? "event" : "all";
+}
+
+// Appends created_at bounds for a time window, pushing its values onto params
+function timeWindowCondition(timeWindow, params) {
+  let condition = "";
+  if (timeWindow?.from) {
+    params.push(timeWindow.from);
+    condition += ` AND be.created_at >= $${params.length}`;
+  }
+  if (timeWindow?.to) {
+    params.push(timeWindow.to);
+    condition += ` AND be.created_at < $${params.length}`;
+  }
+  return condition;
+}
+
+async function getLeaderboard(roomId = null, rankBy = "count", timeWindow = null) {
+  const orderColumn = LEADERBOARD_RANKINGS[rankBy] || LEADERBOARD_RANKINGS.count;
+  let joinClause = "";
+  let params = [];
   
-  // Update user's room_id
-  await pool.query(
-    "UPDATE users SET room_id = $1 WHERE id = $2",
-    [room.id, userId]
-  );
+  // Everyone who was ever a member stays on the board, with only the beers logged in this room
+  if (roomId) {
+    params = [roomId];
+    joinClause = `
+      JOIN room_participants rp ON rp.user_id = u.id AND rp.room_id = $1
+      LEFT JOIN beer_entries be ON be.user_id = u.id AND be.room_id = $1${timeWindowCondition(timeWindow, params)}`;
+  } else {
+    joinClause = `LEFT JOIN beer_entries be ON u.id = be.user_id${timeWindowCondition(timeWindow, params)}`;
+  }
   
-  return room;
+  const participants = await pool.query(`
+    SELECT u.id, u.name, ${LEADERBOARD_COLUMNS}
+    FROM users u
+    ${joinClause}
+    WHERE u.user_type = 'participant'
+    GROUP BY u.id, u.name
+    ORDER BY ${orderColumn} DESC, count DESC
+  `, params);
+  
+  const observers = await pool.query(`
+    SELECT u.id, u.name, ${LEADERBOARD_COLUMNS}
+    FROM users u
+    ${joinClause}
+    WHERE u.user_type = 'observer'
+    GROUP BY u.id, u.name
+    ORDER BY ${orderColumn} DESC, count DESC
+  `, params);
+  
+  await attachDrinkingStats(participants.rows.concat(observers.rows));
+  if (roomId) await attachAchievements(participants.rows.concat(observers.rows), roomId);
+  
+  return {
+    participants: participants.rows,
+    observers: observers.rows,
+    teams: roomId ? await getTeamStandings(roomId, rankBy, timeWindow) : []
+  };
 }
 
-async function getUserRoom(userId) {
-  const result = await pool.query(`
-    SELECT r.* FROM rooms r
-    JOIN users u ON u.room_id = r.id
-    WHERE u.id = $1 AND r.is_active = true
-  `, [userId]);
+// Pace and BAC helper functions
+// Pace looks at the last PACE_WINDOW_HOURS; BAC replays the last BAC_LOOKBACK_HOURS of drinks.
+const PACE_WINDOW_HOURS = 12;
+const BAC_LOOKBACK_HOURS = 24;
+// Widmark body-water ratios and the typical elimination rate (% BAC per hour)
+const WIDMARK_R = { male: 0.68, female: 0.55 };
+const BAC_ELIMINATION_PER_HOUR = 0.015;
+const SEXES = Object.keys(WIDMARK_R);
+
+// Estimates BAC (%) from drinks sorted oldest first, each { grams, hours_ago }
+function estimateBac(drinks, weightKg, sex) {
+  const r = WIDMARK_R[sex];
+  if (!r || !weightKg) return null;
   
-  return result.rows[0] || null;
+  let bac = 0;
+  let previousHoursAgo = null;
+  for (const drink of drinks) {
+    if (previousHoursAgo !== null) {
+      bac = Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * (previousHoursAgo - drink.hours_ago));
+    }
+    bac += drink.grams / (r * weightKg * 1000) * 100;
+    previousHoursAgo = drink.hours_ago;
+  }
+  if (previousHoursAgo !== null) {
+    bac = Math.max(0, bac - BAC_ELIMINATION_PER_HOUR * previousHoursAgo);
+  }
+  return Math.round(bac * 1000) / 1000;
+}
+
+// Per-user pace, time since last drink and BAC estimate, counting drinks from every room
+async function getDrinkingStats(userIds) {
+  const stats = new Map();
+  if (userIds.length === 0) return stats;
+  
+  const [entries, profiles] = await Promise.all([
+    pool.query(`
+      SELECT user_id,
+        volume_ml * abv / 100 * ${ETHANOL_DENSITY} as grams,
+        EXTRACT(EPOCH FROM (LOCALTIMESTAMP - created_at)) / 3600 as hours_ago
+      FROM beer_entries
+      WHERE user_id = ANY($1) AND created_at >= LOCALTIMESTAMP - make_interval(hours => $2)
+      ORDER BY created_at ASC
+    `, [userIds, BAC_LOOKBACK_HOURS]),
+    pool.query("SELECT id, weight_kg, sex FROM users WHERE id = ANY($1)", [userIds])
+  ]);
+  
+  for (const profile of profiles.rows) {
+    const drinks = entries.rows
+      .filter(e => e.user_id === profile.id)
+      .map(e => ({ grams: parseFloat(e.grams), hours_ago: parseFloat(e.hours_ago) }));
+    const recent = drinks.filter(d => d.hours_ago <= PACE_WINDOW_HOURS);
+    const last = drinks[drinks.length - 1];
+    
+    // Drinks per hour since the first drink in the pace window (at least an hour, so one drink isn't "60/hr")
+    const pace = recent.length > 0
+      ? Math.round(recent.length / Math.max(1, recent[0].hours_ago) * 10) / 10
+      : null;
+    
+    stats.set(profile.id, {
+      pace,
+      minutes_since_last: last ? Math.round(last.hours_ago * 60) : null,
+      bac: estimateBac(drinks, parseFloat(profile.weight_kg), profile.sex)
+    });
+  }
+  return stats;
+}
+
+async function attachDrinkingStats(rows) {
+  const stats = await getDrinkingStats(rows.map(r => r.id));
+  for (const row of rows) {
+    Object.assign(row, stats.get(row.id) || { pace: null, minutes_since_last: null, bac: null });
+  }
 }
 
-async function saveFlappyBirdScore(userId, score) {
+async function saveBacProfile(userId, weightKg, sex) {
+  const clearing = (weightKg === undefined || weightKg === null || weightKg === "") && !sex;
+  if (clearing) {
+    await pool.query("UPDATE users SET weight_kg = NULL, sex = NULL WHERE id = $1", [userId]);
+    return;
+  }
+  
+  const weight = Number(weightKg);
+  if (!Number.isFinite(weight) || weight < 30 || weight > 300) {
+    throw new Error("Weight must be between 30 and 300 kg.");
+  }
+  if (!SEXES.includes(sex)) {
+    throw new Error(`Sex must be one of: ${SEXES.join(", ")}.`);
+  }
   await pool.query(
-    "INSERT INTO flappy_bird_scores (user_id, score) VALUES ($1, $2)",
-    [userId, score]
+    "UPDATE users SET weight_kg = $1, sex = $2 WHERE id = $3",
+    [Math.round(weight * 10) / 10, sex, userId]
   );
 }
 
-async function getFlappyBirdLeaderboard() {
+function formatPace(pace) {
+  return pace === null || pace === undefined ? "—" : `${pace}/hr`;
+}
+
+function formatBac(bac) {
+  return bac === null || bac === undefined ? "—" : `${bac.toFixed(3)}%`;
+}
+
+function formatMinutesAgo(minutes) {
+  if (minutes === null || minutes === undefined) return "—";
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+}
+
+async function getTotalBeerCount(roomId = null, timeWindow = null) {
+  let whereClause = "";
+  let params = [];
+  
+  if (roomId) {
+    whereClause = "WHERE be.room_id = $1 AND";
+    params = [roomId];
+  } else {
+    whereClause = "WHERE";
+  }
+  
   const result = await pool.query(`
-    SELECT u.name, MAX(fbs.score) as best_score, COUNT(fbs.id) as games_played
-    FROM users u
-    JOIN flappy_bird_scores fbs ON u.id = fbs.user_id
-    GROUP BY u.id, u.name
-    ORDER BY best_score DESC
-    LIMIT 10
-  `);
-  return result.rows;
+    SELECT COUNT(*) as total 
+    FROM beer_entries be
+    JOIN users u ON be.user_id = u.id
+    ${whereClause} u.user_type = 'participant'${timeWindowCondition(timeWindow, params)}
+  `, params);
+  return parseInt(result.rows[0].total);
 }
 
-async function getUserBestFlappyScore(userId) {
-  const result = await pool.query(
-    "SELECT MAX(score) as best_score FROM flappy_bird_scores WHERE user_id = $1",
-    [userId]
-  );
-  return result.rows[0]?.best_score || 0;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+function isValidIdempotencyKey(key) {
+  return typeof key === "string" && IDEMPOTENCY_KEY_PATTERN.test(key);
 }
 
-// HTML template
-const html = (body) => `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>🍻 Beer Tally</title>
-  <style>
-    * {
-      box-sizing: border-box;
-      margin: 0;
-      padding: 0;
-    }
-    
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
-      line-height: 1.6;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      min-height: 100vh;
-      color: #2d3748;
-    }
-    
-    .container {
-      max-width: 1200px;
-      margin: 0 auto;
-      padding: 1rem;
-    }
-    
-    .header {
-      text-align: center;
-      color: white;
-      margin-bottom: 2rem;
-    }
-    
-    .header h1 {
-      font-size: 3rem;
-      font-weight: 700;
-      margin-bottom: 0.5rem;
-      text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+// Drinks queued offline keep the time they were tapped, within this limit
+const OFFLINE_SYNC_MAX_HOURS = 48;
+
+function parseEntryTime(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error("created_at must be a valid date");
+  }
+  if (date.getTime() > Date.now() + 60 * 1000) {
+    throw new Error("created_at can't be in the future");
+  }
+  if (date.getTime() < Date.now() - OFFLINE_SYNC_MAX_HOURS * 3600 * 1000) {
+    throw new Error(`created_at can't be more than ${OFFLINE_SYNC_MAX_HOURS} hours ago`);
+  }
+  return date;
+}
+
+// Logs a drink in the user's current room, now or at createdAt. Returns { entry, duplicate, retryAfter }:
+// a reused idempotency key returns the original entry with duplicate set, and a drink within
+// MIN_ENTRY_INTERVAL_SECONDS of another one is rejected with entry null and retryAfter in seconds.
+async function addBeerEntry(user, drink, { idempotencyKey = null, createdAt = null } = {}) {
+  // The spacing check only sees committed drinks, so a user's inserts are serialized
+  const result = await withUserLock(USER_LOCKS.beerEntry, user.id, (client) => client.query(`
+    INSERT INTO beer_entries (user_id, room_id, drink_type, volume_ml, abv, idempotency_key, created_at)
+    SELECT $1, $2, $3, $4, $5, $6, COALESCE($8::timestamp, LOCALTIMESTAMP)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM beer_entries
+      WHERE user_id = $1
+        AND created_at > COALESCE($8::timestamp, LOCALTIMESTAMP) - make_interval(secs => $7)
+        AND created_at < COALESCE($8::timestamp, LOCALTIMESTAMP) + make_interval(secs => $7)
+    )
+    ON CONFLICT (user_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+    RETURNING *
+  `, [user.id, user.room_id, drink.drink_type, drink.volume_ml, drink.abv, idempotencyKey, MIN_ENTRY_INTERVAL_SECONDS, createdAt]));
+  
+  if (result.rows[0]) {
+    // The drink is already saved; a failing extra must not turn it into an error the client retries
+    try {
+      await awardAchievements(user, user.room_id, "drink", await getDrinkAchievementStats(result.rows[0]));
+      await resolveChallenges(user.room_id);
+    } catch (error) {
+      console.error("Error updating achievements and challenges after a drink:", error);
     }
-    
-    .header p {
-      font-size: 1.2rem;
-      opacity: 0.9;
+    try {
+      await broadcastLeaderboard(user.room_id);
+    } catch (error) {
+      console.error("Error broadcasting leaderboard after a drink:", error);
     }
-    
-    .main-content {
-      background: white;
-      border-radius: 16px;
-      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-      overflow: hidden;
+    return { entry: result.rows[0], duplicate: false, retryAfter: 0 };
+  }
+  
+  if (idempotencyKey) {
+    const existing = await pool.query(
+      "SELECT * FROM beer_entries WHERE user_id = $1 AND idempotency_key = $2",
+      [user.id, idempotencyKey]
+    );
+    if (existing.rows[0]) {
+      return { entry: existing.rows[0], duplicate: true, retryAfter: 0 };
     }
-    
-    .welcome-section {
-      padding: 3rem 2rem;
-      text-align: center;
+  }
+  
+  const latest = await pool.query(
+    "SELECT EXTRACT(EPOCH FROM (LOCALTIMESTAMP - MAX(created_at))) as seconds_ago FROM beer_entries WHERE user_id = $1",
+    [user.id]
+  );
+  const secondsAgo = parseFloat(latest.rows[0].seconds_ago) || 0;
+  return { entry: null, duplicate: false, retryAfter: Math.max(1, Math.ceil(MIN_ENTRY_INTERVAL_SECONDS - secondsAgo)) };
+}
+
+function tooSoonMessage(retryAfter) {
+  return `Easy there! You just logged a drink. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"} if this really is another one.`;
+}
+
+// Deletes the user's most recent entry in their current room, returning it (or null if they had none)
+async function removeLatestBeerEntry(user) {
+  const entry = await withEntryEdit(async (client) => {
+    const result = await client.query(
+      "DELETE FROM beer_entries WHERE id = (SELECT id FROM beer_entries WHERE user_id = $1 AND room_id = $2 ORDER BY created_at DESC LIMIT 1) RETURNING *",
+      [user.id, user.room_id]
+    );
+    if (result.rows[0]) await recordEntryEdit(client, "undo", result.rows[0]);
+    return result.rows[0] || null;
+  });
+  // The undo has committed; a failed broadcast mustn't make it look like it needs retrying
+  try {
+    await broadcastLeaderboard(user.room_id);
+  } catch (error) {
+    console.error("Error broadcasting leaderboard after an undo:", error);
+  }
+  return entry;
+}
+
+// Undoes the user's drink logged with this idempotency key, returning it (or null if there's none).
+// Offline undos name the drink they undo, since other drinks may have landed since.
+async function removeBeerEntryByKey(user, idempotencyKey) {
+  const entry = await withEntryEdit(async (client) => {
+    const result = await client.query(
+      "DELETE FROM beer_entries WHERE user_id = $1 AND idempotency_key = $2 RETURNING *",
+      [user.id, idempotencyKey]
+    );
+    if (result.rows[0]) await recordEntryEdit(client, "undo", result.rows[0]);
+    return result.rows[0] || null;
+  });
+  if (entry) {
+    try {
+      await broadcastLeaderboard(entry.room_id);
+    } catch (error) {
+      console.error("Error broadcasting leaderboard after an undo:", error);
     }
-    
-    .welcome-section h2 {
-      font-size: 2rem;
-      margin-bottom: 1rem;
-      color: #2d3748;
+  }
+  return entry;
+}
+
+// Every undo, deletion and edit is logged in beer_entry_edits so the room can see corrections
+function entrySnapshot(entry) {
+  return {
+    drink_type: entry.drink_type,
+    volume_ml: entry.volume_ml,
+    abv: parseFloat(entry.abv),
+    created_at: entry.created_at
+  };
+}
+
+async function recordEntryEdit(client, action, before, after = null) {
+  await client.query(
+    "INSERT INTO beer_entry_edits (entry_id, user_id, room_id, action, before, after) VALUES ($1, $2, $3, $4, $5, $6)",
+    [before.id, before.user_id, before.room_id, action, entrySnapshot(before), after && entrySnapshot(after)]
+  );
+}
+
+async function withEntryEdit(change) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await change(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Advisory lock namespaces for withUserLock
+const USER_LOCKS = { flappyRun: 1, beerEntry: 2 };
+
+// Runs work(client) in a transaction holding a per-user lock, so a check and the write that
+// depends on it (like an attempt limit) can't interleave with another request from the same user
+async function withUserLock(lock, userId, work) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock($1, $2)", [lock, userId]);
+    const result = await work(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Returns the deleted entry, or null if the user has no entry with that ID
+async function deleteBeerEntry(user, entryId) {
+  if (!Number.isInteger(entryId)) return null;
+  
+  const entry = await withEntryEdit(async (client) => {
+    const result = await client.query(
+      "DELETE FROM beer_entries WHERE id = $1 AND user_id = $2 RETURNING *",
+      [entryId, user.id]
+    );
+    if (result.rows[0]) await recordEntryEdit(client, "delete", result.rows[0]);
+    return result.rows[0] || null;
+  });
+  if (entry) await broadcastLeaderboard(entry.room_id);
+  return entry;
+}
+
+// Re-types (drink) and/or back-dates (createdAt) one of the user's entries; null if it isn't theirs
+async function updateBeerEntry(user, entryId, { drink = null, createdAt = null }) {
+  if (!Number.isInteger(entryId)) return null;
+  
+  let timestamp = null;
+  if (createdAt) {
+    timestamp = new Date(createdAt);
+    if (isNaN(timestamp.getTime())) {
+      throw new Error("The drink's time must be a valid date.");
     }
-    
-    .welcome-section p {
-      font-size: 1.1rem;
-      color: #718096;
-      margin-bottom: 2rem;
+    if (timestamp.getTime() > Date.now() + 60 * 1000) {
+      throw new Error("Drinks can't be moved into the future.");
     }
+  }
+  
+  const entry = await withEntryEdit(async (client) => {
+    const current = await client.query(
+      "SELECT * FROM beer_entries WHERE id = $1 AND user_id = $2 FOR UPDATE",
+      [entryId, user.id]
+    );
+    const before = current.rows[0];
+    if (!before) return null;
     
-    .container {
-      max-width: 800px;
-      margin: 0 auto;
-      background: white;
-      border-radius: 12px;
-      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-      overflow: hidden;
+    const next = { ...before, ...(drink || {}), created_at: timestamp || before.created_at };
+    const result = await client.query(
+      "UPDATE beer_entries SET drink_type = $1, volume_ml = $2, abv = $3, created_at = $4 WHERE id = $5 RETURNING *",
+      [next.drink_type, next.volume_ml, next.abv, next.created_at, before.id]
+    );
+    const after = result.rows[0];
+    if (JSON.stringify(entrySnapshot(before)) !== JSON.stringify(entrySnapshot(after))) {
+      await recordEntryEdit(client, "edit", before, after);
     }
-    
-    .content {
-      padding: 1.5rem;
-    }
-    
-    .total-counter {
-      background: linear-gradient(135deg, #e8f4f8 0%, #d4edda 100%);
-      padding: 1.5rem;
-      border-radius: 12px;
-      margin-bottom: 1.5rem;
-      text-align: center;
-      border: 2px solid #bee5eb;
-    }
-    
-    .total-counter h2 {
-      margin: 0;
-      color: #2c5282;
-      font-size: 1.25rem;
-      font-weight: 600;
-    }
-    
-    .total-number {
-      font-size: 3rem;
-      font-weight: 800;
-      color: #d53f8c;
-      display: block;
-      margin-top: 0.5rem;
-    }
-    
-    .user-info {
-      background: #f8f9fa;
-      padding: 1rem;
-      border-radius: 8px;
-      margin-bottom: 1.5rem;
-      text-align: center;
-    }
-    
-    .user-info p {
-      margin: 0;
-      font-size: 1.1rem;
-      color: #495057;
-    }
-    
-    .form-section {
-      text-align: center;
-      padding: 2rem;
-    }
-    
-    .form-section h1 {
-      color: #2d3748;
-      margin-bottom: 1.5rem;
-      font-size: 1.8rem;
-    }
-    
-    .submit-btn {
-      background: linear-gradient(135deg, #4299e1 0%, #3182ce 100%);
-      color: white;
-      border: none;
-      padding: 0.75rem 2rem;
-      border-radius: 8px;
-      font-size: 1.1rem;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s;
-      margin-top: 1rem;
-    }
-    
-    .submit-btn:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 8px 20px rgba(0, 0, 0, 0.2);
-    }
-    
-    .remove-btn {
-      background: linear-gradient(135deg, #fc8181 0%, #e53e3e 100%);
-      padding: 0.5rem 0.75rem;
-      font-size: 0.9rem;
-      min-width: 80px;
-      min-height: 36px;
-      opacity: 0.8;
-    }
-    
-    .remove-btn:hover {
-      opacity: 1;
-    }
-    
-    .leaderboard {
-      margin-top: 2rem;
-    }
-    
-    .leaderboard h2 {
-      color: #2d3748;
-      font-size: 1.5rem;
-      margin-bottom: 1rem;
-      text-align: center;
-    }
-    
-    .table-container {
-      overflow-x: auto;
-      border-radius: 8px;
-      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-      margin-bottom: 1rem;
-    }
-    
-    table {
-      width: 100%;
-      border-collapse: collapse;
-      background: white;
+    return after;
+  });
+  if (entry) await broadcastLeaderboard(entry.room_id);
+  return entry;
+}
+
+async function getRoomCorrections(roomId, limit = 20) {
+  const result = await pool.query(`
+    SELECT e.id, e.entry_id, e.user_id, u.name, e.action, e.before, e.after, e.created_at
+    FROM beer_entry_edits e
+    JOIN users u ON e.user_id = u.id
+    WHERE e.room_id = $1
+    ORDER BY e.created_at DESC
+    LIMIT $2
+  `, [roomId, limit]);
+  return result.rows;
+}
+
+function describeDrink(drink) {
+  return `${drink.drink_type.replace(/_/g, " ")} (${drink.volume_ml}ml, ${drink.abv}%)`;
+}
+
+// Times are rendered as <time> tags so the browser can show them in the viewer's timezone
+function localTimeTag(value) {
+  const iso = new Date(value).toISOString();
+  return `<time class="local-time" datetime="${iso}">${iso}</time>`;
+}
+
+function describeCorrection(edit) {
+  const name = `<strong>${escape(edit.name)}</strong>`;
+  const before = `${escape(describeDrink(edit.before))} from ${localTimeTag(edit.before.created_at)}`;
+  if (edit.action === "edit") {
+    return `${name} changed a ${before} to ${escape(describeDrink(edit.after))} at ${localTimeTag(edit.after.created_at)}`;
+  }
+  return `${name} ${edit.action === "undo" ? "undid" : "deleted"} a ${before}`;
+}
+
+async function getUserEntries(userId, limit = 100) {
+  const result = await pool.query(`
+    SELECT be.id, be.room_id, r.room_code, be.drink_type, be.volume_ml, be.abv, be.created_at
+    FROM beer_entries be
+    LEFT JOIN rooms r ON be.room_id = r.id
+    WHERE be.user_id = $1
+    ORDER BY be.created_at DESC
+    LIMIT $2
+  `, [userId, limit]);
+  return result.rows;
+}
+
+// Water/food logging and pace nudges for rooms that opt in
+const HYDRATION_KINDS = { water: "💧 Water", food: "🍔 Food" };
+
+async function logHydration(user, kind) {
+  if (!HYDRATION_KINDS[kind]) {
+    throw new Error(`Kind must be one of: ${Object.keys(HYDRATION_KINDS).join(", ")}.`);
+  }
+  const result = await pool.query(
+    "INSERT INTO hydration_entries (user_id, room_id, kind) VALUES ($1, $2, $3) RETURNING *",
+    [user.id, user.room_id, kind]
+  );
+  return result.rows[0];
+}
+
+// Users who logged at least pace_alert_drinks drinks in the room within the last pace_alert_minutes
+async function getPaceFlags(room) {
+  if (!room.pace_alert_drinks) return new Set();
+  const result = await pool.query(`
+    SELECT user_id FROM beer_entries
+    WHERE room_id = $1 AND created_at >= LOCALTIMESTAMP - make_interval(mins => $2)
+    GROUP BY user_id
+    HAVING COUNT(*) >= $3
+  `, [room.id, room.pace_alert_minutes, room.pace_alert_drinks]);
+  return new Set(result.rows.map(r => r.user_id));
+}
+
+// Prompts shown to the user next to the +1 button
+async function getSafetyNudges(user, room) {
+  const nudges = [];
+  if (!room) return nudges;
+  if ((await getPaceFlags(room)).has(user.id)) {
+    nudges.push(`That's ${room.pace_alert_drinks}+ drinks in the last ${room.pace_alert_minutes} minutes. Maybe slow down and have some water or food?`);
+  }
+  
+  if (room.hydration_mode) {
+    const result = await pool.query(`
+      SELECT
+        (SELECT MAX(created_at) FROM beer_entries WHERE user_id = $1 AND room_id = $2) as last_drink,
+        (SELECT MAX(created_at) FROM hydration_entries WHERE user_id = $1 AND room_id = $2 AND kind = 'water') as last_water
+    `, [user.id, room.id]);
+    const { last_drink, last_water } = result.rows[0];
+    if (last_drink && (!last_water || last_water < last_drink)) {
+      nudges.push("Water between beers: have a glass of water before your next one.");
     }
+  }
+  return nudges;
+}
+
+// Achievements: rules are checked when a drink or Flappy score is recorded, and each badge is
+// awarded at most once per user and room (perNight badges once per user, room and night)
+const COMEBACK_GAP_HOURS = 2;
+const ACHIEVEMENTS = {
+  first_of_night: {
+    emoji: "🌅", label: "First of the night", trigger: "drink", perNight: true,
+    check: (s) => s.firstTonight
+  },
+  five_in_hour: {
+    emoji: "⚡", label: "5 in an hour", trigger: "drink",
+    check: (s) => s.lastHour >= 5
+  },
+  comeback_kid: {
+    emoji: "🔄", label: "Comeback kid", trigger: "drink",
+    check: (s) => s.hoursSincePrevious !== null && s.hoursSincePrevious >= COMEBACK_GAP_HOURS
+  },
+  double_digits: {
+    emoji: "🔟", label: "Double digits", trigger: "drink",
+    check: (s) => s.total >= 10
+  },
+  flappy_10: {
+    emoji: "🐤", label: "Flappy 10+", trigger: "flappy",
+    check: (s) => s.score >= 10
+  },
+  flappy_50: {
+    emoji: "🦅", label: "Flappy 50+", trigger: "flappy",
+    check: (s) => s.score >= 50
+  }
+};
+
+// Numbers the drink rules look at, as of the new entry's time
+async function getDrinkAchievementStats(entry) {
+  const roomResult = await pool.query("SELECT timezone FROM rooms WHERE id = $1", [entry.room_id]);
+  const tonight = await resolveTimeWindow("tonight", roomResult.rows[0]);
+  // Compare against the stored timestamp; the JS Date in entry.created_at drops microseconds
+  const result = await pool.query(`
+    WITH this_entry AS (SELECT created_at FROM beer_entries WHERE id = $3)
+    SELECT
+      COUNT(*) FILTER (WHERE be.user_id = $1) as total,
+      COUNT(*) FILTER (WHERE be.user_id = $1 AND be.created_at > t.created_at - INTERVAL '1 hour') as last_hour,
+      EXTRACT(EPOCH FROM (t.created_at - MAX(be.created_at) FILTER (WHERE be.user_id = $1 AND be.id <> $3))) / 3600 as hours_since_previous,
+      COUNT(*) FILTER (WHERE be.created_at >= $4 AND be.id <> $3) as earlier_tonight
+    FROM beer_entries be, this_entry t
+    WHERE be.room_id = $2 AND be.created_at <= t.created_at
+    GROUP BY t.created_at
+  `, [entry.user_id, entry.room_id, entry.id, tonight.from]);
+  
+  const row = result.rows[0];
+  return {
+    total: parseInt(row.total),
+    lastHour: parseInt(row.last_hour),
+    hoursSincePrevious: row.hours_since_previous === null ? null : parseFloat(row.hours_since_previous),
+    firstTonight: entry.created_at >= tonight.from && parseInt(row.earlier_tonight) === 0,
+    night: tonight.from
+  };
+}
+
+// Awards every newly earned badge for the trigger, announcing each in the room chat
+async function awardAchievements(user, roomId, trigger, stats) {
+  const earned = [];
+  for (const [badge, achievement] of Object.entries(ACHIEVEMENTS)) {
+    if (achievement.trigger !== trigger || !achievement.check(stats)) continue;
     
-    th, td {
-      padding: 0.75rem;
-      text-align: left;
-      border-bottom: 1px solid #e2e8f0;
+    const result = await pool.query(
+      "INSERT INTO user_achievements (user_id, room_id, badge, night) VALUES ($1, $2, $3, $4::timestamp::date) ON CONFLICT DO NOTHING RETURNING id",
+      [user.id, roomId, badge, achievement.perNight ? stats.night : null]
+    );
+    if (result.rows[0]) {
+      earned.push(badge);
+      await announceInRoom(roomId, user, `🏅 ${user.name} earned ${achievement.emoji} ${achievement.label}!`);
     }
-    
-    th {
-      background: #f7fafc;
-      font-weight: 600;
-      color: #4a5568;
-      font-size: 0.9rem;
-      text-transform: uppercase;
-      letter-spacing: 0.5px;
+  }
+  return earned;
+}
+
+// Adds badges: [{ badge, emoji, label }] to leaderboard rows for the room
+async function attachAchievements(rows, roomId) {
+  const result = await pool.query(
+    "SELECT user_id, badge FROM user_achievements WHERE room_id = $1 AND user_id = ANY($2) ORDER BY awarded_at ASC",
+    [roomId, rows.map(r => r.id)]
+  );
+  for (const row of rows) {
+    // A per-night badge earned on several nights is shown once
+    const badges = new Set(result.rows.filter(a => a.user_id === row.id && ACHIEVEMENTS[a.badge]).map(a => a.badge));
+    row.badges = [...badges]
+      .map(badge => ({ badge, emoji: ACHIEVEMENTS[badge].emoji, label: ACHIEVEMENTS[badge].label }));
+  }
+}
+
+function formatBadges(badges = []) {
+  return badges.map(b => ` <span class="badge" title="${escape(b.label)}">${b.emoji}</span>`).join("");
+}
+
+// Head-to-head challenges. A challenge waits for the opponent to accept, then runs from starts_at
+// to ends_at; resolveChallenges settles it once the condition is met or the time is up.
+const CHALLENGE_PENDING_MINUTES = 60;
+const CHALLENGE_KINDS = {
+  first_to: {
+    emoji: "🏁", label: "First to N drinks", defaultMinutes: 360,
+    describe: (c) => `first to ${c.target} drink${c.target === 1 ? "" : "s"}`
+  },
+  most_in_window: {
+    emoji: "⏱️", label: "Most drinks in a time limit", defaultMinutes: 60,
+    describe: (c) => `most drinks in ${formatDuration(c.duration_minutes)}`
+  },
+  flappy_beat: {
+    emoji: "🐦", label: "Beat my Flappy score", defaultMinutes: 60,
+    describe: (c) => `beat ${c.target} in Flappy Bird within ${formatDuration(c.duration_minutes)}`
+  }
+};
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+async function createChallenge(room, challenger, { opponentId, kind, target, durationMinutes }) {
+  const challengeKind = CHALLENGE_KINDS[kind];
+  if (!challengeKind) {
+    throw new Error("Pick a kind of challenge.");
+  }
+  if (opponentId === challenger.id) {
+    throw new Error("You can't challenge yourself.");
+  }
+  const opponent = (await getRoomMembers(room.id)).find(m => m.id === opponentId);
+  if (!opponent) {
+    throw new Error("You can only challenge members of this room.");
+  }
+  if (kind !== "flappy_beat" && (challenger.user_type !== "participant" || opponent.user_type !== "participant")) {
+    throw new Error("Drinking challenges are between participants, not observers.");
+  }
+  
+  const minutes = durationMinutes === undefined || durationMinutes === null || durationMinutes === ""
+    ? challengeKind.defaultMinutes
+    : parseInt(durationMinutes);
+  if (isNaN(minutes) || minutes < 5 || minutes > 1440) {
+    throw new Error("The time limit must be 5-1440 minutes.");
+  }
+  
+  let goal = null;
+  if (kind === "first_to") {
+    goal = parseInt(target);
+    if (isNaN(goal) || goal < 1 || goal > 50) {
+      throw new Error("The target must be 1-50 drinks.");
     }
-    
-    tr:hover {
-      background: #f8f9fa;
+  } else if (kind === "flappy_beat") {
+    goal = await getUserBestFlappyScore(challenger.id, room.id);
+    if (!goal) {
+      throw new Error("Set a Flappy Bird score first, then challenge someone to beat it.");
     }
-    
-    .current-user {
-      background: #e6fffa !important;
-      font-weight: 600;
+  }
+  
+  const result = await pool.query(
+    "INSERT INTO challenges (room_id, challenger_id, opponent_id, kind, target, duration_minutes) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
+    [room.id, challenger.id, opponent.id, kind, goal, minutes]
+  );
+  const challenge = result.rows[0];
+  await announceInRoom(room.id, challenger, `⚔️ ${challenger.name} challenged ${opponent.name}: ${challengeKind.describe(challenge)}`);
+  await broadcastLeaderboard(room.id);
+  return challenge;
+}
+
+// The opponent accepts or declines a pending challenge, or the challenger cancels it.
+// Returns null if the user can't do that (not theirs, already answered or expired).
+async function respondToChallenge(user, challengeId, action) {
+  const transitions = {
+    accept: { by: "opponent_id", status: "active", times: "starts_at = LOCALTIMESTAMP, ends_at = LOCALTIMESTAMP + make_interval(mins => duration_minutes)" },
+    decline: { by: "opponent_id", status: "declined", times: "resolved_at = LOCALTIMESTAMP" },
+    cancel: { by: "challenger_id", status: "cancelled", times: "resolved_at = LOCALTIMESTAMP" }
+  };
+  // The action comes from the URL, so only the transitions' own keys count
+  if (!Object.hasOwn(transitions, action) || !Number.isInteger(challengeId)) return null;
+  const transition = transitions[action];
+  
+  const result = await pool.query(`
+    UPDATE challenges SET status = $1, ${transition.times}
+    WHERE id = $2 AND ${transition.by} = $3 AND status = 'pending'
+      AND created_at > LOCALTIMESTAMP - make_interval(mins => $4)
+    RETURNING *
+  `, [transition.status, challengeId, user.id, CHALLENGE_PENDING_MINUTES]);
+  const challenge = result.rows[0];
+  if (!challenge) return null;
+  
+  if (action === "accept") {
+    await announceInRoom(challenge.room_id, user, `⚔️ ${user.name} accepted: ${CHALLENGE_KINDS[challenge.kind].describe(challenge)}. Go!`);
+  }
+  await broadcastLeaderboard(challenge.room_id);
+  return challenge;
+}
+
+// Drinks each side logged in the room while the challenge ran, and when each reached a first_to
+// target. For flappy_beat the challenger's side is the score to beat (a free-play best) and the
+// opponent's their best free-play score since accepting.
+async function getChallengeProgress(challenge) {
+  if (challenge.kind === "flappy_beat") {
+    const result = await pool.query(`
+      SELECT MAX(f.score) as best FROM flappy_bird_scores f
+      JOIN challenges c ON c.id = $1
+      WHERE f.user_id = c.opponent_id AND f.room_id = c.room_id AND f.run_id IS NOT NULL AND f.daily_date IS NULL
+        AND f.created_at >= c.starts_at AND f.created_at < c.ends_at
+    `, [challenge.id]);
+    return { challenger: challenge.target, opponent: result.rows[0].best ?? 0, reached: {} };
+  }
+  
+  const result = await pool.query(`
+    SELECT be.user_id, COUNT(*) as count, (array_agg(be.created_at ORDER BY be.created_at))[c.target] as reached_at
+    FROM beer_entries be
+    JOIN challenges c ON c.id = $1
+    WHERE be.room_id = c.room_id AND be.user_id IN (c.challenger_id, c.opponent_id)
+      AND be.created_at >= c.starts_at AND be.created_at < c.ends_at
+    GROUP BY be.user_id, c.target
+  `, [challenge.id]);
+  const side = (userId) => result.rows.find(r => r.user_id === userId);
+  return {
+    challenger: parseInt(side(challenge.challenger_id)?.count || 0),
+    opponent: parseInt(side(challenge.opponent_id)?.count || 0),
+    reached: {
+      challenger: side(challenge.challenger_id)?.reached_at || null,
+      opponent: side(challenge.opponent_id)?.reached_at || null
     }
+  };
+}
+
+// The winner's user ID, null for a draw, or undefined while the challenge is still undecided
+function challengeOutcome(challenge, progress, expired) {
+  const { challenger_id: challengerId, opponent_id: opponentId } = challenge;
+  
+  if (challenge.kind === "flappy_beat") {
+    if (progress.opponent > challenge.target) return opponentId;
+    return expired ? challengerId : undefined;
+  }
+  
+  if (challenge.kind === "first_to") {
+    const { challenger: challengerAt, opponent: opponentAt } = progress.reached;
+    if (challengerAt && (!opponentAt || challengerAt < opponentAt)) return challengerId;
+    if (opponentAt && (!challengerAt || opponentAt < challengerAt)) return opponentId;
+    if (challengerAt && opponentAt) return null;
+  }
+  
+  // Out of time: whoever drank more wins
+  if (!expired) return undefined;
+  if (progress.challenger === progress.opponent) return null;
+  return progress.challenger > progress.opponent ? challengerId : opponentId;
+}
+
+function challengeScore(challenge, progress) {
+  if (challenge.kind === "flappy_beat") {
+    return `best ${progress.opponent} vs. ${challenge.target}`;
+  }
+  const ordered = challenge.winner_id === challenge.opponent_id
+    ? [progress.opponent, progress.challenger]
+    : [progress.challenger, progress.opponent];
+  return ordered.join("–");
+}
+
+const CHALLENGE_COLUMNS = `
+  c.*, c.ends_at <= LOCALTIMESTAMP as expired,
+  challenger.name as challenger_name, opponent.name as opponent_name
+`;
+const CHALLENGE_JOINS = `
+  JOIN users challenger ON challenger.id = c.challenger_id
+  JOIN users opponent ON opponent.id = c.opponent_id
+`;
+
+// Settles active challenges that are won or out of time and expires challenges nobody accepted.
+// Results are announced in the room chat; returns the IDs of rooms where anything changed.
+async function resolveChallenges(roomId = null) {
+  const expired = await pool.query(`
+    UPDATE challenges SET status = 'expired', resolved_at = LOCALTIMESTAMP
+    WHERE status = 'pending' AND created_at <= LOCALTIMESTAMP - make_interval(mins => $1)
+      AND ($2::integer IS NULL OR room_id = $2)
+    RETURNING room_id
+  `, [CHALLENGE_PENDING_MINUTES, roomId]);
+  const changed = new Set(expired.rows.map(r => r.room_id));
+  
+  const active = await pool.query(`
+    SELECT ${CHALLENGE_COLUMNS} FROM challenges c ${CHALLENGE_JOINS}
+    WHERE c.status = 'active' AND ($1::integer IS NULL OR c.room_id = $1)
+  `, [roomId]);
+  
+  for (const challenge of active.rows) {
+    const progress = await getChallengeProgress(challenge);
+    const winnerId = challengeOutcome(challenge, progress, challenge.expired);
+    if (winnerId === undefined) continue;
     
-    .current-user:hover {
-      background: #b2f5ea !important;
-    }
+    const result = await pool.query(
+      "UPDATE challenges SET status = 'finished', winner_id = $1, resolved_at = LOCALTIMESTAMP WHERE id = $2 AND status = 'active' RETURNING *",
+      [winnerId, challenge.id]
+    );
+    if (!result.rows[0]) continue;
+    changed.add(challenge.room_id);
     
-    .loading {
-      text-align: center;
-      padding: 2rem;
-      color: #718096;
+    const finished = { ...challenge, ...result.rows[0] };
+    const description = CHALLENGE_KINDS[challenge.kind].describe(challenge);
+    const score = challengeScore(finished, progress);
+    if (winnerId === null) {
+      await announceInRoom(challenge.room_id, { id: challenge.challenger_id, name: challenge.challenger_name },
+        `🤝 ${challenge.challenger_name} and ${challenge.opponent_name} drew: ${description} (${score})`);
+    } else {
+      const winnerName = winnerId === challenge.challenger_id ? challenge.challenger_name : challenge.opponent_name;
+      const loserName = winnerId === challenge.challenger_id ? challenge.opponent_name : challenge.challenger_name;
+      await announceInRoom(challenge.room_id, { id: winnerId, name: winnerName },
+        `🏆 ${winnerName} beat ${loserName}: ${description} (${score})`);
     }
-    
-    button {
-      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
-      color: white;
-      border: none;
-      padding: 0.75rem 1.5rem;
-      border-radius: 8px;
-      font-size: 1.1rem;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s;
-      min-width: 120px;
-      min-height: 48px;
+  }
+  return [...changed];
+}
+
+// Open challenges and those settled in the last hour, with progress and a one-line summary
+async function getRoomChallenges(roomId) {
+  const result = await pool.query(`
+    SELECT ${CHALLENGE_COLUMNS} FROM challenges c ${CHALLENGE_JOINS}
+    WHERE c.room_id = $1 AND (
+      (c.status = 'pending' AND c.created_at > LOCALTIMESTAMP - make_interval(mins => $2))
+      OR c.status = 'active'
+      OR (c.status = 'finished' AND c.resolved_at > LOCALTIMESTAMP - INTERVAL '1 hour')
+    )
+    ORDER BY c.status = 'finished', c.created_at DESC
+  `, [roomId, CHALLENGE_PENDING_MINUTES]);
+  
+  return Promise.all(result.rows.map(async (c) => {
+    const kind = CHALLENGE_KINDS[c.kind];
+    const description = kind.describe(c);
+    const progress = await getChallengeProgress(c);
+    let summary;
+    if (c.status === "pending") {
+      summary = `${kind.emoji} ${c.challenger_name} challenged ${c.opponent_name}: ${description}`;
+    } else if (c.status === "active") {
+      summary = `${kind.emoji} ${c.challenger_name} vs. ${c.opponent_name}: ${description} · ${challengeScore(c, progress)}`;
+    } else if (c.winner_id === null) {
+      summary = `🤝 ${c.challenger_name} and ${c.opponent_name} drew: ${description} (${challengeScore(c, progress)})`;
+    } else {
+      const [winner, loser] = c.winner_id === c.challenger_id ? [c.challenger_name, c.opponent_name] : [c.opponent_name, c.challenger_name];
+      summary = `🏆 ${winner} beat ${loser}: ${description} (${challengeScore(c, progress)})`;
     }
     
-    button:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+    return {
+      id: c.id,
+      kind: c.kind,
+      status: c.status,
+      summary,
+      challenger: { id: c.challenger_id, name: c.challenger_name },
+      opponent: { id: c.opponent_id, name: c.opponent_name },
+      target: c.target,
+      duration_minutes: c.duration_minutes,
+      progress: { challenger: progress.challenger, opponent: progress.opponent },
+      winner_id: c.winner_id,
+      created_at: c.created_at,
+      starts_at: c.starts_at,
+      ends_at: c.ends_at
+    };
+  }));
+}
+
+// Room helper functions
+function generateRoomCode() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let result = '';
+  for (let i = 0; i < 6; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+}
+
+async function createRoom(userId, roomName) {
+  let roomCode;
+  let attempts = 0;
+  
+  // Generate unique room code
+  do {
+    roomCode = generateRoomCode();
+    attempts++;
+    if (attempts > 10) throw new Error("Failed to generate unique room code");
+  } while (await pool.query("SELECT id FROM rooms WHERE room_code = $1", [roomCode]).then(r => r.rows.length > 0));
+  
+  const result = await pool.query(
+    "INSERT INTO rooms (room_code, name, creator_id) VALUES ($1, $2, $3) RETURNING *",
+    [roomCode, roomName, userId]
+  );
+  
+  return result.rows[0];
+}
+
+async function joinRoom(userId, roomCode) {
+  const roomResult = await pool.query(
+    "SELECT * FROM rooms WHERE room_code = $1 AND is_active = true",
+    [roomCode.toUpperCase()]
+  );
+  
+  if (roomResult.rows.length === 0) {
+    throw new Error("Room not found");
+  }
+  
+  const room = roomResult.rows[0];
+  
+  if (await wasKickedFromRoom(userId, room.id)) {
+    throw new Error("You were removed from this room and can't rejoin it.");
+  }
+  
+  // Record (or reactivate) the membership, then focus the tally on this room
+  await pool.query(`
+    INSERT INTO room_participants (room_id, user_id) VALUES ($1, $2)
+    ON CONFLICT (room_id, user_id) DO UPDATE SET is_active = true
+  `, [room.id, userId]);
+  await pool.query(
+    "UPDATE users SET room_id = $1 WHERE id = $2",
+    [room.id, userId]
+  );
+  
+  return room;
+}
+
+// Switches the tally to a room the user already belongs to
+async function switchRoom(userId, roomCode) {
+  const room = await getRoomByCode(roomCode);
+  if (!room || !(await isRoomMember(userId, room.id))) {
+    throw new Error("You are not a member of that room");
+  }
+  
+  await pool.query("UPDATE users SET room_id = $1 WHERE id = $2", [room.id, userId]);
+  return room;
+}
+
+// Ends a membership; past entries stay attributed to the room
+async function leaveRoom(userId, roomId) {
+  await pool.query(
+    "UPDATE room_participants SET is_active = false WHERE room_id = $1 AND user_id = $2",
+    [roomId, userId]
+  );
+  
+  // If that was the room in focus, fall back to the most recently joined remaining room
+  await pool.query(`
+    UPDATE users SET room_id = (
+      SELECT rp.room_id FROM room_participants rp
+      JOIN rooms r ON rp.room_id = r.id
+      WHERE rp.user_id = $1 AND rp.is_active = true AND r.is_active = true
+      ORDER BY rp.joined_at DESC
+      LIMIT 1
+    )
+    WHERE id = $1 AND room_id = $2
+  `, [userId, roomId]);
+}
+
+async function wasKickedFromRoom(userId, roomId) {
+  const result = await pool.query(
+    "SELECT 1 FROM room_participants WHERE user_id = $1 AND room_id = $2 AND kicked_at IS NOT NULL",
+    [userId, roomId]
+  );
+  return result.rows.length > 0;
+}
+
+async function isRoomMember(userId, roomId) {
+  const result = await pool.query(
+    "SELECT 1 FROM room_participants WHERE user_id = $1 AND room_id = $2 AND is_active = true",
+    [userId, roomId]
+  );
+  return result.rows.length > 0;
+}
+
+async function getUserRoom(userId) {
+  const result = await pool.query(`
+    SELECT r.* FROM rooms r
+    JOIN users u ON u.room_id = r.id
+    WHERE u.id = $1 AND r.is_active = true
+  `, [userId]);
+  
+  return result.rows[0] || null;
+}
+
+// Rooms the user can switch between (their active memberships)
+async function getUserRooms(userId) {
+  const result = await pool.query(`
+    SELECT r.* FROM rooms r
+    JOIN room_participants rp ON rp.room_id = r.id
+    WHERE rp.user_id = $1 AND rp.is_active = true AND r.is_active = true
+    ORDER BY rp.joined_at DESC
+  `, [userId]);
+  
+  return result.rows;
+}
+
+// Room admin helper functions
+const ROOM_ROLES = ["member", "admin"];
+
+// 'owner', 'admin', 'member', or null when the user isn't an active member
+async function getRoomRole(userId, room) {
+  if (room.creator_id === userId) return "owner";
+  
+  const result = await pool.query(
+    "SELECT role FROM room_participants WHERE user_id = $1 AND room_id = $2 AND is_active = true",
+    [userId, room.id]
+  );
+  return result.rows[0]?.role || null;
+}
+
+function canManageRoom(role) {
+  return role === "owner" || role === "admin";
+}
+
+async function getRoomMembers(roomId) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.user_type, rp.role, rp.team_id, rp.joined_at FROM users u
+    JOIN room_participants rp ON rp.user_id = u.id
+    WHERE rp.room_id = $1 AND rp.is_active = true
+    ORDER BY rp.joined_at ASC
+  `, [roomId]);
+  return result.rows;
+}
+
+async function renameRoom(roomId, name) {
+  const trimmed = String(name || "").trim();
+  if (trimmed.length === 0 || trimmed.length > 100) {
+    throw new Error("Room name must be 1-100 characters.");
+  }
+  await pool.query("UPDATE rooms SET name = $1 WHERE id = $2", [trimmed, roomId]);
+}
+
+// Parses an optional event time; empty values clear it
+function parseEventTime(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error("Event times must be valid dates.");
+  }
+  return date;
+}
+
+async function setRoomEventTimes(roomId, startsAt, endsAt) {
+  const start = parseEventTime(startsAt);
+  const end = parseEventTime(endsAt);
+  if (start && end && end <= start) {
+    throw new Error("The event must end after it starts.");
+  }
+  await pool.query("UPDATE rooms SET starts_at = $1, ends_at = $2 WHERE id = $3", [start, end, roomId]);
+}
+
+async function setRoomSafety(roomId, { hydrationMode, paceAlertDrinks, paceAlertMinutes }) {
+  const drinks = paceAlertDrinks === undefined || paceAlertDrinks === null || paceAlertDrinks === "" ? null : Number(paceAlertDrinks);
+  const minutes = Number(paceAlertMinutes);
+  if (drinks !== null && (!Number.isInteger(drinks) || drinks < 2 || drinks > 50)) {
+    throw new Error("Pace alerts need a whole number of drinks between 2 and 50.");
+  }
+  if (!Number.isInteger(minutes) || minutes < 10 || minutes > 24 * 60) {
+    throw new Error("The pace alert window must be between 10 minutes and 24 hours.");
+  }
+  await pool.query(
+    "UPDATE rooms SET hydration_mode = $1, pace_alert_drinks = $2, pace_alert_minutes = $3 WHERE id = $4",
+    [Boolean(hydrationMode), drinks, minutes, roomId]
+  );
+}
+
+async function setRoomTimezone(roomId, timezone) {
+  const name = String(timezone ?? "").trim() || null;
+  if (name) {
+    const known = await pool.query("SELECT EXISTS (SELECT 1 FROM pg_timezone_names WHERE name = $1) as known", [name]);
+    if (!known.rows[0].known) {
+      throw new Error(`"${name}" isn't a time zone we know. Use a name like Europe/Berlin or America/New_York.`);
+    }
+  }
+  await pool.query("UPDATE rooms SET timezone = $1 WHERE id = $2", [name, roomId]);
+}
+
+// Closing hides the room from joins, switching and chat; history is kept so it can be reopened
+async function setRoomActive(roomId, isActive) {
+  await pool.query("UPDATE rooms SET is_active = $1 WHERE id = $2", [isActive, roomId]);
+  
+  if (!isActive) {
+    io.to(socketRoom(roomId)).emit('error', 'This room has been closed');
+    io.in(socketRoom(roomId)).socketsLeave(socketRoom(roomId));
+    io.in(leaderboardRoom(roomId)).socketsLeave(leaderboardRoom(roomId));
+    io.in(raceRoom(roomId)).socketsLeave(raceRoom(roomId));
+  }
+}
+
+// Removes a member for good (until an admin lets them back in) and drops their open sockets
+// from the room's channels
+async function kickMember(room, actorRole, targetUserId) {
+  const targetRole = await getRoomRole(targetUserId, room);
+  if (!targetRole) {
+    throw new Error("That user is not a member of this room.");
+  }
+  if (targetRole === "owner" || (targetRole === "admin" && actorRole !== "owner")) {
+    throw new Error("Only the owner can remove admins, and the owner can't be removed.");
+  }
+  
+  await pool.query(
+    "UPDATE room_participants SET role = 'member', kicked_at = LOCALTIMESTAMP WHERE room_id = $1 AND user_id = $2",
+    [room.id, targetUserId]
+  );
+  await leaveRoom(targetUserId, room.id);
+  
+  // Out of any race lobby too (a lobby they opened is called off)
+  if ((await getOpenFlappyRace(room.id))?.status === "lobby") {
+    await leaveFlappyRace(room, { id: targetUserId });
+    await broadcastFlappyRace(room.id);
+  }
+  
+  for (const channel of [socketRoom(room.id), leaderboardRoom(room.id), raceRoom(room.id)]) {
+    const sockets = await io.in(channel).fetchSockets();
+    sockets
+      .filter(s => s.data.userId === targetUserId)
+      .forEach(s => {
+        s.leave(channel);
+        s.emit('error', 'You were removed from this room');
+      });
+  }
+  io.to(socketRoom(room.id)).emit('participants-updated', await getRoomParticipants(room.id));
+}
+
+async function getKickedMembers(roomId) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, rp.kicked_at FROM users u
+    JOIN room_participants rp ON rp.user_id = u.id
+    WHERE rp.room_id = $1 AND rp.kicked_at IS NOT NULL
+    ORDER BY rp.kicked_at DESC
+  `, [roomId]);
+  return result.rows;
+}
+
+// Lifts a kick; the user can then rejoin with the room code
+async function allowMemberBack(room, targetUserId) {
+  const result = await pool.query(
+    "UPDATE room_participants SET kicked_at = NULL WHERE room_id = $1 AND user_id = $2 AND kicked_at IS NOT NULL",
+    [room.id, targetUserId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error("That user wasn't removed from this room.");
+  }
+}
+
+async function setMemberRole(room, targetUserId, role) {
+  if (!ROOM_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROOM_ROLES.join(", ")}`);
+  }
+  if (targetUserId === room.creator_id) {
+    throw new Error("The owner's role can't be changed.");
+  }
+  
+  const result = await pool.query(
+    "UPDATE room_participants SET role = $1 WHERE room_id = $2 AND user_id = $3 AND is_active = true",
+    [role, room.id, targetUserId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error("That user is not a member of this room.");
+  }
+}
+
+// Hands the room to another member; the previous owner stays on as an admin
+async function transferOwnership(room, targetUserId) {
+  if (targetUserId === room.creator_id) {
+    throw new Error("That user already owns this room.");
+  }
+  if (!(await isRoomMember(targetUserId, room.id))) {
+    throw new Error("That user is not a member of this room.");
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("UPDATE rooms SET creator_id = $1 WHERE id = $2", [targetUserId, room.id]);
+    await client.query(
+      "UPDATE room_participants SET role = 'admin' WHERE room_id = $1 AND user_id = $2",
+      [room.id, room.creator_id]
+    );
+    await client.query(
+      "UPDATE room_participants SET role = 'member' WHERE room_id = $1 AND user_id = $2",
+      [room.id, targetUserId]
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Team helper functions
+async function getRoomTeams(roomId) {
+  const result = await pool.query("SELECT id, name FROM room_teams WHERE room_id = $1 ORDER BY name", [roomId]);
+  return result.rows;
+}
+
+async function createTeam(roomId, name) {
+  const trimmed = String(name || "").trim();
+  if (trimmed.length === 0 || trimmed.length > 50) {
+    throw new Error("Team name must be 1-50 characters.");
+  }
+  try {
+    const result = await pool.query(
+      "INSERT INTO room_teams (room_id, name) VALUES ($1, $2) RETURNING id, name",
+      [roomId, trimmed]
+    );
+    await broadcastLeaderboard(roomId);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === "23505") throw new Error("There's already a team with that name.");
+    throw error;
+  }
+}
+
+// Members of a deleted team go back to having no team
+async function deleteTeam(roomId, teamId) {
+  const result = await pool.query("DELETE FROM room_teams WHERE id = $1 AND room_id = $2", [teamId, roomId]);
+  if (result.rowCount === 0) {
+    throw new Error("Team not found.");
+  }
+  await broadcastLeaderboard(roomId);
+}
+
+async function setTeamsSelfSelect(roomId, enabled) {
+  await pool.query("UPDATE rooms SET teams_self_select = $1 WHERE id = $2", [Boolean(enabled), roomId]);
+}
+
+async function getMemberTeamId(roomId, userId) {
+  const result = await pool.query(
+    "SELECT team_id FROM room_participants WHERE room_id = $1 AND user_id = $2",
+    [roomId, userId]
+  );
+  return result.rows[0]?.team_id ?? null;
+}
+
+// Puts a member on a team (teamId null takes them off their team)
+async function setMemberTeam(roomId, userId, teamId) {
+  if (teamId !== null) {
+    const team = await pool.query("SELECT 1 FROM room_teams WHERE id = $1 AND room_id = $2", [teamId, roomId]);
+    if (team.rows.length === 0) {
+      throw new Error("Team not found.");
+    }
+  }
+  const result = await pool.query(
+    "UPDATE room_participants SET team_id = $1 WHERE room_id = $2 AND user_id = $3 AND is_active = true",
+    [teamId, roomId, userId]
+  );
+  if (result.rowCount === 0) {
+    throw new Error("That user is not a member of this room.");
+  }
+  await broadcastLeaderboard(roomId);
+}
+
+// Parses a team ID from a form or JSON body; empty means no team
+function parseTeamId(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const teamId = parseInt(value);
+  if (isNaN(teamId)) {
+    throw new Error("Team not found.");
+  }
+  return teamId;
+}
+
+// Team totals from their participants' drinks in the room, with a per-capita average
+async function getTeamStandings(roomId, rankBy = "count", timeWindow = null) {
+  const orderColumn = LEADERBOARD_RANKINGS[rankBy] || LEADERBOARD_RANKINGS.count;
+  const params = [roomId];
+  const result = await pool.query(`
+    SELECT t.id, t.name, COUNT(DISTINCT u.id) as members, ${LEADERBOARD_COLUMNS}
+    FROM room_teams t
+    LEFT JOIN room_participants rp ON rp.team_id = t.id AND rp.room_id = t.room_id AND rp.is_active = true
+    LEFT JOIN users u ON u.id = rp.user_id AND u.user_type = 'participant'
+    LEFT JOIN beer_entries be ON be.user_id = u.id AND be.room_id = t.room_id${timeWindowCondition(timeWindow, params)}
+    WHERE t.room_id = $1
+    GROUP BY t.id, t.name
+    ORDER BY ${orderColumn} DESC, count DESC
+  `, params);
+  
+  return result.rows.map(team => {
+    const members = parseInt(team.members);
+    const perCapita = (value) => members > 0 ? Math.round(parseFloat(value) / members * 10) / 10 : 0;
+    return {
+      ...team,
+      members,
+      per_capita: { count: perCapita(team.count), standard_drinks: perCapita(team.standard_drinks), grams: perCapita(team.grams) }
+    };
+  });
+}
+
+function isAdmin(user) {
+  return Boolean(user) && ADMIN_USER_IDS.includes(user.id);
+}
+
+// Push fresh counts to every tally page open on this room
+async function broadcastLeaderboard(roomId) {
+  const [total, leaderboard] = await Promise.all([
+    getTotalBeerCount(roomId),
+    getLeaderboard(roomId)
+  ]);
+  
+  io.to(leaderboardRoom(roomId)).emit('leaderboard-updated', {
+    total,
+    participants: leaderboard.participants,
+    observers: leaderboard.observers,
+    teams: leaderboard.teams,
+    challenges: await getRoomChallenges(roomId)
+  });
+}
+
+function leaderboardRoom(roomId) {
+  return `leaderboard:${roomId}`;
+}
+
+// Chat helper functions
+const MESSAGE_HISTORY_LIMIT = 50;
+const MESSAGE_MAX_LENGTH = 500;
+
+async function getRoomByCode(roomCode, { includeInactive = false } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM rooms WHERE room_code = $1${includeInactive ? "" : " AND is_active = true"}`,
+    [String(roomCode || "").toUpperCase()]
+  );
+  return result.rows[0] || null;
+}
+
+async function getRoomMessages(roomId, limit = MESSAGE_HISTORY_LIMIT) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT m.id, m.user_id, u.name as user_name, m.message, m.is_system, m.created_at
+      FROM room_messages m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.room_id = $1
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $2
+    ) recent
+    ORDER BY created_at ASC, id ASC
+  `, [roomId, limit]);
+  return result.rows;
+}
+
+async function saveRoomMessage(roomId, user, message, { isSystem = false } = {}) {
+  const result = await pool.query(
+    "INSERT INTO room_messages (room_id, user_id, message, is_system) VALUES ($1, $2, $3, $4) RETURNING id, user_id, message, is_system, created_at",
+    [roomId, user.id, message, isSystem]
+  );
+  return { ...result.rows[0], user_name: user.name };
+}
+
+// Posts an announcement about the user to the room's chat
+async function announceInRoom(roomId, user, message) {
+  const saved = await saveRoomMessage(roomId, user, message, { isSystem: true });
+  io.to(socketRoom(roomId)).emit('new-message', saved);
+}
+
+async function getRoomParticipants(roomId) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.user_type FROM users u
+    JOIN room_participants rp ON rp.user_id = u.id
+    WHERE rp.room_id = $1 AND rp.is_active = true
+    ORDER BY u.name
+  `, [roomId]);
+  
+  // Mark who currently has the room page open
+  const sockets = await io.in(socketRoom(roomId)).fetchSockets();
+  const onlineIds = new Set(sockets.map(s => s.data.userId));
+  
+  return result.rows.map(p => ({ ...p, online: onlineIds.has(p.id) }));
+}
+
+function socketRoom(roomId) {
+  return `room:${roomId}`;
+}
+
+// Flappy Bird physics, one tick at a time. Self-contained on purpose: its source is also inlined
+// into the /game page, so the browser and the server's replay check run exactly the same code.
+function createFlappySimulation(seed) {
+  const WIDTH = 400;
+  const HEIGHT = 600;
+  const GROUND = 50;
+  const GRAVITY = 0.5;
+  const JUMP = -7;
+  const PIPE_GAP = 150;
+  const PIPE_SPEED = 2;
+  const PIPE_WIDTH = 50;
+  const PIPE_SPACING = 200;
+  
+  // mulberry32, so a seed always lays out the same pipes
+  let rngState = seed >>> 0;
+  function random() {
+    rngState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  
+  function circleRectCollision(cx, cy, radius, rx, ry, rw, rh) {
+    const closestX = Math.max(rx, Math.min(cx, rx + rw));
+    const closestY = Math.max(ry, Math.min(cy, ry + rh));
+    const distanceX = cx - closestX;
+    const distanceY = cy - closestY;
+    return (distanceX * distanceX) + (distanceY * distanceY) < (radius * radius);
+  }
+  
+  const sim = {
+    width: WIDTH,
+    height: HEIGHT,
+    ground: GROUND,
+    pipeWidth: PIPE_WIDTH,
+    bird: { x: 50, y: 300, width: 40, height: 40, radius: 20, velocity: 0 },
+    pipes: [],
+    score: 0,
+    tick: 0,
+    dead: false,
+    
+    flap() {
+      if (!sim.dead) sim.bird.velocity = JUMP;
+    },
+    
+    step() {
+      if (sim.dead) return;
+      const bird = sim.bird;
+      bird.velocity += GRAVITY;
+      bird.y += bird.velocity;
+      if (bird.y - bird.radius <= 0 || bird.y + bird.radius >= HEIGHT - GROUND) {
+        sim.dead = true;
+      }
+      
+      if (sim.pipes.length === 0 || sim.pipes[sim.pipes.length - 1].x < WIDTH - PIPE_SPACING) {
+        const topHeight = random() * (HEIGHT - PIPE_GAP - 100) + 50;
+        sim.pipes.push({
+          x: WIDTH,
+          topHeight,
+          bottomY: topHeight + PIPE_GAP,
+          bottomHeight: HEIGHT - topHeight - PIPE_GAP - GROUND,
+          passed: false
+        });
+      }
+      
+      const centerX = bird.x + bird.width / 2;
+      const centerY = bird.y + bird.height / 2;
+      for (let i = sim.pipes.length - 1; i >= 0; i--) {
+        const pipe = sim.pipes[i];
+        pipe.x -= PIPE_SPEED;
+        
+        if (circleRectCollision(centerX, centerY, bird.radius, pipe.x, 0, PIPE_WIDTH, pipe.topHeight) ||
+            circleRectCollision(centerX, centerY, bird.radius, pipe.x, pipe.bottomY, PIPE_WIDTH, pipe.bottomHeight)) {
+          sim.dead = true;
+        }
+        if (!pipe.passed && pipe.x + PIPE_WIDTH < bird.x) {
+          pipe.passed = true;
+          sim.score++;
+        }
+        if (pipe.x + PIPE_WIDTH < 0) {
+          sim.pipes.splice(i, 1);
+        }
+      }
+      sim.tick++;
+    }
+  };
+  return sim;
+}
+
+// Limits on what a submitted run may contain (an hour of play at 60 ticks a second)
+const FLAPPY_MAX_TICKS = 60 * 60 * 60;
+const FLAPPY_MAX_FLAPS = 20000;
+const FLAPPY_RUN_MAX_AGE_HOURS = 6;
+
+// Replays a run from its flaps (the tick each one happened before) and returns the score it earns
+// and how many ticks the bird survived, or null when the timeline is malformed or doesn't end in
+// a crash on this course
+function replayFlappyRun(seed, flaps) {
+  if (!Array.isArray(flaps) || flaps.length === 0 || flaps.length > FLAPPY_MAX_FLAPS) return null;
+  for (let i = 0; i < flaps.length; i++) {
+    if (!Number.isInteger(flaps[i]) || flaps[i] < 0 || (i > 0 && flaps[i] < flaps[i - 1])) return null;
+  }
+  // The first flap is what starts the game
+  if (flaps[0] !== 0) return null;
+  
+  const sim = createFlappySimulation(seed);
+  let next = 0;
+  while (!sim.dead && sim.tick < FLAPPY_MAX_TICKS) {
+    while (next < flaps.length && flaps[next] === sim.tick) {
+      sim.flap();
+      next++;
+    }
+    sim.step();
+  }
+  if (!sim.dead || next < flaps.length) return null;
+  return { score: sim.score, ticks: sim.tick };
+}
+
+// Today's daily challenge course. The first run of the day picks the seed; everyone else
+// that day plays the same pipes.
+async function getDailyCourse() {
+  await pool.query(
+    "INSERT INTO flappy_daily_courses (day, seed) VALUES (LOCALTIMESTAMP::date, $1) ON CONFLICT (day) DO NOTHING",
+    [crypto.randomInt(2 ** 32)]
+  );
+  const result = await pool.query(
+    "SELECT day::text as date, seed FROM flappy_daily_courses WHERE day = LOCALTIMESTAMP::date"
+  );
+  return { date: result.rows[0].date, seed: Number(result.rows[0].seed) };
+}
+
+async function getDailyAttempts(userId, date, db = pool) {
+  const result = await db.query(
+    "SELECT COUNT(*) as attempts FROM flappy_runs WHERE daily_date = $1 AND user_id = $2",
+    [date, userId]
+  );
+  return parseInt(result.rows[0].attempts);
+}
+
+// Runs are played in the user's current room. A tournament or daily run uses up one of the
+// player's attempts as soon as it is issued, so restarting a bad game doesn't get a free retry;
+// a race gets each racer exactly one run on the race's course.
+async function createFlappyRun(user, { tournament = false, daily = false, race = false } = {}) {
+  if ([tournament, daily, race].filter(Boolean).length > 1) {
+    throw new Error("A run can only be one of a tournament attempt, a daily challenge or a race.");
+  }
+  const room = await getUserRoom(user.id);
+  let entry = null;
+  if (tournament) {
+    const active = room && await getActiveFlappyTournament(room.id);
+    if (!active) {
+      throw new Error("There's no tournament running in your room.");
+    }
+    entry = { id: active.id, max_attempts: active.max_attempts, ends_at: active.ends_at };
+  }
+  
+  let course = null;
+  if (daily) {
+    course = await getDailyCourse();
+    course.max_attempts = FLAPPY_DAILY_ATTEMPTS || null;
+  }
+  
+  let racing = null;
+  if (race) {
+    racing = room && await getFlappyRaceEntry(room.id, user.id);
+    if (!racing) {
+      throw new Error("You're not in a race in your room.");
+    }
+    if (racing.run_id) {
+      throw new Error("You've already started this race.");
+    }
+    if (racing.missed_start) {
+      throw new Error("You missed the start of this race.");
+    }
+  }
+  
+  const token = crypto.randomBytes(16).toString("hex");
+  const seed = course ? course.seed : racing ? Number(racing.seed) : crypto.randomInt(2 ** 32);
+  // Attempts are counted and the run issued under the user's lock, so two tabs starting at
+  // once can't both take the last attempt
+  await withUserLock(USER_LOCKS.flappyRun, user.id, async (client) => {
+    if (entry) {
+      const attemptsUsed = await getTournamentAttempts(entry.id, user.id, client);
+      if (attemptsUsed >= entry.max_attempts) {
+        throw new Error(`You've used all ${entry.max_attempts} of your tournament attempts.`);
+      }
+      entry.attempt = attemptsUsed + 1;
+    }
+    if (course) {
+      const attemptsUsed = await getDailyAttempts(user.id, course.date, client);
+      if (FLAPPY_DAILY_ATTEMPTS && attemptsUsed >= FLAPPY_DAILY_ATTEMPTS) {
+        throw new Error(`You've used all ${FLAPPY_DAILY_ATTEMPTS} of today's daily challenge attempts.`);
+      }
+      course.attempt = attemptsUsed + 1;
+    }
+    
+    const inserted = await client.query(
+      "INSERT INTO flappy_runs (user_id, token, seed, room_id, tournament_id, daily_date, race_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id",
+      [user.id, token, seed, room?.id ?? null, entry?.id ?? null, course?.date ?? null, racing?.id ?? null]
+    );
+    if (racing) {
+      // Two tabs asking at once: only the first run is the racer's
+      const claimed = await client.query(
+        "UPDATE flappy_race_entries SET run_id = $1 WHERE race_id = $2 AND user_id = $3 AND run_id IS NULL",
+        [inserted.rows[0].id, racing.id, user.id]
+      );
+      if (claimed.rowCount === 0) {
+        throw new Error("You've already started this race.");
+      }
+    }
+  });
+  return {
+    token,
+    seed,
+    tournament: entry,
+    daily: course && { date: course.date, attempt: course.attempt, max_attempts: course.max_attempts },
+    race: racing && { id: racing.id, starts_in_ms: racing.starts_in_ms }
+  };
+}
+
+// Claims the run (a token scores once), replays its flaps and saves the score the replay earns.
+// Throws for a missing, used or expired token and for a timeline that doesn't replay.
+async function submitFlappyRun(user, token, flaps) {
+  if (typeof token !== "string" || token.length === 0) {
+    throw new Error("Scores need the run token the game was started with.");
+  }
+  // Tournament runs only count until the tournament's grace period is over
+  const result = await pool.query(`
+    UPDATE flappy_runs SET submitted_at = LOCALTIMESTAMP
+    WHERE token = $1 AND user_id = $2 AND submitted_at IS NULL
+      AND created_at > LOCALTIMESTAMP - make_interval(hours => $3)
+      AND (tournament_id IS NULL OR tournament_id IN (
+        SELECT id FROM flappy_tournaments
+        WHERE finished_at IS NULL AND ends_at + make_interval(mins => $4) > LOCALTIMESTAMP
+      ))
+    RETURNING id, seed, room_id, tournament_id, daily_date::text, race_id
+  `, [token, user.id, FLAPPY_RUN_MAX_AGE_HOURS, FLAPPY_TOURNAMENT_GRACE_MINUTES]);
+  const run = result.rows[0];
+  if (!run) {
+    const late = await pool.query(
+      "SELECT 1 FROM flappy_runs WHERE token = $1 AND user_id = $2 AND submitted_at IS NULL AND tournament_id IS NOT NULL",
+      [token, user.id]
+    );
+    if (late.rows.length > 0) {
+      throw new Error("That tournament is over, so this run no longer counts.");
+    }
+    throw new Error("That run token is unknown, expired or already used.");
+  }
+  
+  const replay = replayFlappyRun(Number(run.seed), flaps);
+  if (replay === null) {
+    throw new Error("Those flaps don't replay on this run's course.");
+  }
+  await saveFlappyBirdScore(user, replay.score, run);
+  if (run.race_id) {
+    try {
+      await recordFlappyRaceFinish(user, run, replay);
+    } catch (error) {
+      console.error("Error recording Flappy race finish:", error);
+    }
+  }
+  return { score: replay.score, daily_date: run.daily_date };
+}
+
+async function saveFlappyBirdScore(user, score, run) {
+  await pool.query(
+    "INSERT INTO flappy_bird_scores (user_id, score, run_id, room_id, tournament_id, daily_date, race_id) VALUES ($1, $2, $3, $4, $5, $6, $7)",
+    [user.id, score, run.id, run.room_id, run.tournament_id, run.daily_date, run.race_id]
+  );
+  
+  if (run.room_id) {
+    // As with drinks, the score stands even if an extra fails
+    try {
+      await awardAchievements(user, run.room_id, "flappy", { score });
+      await resolveChallenges(run.room_id);
+    } catch (error) {
+      console.error("Error updating achievements and challenges after a Flappy score:", error);
+    }
+    try {
+      await broadcastLeaderboard(run.room_id);
+    } catch (error) {
+      console.error("Error broadcasting leaderboard after a Flappy score:", error);
+    }
+  }
+}
+
+// Free-play standings for games played in a room, or the global top 10 without one
+async function getFlappyBirdLeaderboard(roomId = null) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, MAX(fbs.score) as best_score, COUNT(fbs.id) as games_played
+    FROM users u
+    JOIN flappy_bird_scores fbs ON u.id = fbs.user_id AND fbs.run_id IS NOT NULL AND fbs.daily_date IS NULL
+    WHERE $1::integer IS NULL OR fbs.room_id = $1
+    GROUP BY u.id, u.name
+    ORDER BY best_score DESC
+    ${roomId ? "" : "LIMIT 10"}
+  `, [roomId]);
+  return result.rows;
+}
+
+async function getUserBestFlappyScore(userId, roomId = null) {
+  const result = await pool.query(
+    "SELECT MAX(score) as best_score FROM flappy_bird_scores WHERE user_id = $1 AND run_id IS NOT NULL AND daily_date IS NULL AND ($2::integer IS NULL OR room_id = $2)",
+    [userId, roomId]
+  );
+  return result.rows[0]?.best_score || 0;
+}
+
+// A day's daily challenge standings: best score and attempts per player, for a room or the
+// global top 10. Attempts count issued runs, including ones that were never submitted.
+async function getDailyLeaderboard(date, roomId = null) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, MAX(fbs.score) as best_score,
+      (SELECT COUNT(*) FROM flappy_runs fr WHERE fr.user_id = u.id AND fr.daily_date = $1) as attempts
+    FROM users u
+    JOIN flappy_bird_scores fbs ON u.id = fbs.user_id AND fbs.run_id IS NOT NULL AND fbs.daily_date = $1
+    WHERE $2::integer IS NULL OR fbs.room_id = $2
+    GROUP BY u.id, u.name
+    ORDER BY best_score DESC, MIN(fbs.created_at)
+    ${roomId ? "" : "LIMIT 10"}
+  `, [date, roomId]);
+  return result.rows;
+}
+
+async function getUserBestDailyScore(userId, date) {
+  const result = await pool.query(
+    "SELECT MAX(score) as best_score FROM flappy_bird_scores WHERE user_id = $1 AND run_id IS NOT NULL AND daily_date = $2",
+    [userId, date]
+  );
+  return result.rows[0]?.best_score || 0;
+}
+
+// Today's daily challenge as shown on the leaderboard page and in the API
+async function getDailyChallenge(user = null, roomId = null) {
+  const { date } = await getDailyCourse();
+  return {
+    date,
+    max_attempts: FLAPPY_DAILY_ATTEMPTS || null,
+    attempts_used: user ? await getDailyAttempts(user.id, date) : null,
+    best_score: user ? await getUserBestDailyScore(user.id, date) : null,
+    leaderboard: await getDailyLeaderboard(date, roomId)
+  };
+}
+
+// Timed Flappy tournaments: best score over a limited number of attempts. Scores from runs
+// issued before the end still land during a short grace period; then the podium is posted.
+const FLAPPY_TOURNAMENT_GRACE_MINUTES = 2;
+
+async function getActiveFlappyTournament(roomId) {
+  const result = await pool.query(
+    "SELECT * FROM flappy_tournaments WHERE room_id = $1 AND finished_at IS NULL AND ends_at > LOCALTIMESTAMP ORDER BY id DESC LIMIT 1",
+    [roomId]
+  );
+  return result.rows[0] || null;
+}
+
+async function getTournamentAttempts(tournamentId, userId, db = pool) {
+  const result = await db.query(
+    "SELECT COUNT(*) as attempts FROM flappy_runs WHERE tournament_id = $1 AND user_id = $2",
+    [tournamentId, userId]
+  );
+  return parseInt(result.rows[0].attempts);
+}
+
+async function openFlappyTournament(room, user, { durationMinutes, maxAttempts }) {
+  const minutes = durationMinutes === undefined || durationMinutes === "" ? 30 : parseInt(durationMinutes);
+  if (isNaN(minutes) || minutes < 5 || minutes > 240) {
+    throw new Error("Tournaments last 5-240 minutes.");
+  }
+  const attempts = maxAttempts === undefined || maxAttempts === "" ? 3 : parseInt(maxAttempts);
+  if (isNaN(attempts) || attempts < 1 || attempts > 20) {
+    throw new Error("Players get 1-20 attempts.");
+  }
+  const running = await pool.query(
+    "SELECT 1 FROM flappy_tournaments WHERE room_id = $1 AND finished_at IS NULL",
+    [room.id]
+  );
+  if (running.rows.length > 0) {
+    throw new Error("This room already has a tournament running.");
+  }
+  
+  const result = await pool.query(
+    "INSERT INTO flappy_tournaments (room_id, created_by, max_attempts, ends_at) VALUES ($1, $2, $3, LOCALTIMESTAMP + make_interval(mins => $4)) RETURNING *",
+    [room.id, user.id, attempts, minutes]
+  );
+  await announceInRoom(room.id, user, `🐦 ${user.name} opened a Flappy Bird tournament: best of ${attempts} attempt${attempts === 1 ? "" : "s"}, ${formatDuration(minutes)} to play. Good luck!`);
+  return result.rows[0];
+}
+
+async function getTournamentStandings(tournamentId) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, MAX(fbs.score) as best_score, COUNT(fbs.id) as games_played
+    FROM flappy_bird_scores fbs
+    JOIN users u ON u.id = fbs.user_id
+    WHERE fbs.tournament_id = $1
+    GROUP BY u.id, u.name
+    ORDER BY best_score DESC, MIN(fbs.created_at) ASC
+  `, [tournamentId]);
+  return result.rows;
+}
+
+// The room's running tournament, or its most recent finished one, with standings
+async function getRoomFlappyTournament(roomId) {
+  const result = await pool.query(`
+    SELECT t.*, t.finished_at IS NULL AND t.ends_at > LOCALTIMESTAMP as is_open
+    FROM flappy_tournaments t
+    WHERE t.room_id = $1
+    ORDER BY t.id DESC LIMIT 1
+  `, [roomId]);
+  const tournament = result.rows[0];
+  if (!tournament) return null;
+  return { ...tournament, standings: await getTournamentStandings(tournament.id) };
+}
+
+function tournamentPodium(standings) {
+  return standings.slice(0, 3).map((s, i) => `${["🥇", "🥈", "🥉"][i]} ${s.name} (${s.best_score})`).join("  ");
+}
+
+// Closes tournaments past their end (plus grace) and posts the podium to the room
+async function finishFlappyTournaments() {
+  const result = await pool.query(`
+    UPDATE flappy_tournaments SET finished_at = LOCALTIMESTAMP
+    WHERE finished_at IS NULL AND ends_at + make_interval(mins => $1) <= LOCALTIMESTAMP
+    RETURNING id, room_id, created_by
+  `, [FLAPPY_TOURNAMENT_GRACE_MINUTES]);
+  
+  for (const tournament of result.rows) {
+    const standings = await getTournamentStandings(tournament.id);
+    const creator = await pool.query("SELECT id, name FROM users WHERE id = $1", [tournament.created_by]);
+    await announceInRoom(tournament.room_id, creator.rows[0], standings.length > 0
+      ? `🏁 The Flappy Bird tournament is over! ${tournamentPodium(standings)}`
+      : "🏁 The Flappy Bird tournament is over. Nobody scored this time!");
+  }
+  return result.rows.map(t => t.room_id);
+}
+
+// Live Flappy races: racers gather in a lobby, then everyone flies the same course from a shared
+// countdown while their positions are relayed as ghosts. A racer is out when their bird crashes;
+// the replayed number of ticks survived decides the finishing order.
+const FLAPPY_RACE_MAX_RACERS = 8;
+const FLAPPY_RACE_COUNTDOWN_SECONDS = 5;
+// Racers who haven't started their run this long after the start are left out
+const FLAPPY_RACE_LATE_START_SECONDS = 30;
+// Racers still flying (or who closed the game) after this long don't finish
+const FLAPPY_RACE_MAX_MINUTES = 15;
+const FLAPPY_RACE_LOBBY_MINUTES = 30;
+// A finish can't claim more ticks than fit between the start and now, give or take this much
+const FLAPPY_RACE_CLOCK_SLACK_SECONDS = 2;
+
+function raceRoom(roomId) {
+  return `race:${roomId}`;
+}
+
+async function getOpenFlappyRace(roomId) {
+  const result = await pool.query(
+    "SELECT * FROM flappy_races WHERE room_id = $1 AND status IN ('lobby', 'racing') ORDER BY id DESC LIMIT 1",
+    [roomId]
+  );
+  return result.rows[0] || null;
+}
+
+// The user's entry in the race running in a room, with the course seed and the countdown left
+async function getFlappyRaceEntry(roomId, userId) {
+  const result = await pool.query(`
+    SELECT r.id, r.seed, e.run_id,
+      GREATEST(0, EXTRACT(EPOCH FROM r.started_at + make_interval(secs => $3) - LOCALTIMESTAMP) * 1000)::integer as starts_in_ms,
+      r.started_at + make_interval(secs => $4) < LOCALTIMESTAMP as missed_start
+    FROM flappy_races r
+    JOIN flappy_race_entries e ON e.race_id = r.id AND e.user_id = $2
+    WHERE r.room_id = $1 AND r.status = 'racing'
+    ORDER BY r.id DESC LIMIT 1
+  `, [roomId, userId, FLAPPY_RACE_COUNTDOWN_SECONDS, FLAPPY_RACE_COUNTDOWN_SECONDS + FLAPPY_RACE_LATE_START_SECONDS]);
+  return result.rows[0] || null;
+}
+
+// The room's open or running race, or else its last finished one. Racers still flying come
+// first, then everyone who's out from the last to crash to the first.
+async function getRoomFlappyRace(roomId) {
+  const result = await pool.query(`
+    SELECT r.id, r.created_by, r.status, r.created_at, r.started_at, r.finished_at,
+      CASE WHEN r.status <> 'racing' THEN NULL
+        ELSE GREATEST(0, EXTRACT(EPOCH FROM r.started_at + make_interval(secs => $2) - LOCALTIMESTAMP) * 1000)::integer
+      END as starts_in_ms
+    FROM flappy_races r
+    WHERE r.room_id = $1 AND r.status <> 'cancelled'
+    ORDER BY r.id DESC LIMIT 1
+  `, [roomId, FLAPPY_RACE_COUNTDOWN_SECONDS]);
+  const race = result.rows[0];
+  if (!race) return null;
+  
+  const racers = await pool.query(`
+    SELECT u.id, u.name, e.score, e.ticks, e.position, e.run_id IS NOT NULL as started, e.finished_at IS NOT NULL as out
+    FROM flappy_race_entries e
+    JOIN users u ON u.id = e.user_id
+    WHERE e.race_id = $1
+    ORDER BY e.position NULLS LAST, e.finished_at DESC NULLS FIRST, u.name
+  `, [race.id]);
+  return { ...race, max_racers: FLAPPY_RACE_MAX_RACERS, racers: racers.rows };
+}
+
+async function openFlappyRace(room, user) {
+  if (await getOpenFlappyRace(room.id)) {
+    throw new Error("There's already a race open in this room.");
+  }
+  const result = await pool.query(
+    "INSERT INTO flappy_races (room_id, created_by, seed) VALUES ($1, $2, $3) RETURNING id",
+    [room.id, user.id, crypto.randomInt(2 ** 32)]
+  );
+  await pool.query(
+    "INSERT INTO flappy_race_entries (race_id, user_id) VALUES ($1, $2)",
+    [result.rows[0].id, user.id]
+  );
+  await announceInRoom(room.id, user, `🏁 ${user.name} opened a Flappy Bird race. Open the game to join in!`);
+}
+
+async function joinFlappyRace(room, user) {
+  const race = await getOpenFlappyRace(room.id);
+  if (!race || race.status !== "lobby") {
+    throw new Error("There's no race waiting for racers in this room.");
+  }
+  const racers = await pool.query("SELECT COUNT(*) as count FROM flappy_race_entries WHERE race_id = $1", [race.id]);
+  if (parseInt(racers.rows[0].count) >= FLAPPY_RACE_MAX_RACERS) {
+    throw new Error(`This race is full (${FLAPPY_RACE_MAX_RACERS} racers).`);
+  }
+  await pool.query(
+    "INSERT INTO flappy_race_entries (race_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING",
+    [race.id, user.id]
+  );
+}
+
+// Leaving the lobby you opened calls the race off
+async function leaveFlappyRace(room, user) {
+  const race = await getOpenFlappyRace(room.id);
+  if (!race || race.status !== "lobby") {
+    throw new Error("There's no race waiting for racers in this room.");
+  }
+  if (race.created_by === user.id) {
+    await pool.query("UPDATE flappy_races SET status = 'cancelled', finished_at = LOCALTIMESTAMP WHERE id = $1", [race.id]);
+  } else {
+    await pool.query("DELETE FROM flappy_race_entries WHERE race_id = $1 AND user_id = $2", [race.id, user.id]);
+  }
+}
+
+async function startFlappyRace(room, user) {
+  const race = await getOpenFlappyRace(room.id);
+  if (!race || race.status !== "lobby") {
+    throw new Error("There's no race waiting for racers in this room.");
+  }
+  if (race.created_by !== user.id) {
+    throw new Error("Only the racer who opened the race can start it.");
+  }
+  const racers = await pool.query("SELECT COUNT(*) as count FROM flappy_race_entries WHERE race_id = $1", [race.id]);
+  if (parseInt(racers.rows[0].count) < 2) {
+    throw new Error("A race needs at least two racers.");
+  }
+  await pool.query(
+    "UPDATE flappy_races SET status = 'racing', started_at = LOCALTIMESTAMP WHERE id = $1 AND status = 'lobby'",
+    [race.id]
+  );
+}
+
+const FLAPPY_RACE_ACTIONS = {
+  open: openFlappyRace,
+  join: joinFlappyRace,
+  leave: leaveFlappyRace,
+  start: startFlappyRace
+};
+
+// Runs a lobby action (open, join, leave or start) and pushes the new race state to the room
+async function flappyRaceAction(room, user, action) {
+  await FLAPPY_RACE_ACTIONS[action](room, user);
+  await broadcastFlappyRace(room.id);
+  return getRoomFlappyRace(room.id);
+}
+
+async function broadcastFlappyRace(roomId) {
+  io.to(raceRoom(roomId)).emit('race-updated', await getRoomFlappyRace(roomId));
+}
+
+// A racer's run came in: they're out. The race ends once nobody is left flying.
+async function recordFlappyRaceFinish(user, run, replay) {
+  // Ticks are capped at the race time that has actually passed (60 a second after the countdown),
+  // so a run flown slowly or paused can't outlast the others
+  const result = await pool.query(`
+    UPDATE flappy_race_entries SET score = $1, finished_at = LOCALTIMESTAMP,
+      ticks = LEAST($2, GREATEST(0, FLOOR(
+        (EXTRACT(EPOCH FROM (LOCALTIMESTAMP - (SELECT started_at FROM flappy_races WHERE id = $3))) - $5) * 60
+      ))::integer)
+    WHERE race_id = $3 AND run_id = $4 AND finished_at IS NULL
+      AND race_id IN (SELECT id FROM flappy_races WHERE status = 'racing')
+  `, [replay.score, replay.ticks, run.race_id, run.id, FLAPPY_RACE_COUNTDOWN_SECONDS - FLAPPY_RACE_CLOCK_SLACK_SECONDS]);
+  if (result.rowCount === 0) return;
+  
+  io.to(raceRoom(run.room_id)).emit('race-eliminated', {
+    race_id: run.race_id,
+    user: { id: user.id, name: user.name },
+    score: replay.score
+  });
+  await settleFlappyRaces(run.race_id);
+  await broadcastFlappyRace(run.room_id);
+}
+
+// Finishing positions for the racers who landed a run: longest flight wins, and a tie goes to
+// whoever's run came in first. Racers who never finished get no position.
+function rankFlappyRacers(entries) {
+  return entries
+    .filter(e => e.finished_at !== null)
+    .sort((a, b) => b.ticks - a.ticks || a.finished_at - b.finished_at)
+    .map((e, i) => ({ user_id: e.user_id, position: i + 1 }));
+}
+
+function racePodium(racers) {
+  return racers
+    .filter(r => r.position !== null)
+    .slice(0, 3)
+    .map((r, i) => `${["🥇", "🥈", "🥉"][i]} ${r.name} (${r.score})`)
+    .join("  ");
+}
+
+// Finishes races with nobody left flying (or that ran out of time), ranks the racers and posts
+// the result to the room. The periodic sweep (no raceId) also calls off lobbies nobody started.
+// Returns the rooms whose race changed.
+async function settleFlappyRaces(raceId = null) {
+  const cancelled = raceId ? { rows: [] } : await pool.query(`
+    UPDATE flappy_races SET status = 'cancelled', finished_at = LOCALTIMESTAMP
+    WHERE status = 'lobby' AND created_at < LOCALTIMESTAMP - make_interval(mins => $1)
+    RETURNING room_id
+  `, [FLAPPY_RACE_LOBBY_MINUTES]);
+  
+  const finished = await pool.query(`
+    UPDATE flappy_races r SET status = 'finished', finished_at = LOCALTIMESTAMP
+    WHERE r.status = 'racing' AND ($1::integer IS NULL OR r.id = $1)
+      AND (r.started_at < LOCALTIMESTAMP - make_interval(mins => $2)
+        OR NOT EXISTS (
+          SELECT 1 FROM flappy_race_entries e
+          WHERE e.race_id = r.id AND e.finished_at IS NULL
+            AND (e.run_id IS NOT NULL OR r.started_at + make_interval(secs => $3) >= LOCALTIMESTAMP)
+        ))
+    RETURNING r.id, r.room_id, r.created_by
+  `, [raceId, FLAPPY_RACE_MAX_MINUTES, FLAPPY_RACE_COUNTDOWN_SECONDS + FLAPPY_RACE_LATE_START_SECONDS]);
+  
+  for (const race of finished.rows) {
+    const entries = await pool.query(
+      "SELECT user_id, ticks, finished_at FROM flappy_race_entries WHERE race_id = $1",
+      [race.id]
+    );
+    for (const { user_id, position } of rankFlappyRacers(entries.rows)) {
+      await pool.query(
+        "UPDATE flappy_race_entries SET position = $1 WHERE race_id = $2 AND user_id = $3",
+        [position, race.id, user_id]
+      );
+    }
+    
+    const { racers } = await getRoomFlappyRace(race.room_id);
+    const winner = racers.find(r => r.position === 1);
+    const creator = await pool.query("SELECT id, name FROM users WHERE id = $1", [race.created_by]);
+    await announceInRoom(race.room_id, creator.rows[0], winner
+      ? `🏁 ${winner.name} won the Flappy Bird race! ${racePodium(racers)}`
+      : "🏁 The Flappy Bird race is over. Nobody finished this time!");
+  }
+  return [...new Set([...cancelled.rows, ...finished.rows].map(r => r.room_id))];
+}
+
+// Flappy scores from games played in the room, newest first
+async function getRoomFlappyScores(roomId) {
+  const result = await pool.query(`
+    SELECT fbs.id, fbs.user_id, u.name, fbs.score, fbs.run_id IS NOT NULL as verified, fbs.tournament_id, fbs.daily_date::text, fbs.race_id, fbs.created_at
+    FROM flappy_bird_scores fbs
+    JOIN users u ON fbs.user_id = u.id
+    WHERE fbs.room_id = $1
+    ORDER BY fbs.created_at DESC
+  `, [roomId]);
+  return result.rows;
+}
+
+// Room data exports (CSV and JSON), members only
+const EXPORT_DATASETS = ["entries", "leaderboard", "flappy"];
+
+async function getRoomEntriesForExport(roomId) {
+  const result = await pool.query(`
+    SELECT be.id, be.created_at, be.user_id, u.name, u.user_type, be.drink_type, be.volume_ml, be.abv,
+      ROUND((be.volume_ml * be.abv / 100 * ${ETHANOL_DENSITY} / ${STANDARD_DRINK_GRAMS})::numeric, 2) as standard_drinks
+    FROM beer_entries be
+    JOIN users u ON be.user_id = u.id
+    WHERE be.room_id = $1
+    ORDER BY be.created_at ASC
+  `, [roomId]);
+  return result.rows;
+}
+
+async function buildRoomExport(room) {
+  const timeWindow = await resolveTimeWindow(defaultWindowName(room), room);
+  const leaderboard = await getLeaderboard(room.id, "count", timeWindow);
+  const ranked = (rows) => rows.map((d, i) => ({
+    rank: i + 1,
+    user_id: d.id,
+    name: d.name,
+    count: parseInt(d.count),
+    standard_drinks: parseFloat(d.standard_drinks),
+    grams: parseFloat(d.grams)
+  }));
+  
+  return {
+    room: { code: room.room_code, name: room.name, starts_at: room.starts_at, ends_at: room.ends_at },
+    generated_at: new Date(),
+    leaderboard: {
+      window: { name: defaultWindowName(room), ...timeWindow },
+      total: await getTotalBeerCount(room.id, timeWindow),
+      participants: ranked(leaderboard.participants),
+      observers: ranked(leaderboard.observers)
+    },
+    entries: await getRoomEntriesForExport(room.id),
+    flappy_scores: await getRoomFlappyScores(room.id)
+  };
+}
+
+// Quotes a CSV cell; text starting with =, +, - or @ is prefixed so spreadsheets don't run it as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "number") return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns.join(","), ...rows.map(row => columns.map(c => csvCell(row[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+function roomExportCsv(data, dataset) {
+  if (dataset === "entries") {
+    return toCsv(["id", "created_at", "user_id", "name", "user_type", "drink_type", "volume_ml", "abv", "standard_drinks"], data.entries);
+  }
+  if (dataset === "leaderboard") {
+    const rows = [
+      ...data.leaderboard.participants.map(d => ({ ...d, user_type: "participant" })),
+      ...data.leaderboard.observers.map(d => ({ ...d, user_type: "observer" }))
+    ];
+    return toCsv(["user_type", "rank", "user_id", "name", "count", "standard_drinks", "grams"], rows);
+  }
+  return toCsv(["id", "created_at", "user_id", "name", "score", "verified", "tournament_id", "daily_date", "race_id"], data.flappy_scores);
+}
+
+// Historical tally import: CSV rows of name, timestamp and drink type
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_HEADERS = {
+  name: ["name", "person", "who"],
+  timestamp: ["timestamp", "time", "date", "created_at", "when"],
+  drink: ["drink", "drink_type", "type"]
+};
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  
+  return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+// Accepts a preset key ("pint") or a drink type ("light beer"); blank means the default preset
+function resolveImportDrink(value) {
+  const key = String(value || "").trim().toLowerCase().replace(/\s+/g, "_");
+  if (!key) return resolveDrink({});
+  if (DRINK_PRESETS[key]) return resolveDrink({ preset: key });
+  const preset = Object.keys(DRINK_PRESETS).find(k => DRINK_PRESETS[k].drink_type === key);
+  return preset ? resolveDrink({ preset }) : null;
+}
+
+// Reads the CSV's rows and columns. Throws for a file that can't be imported at all; problems
+// with single rows are reported by planTallyImport instead.
+function parseTallyImport(csvText) {
+  const rows = parseCsv(String(csvText || ""));
+  if (rows.length === 0) {
+    throw new Error("The CSV is empty.");
+  }
+  
+  let columns = { name: 0, timestamp: 1, drink: 2 };
+  let firstLine = 1;
+  const header = rows[0].map(c => c.trim().toLowerCase());
+  if (header.some(c => IMPORT_HEADERS.name.includes(c))) {
+    columns = Object.fromEntries(Object.entries(IMPORT_HEADERS).map(([field, names]) => [field, header.findIndex(c => names.includes(c))]));
+    rows.shift();
+    firstLine = 2;
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new Error(`Imports are limited to ${IMPORT_MAX_ROWS} rows.`);
+  }
+  return { rows, columns, firstLine };
+}
+
+// Works out what importing a parsed CSV would do without writing anything. Each row gets a
+// deterministic idempotency key, so rows that were already imported are reported as duplicates.
+async function planTallyImport(room, { rows, columns, firstLine }, db = pool) {
+  // Everyone who was ever in the room, including placeholders from earlier imports
+  const members = await db.query(`
+    SELECT u.id, u.name FROM users u
+    JOIN room_participants rp ON rp.user_id = u.id
+    WHERE rp.room_id = $1
+  `, [room.id]);
+  const membersByName = new Map();
+  for (const member of members.rows) {
+    const key = member.name.trim().toLowerCase();
+    membersByName.set(key, [...(membersByName.get(key) || []), member.id]);
+  }
+  
+  const occurrences = new Map();
+  const plan = rows.map((cells, i) => {
+    const cell = (field) => columns[field] >= 0 ? (cells[columns[field]] || "").trim() : "";
+    const row = { line: i + firstLine, name: cell("name"), timestamp: cell("timestamp"), drink_label: cell("drink"), status: "new" };
+    
+    const createdAt = new Date(row.timestamp);
+    row.drink = resolveImportDrink(row.drink_label);
+    if (!row.name || row.name.length > 30) {
+      row.error = "Name must be 1-30 characters";
+    } else if (!row.timestamp || isNaN(createdAt.getTime())) {
+      row.error = "Unreadable timestamp";
+    } else if (createdAt.getTime() > Date.now()) {
+      row.error = "Timestamp is in the future";
+    } else if (!row.drink) {
+      row.error = `Unknown drink type "${row.drink_label}"`;
+    }
+    
+    const matches = membersByName.get(row.name.toLowerCase()) || [];
+    if (!row.error && matches.length > 1) {
+      row.error = "More than one member has this name";
+    }
+    if (row.error) {
+      row.status = "error";
+      return row;
+    }
+    
+    row.created_at = createdAt;
+    row.user_id = matches[0] || null;
+    // Identical rows (two drinks noted at the same minute) stay distinct through their occurrence count
+    const signature = [room.id, row.name.toLowerCase(), createdAt.toISOString(), row.drink.drink_type].join("|");
+    occurrences.set(signature, (occurrences.get(signature) || 0) + 1);
+    row.idempotency_key = "import-" + crypto.createHash("sha256").update(`${signature}|${occurrences.get(signature)}`).digest("hex").slice(0, 48);
+    return row;
+  });
+  
+  const keys = plan.filter(r => r.user_id).map(r => r.idempotency_key);
+  const existing = await db.query(
+    "SELECT idempotency_key FROM beer_entries WHERE room_id = $1 AND idempotency_key = ANY($2)",
+    [room.id, keys]
+  );
+  const imported = new Set(existing.rows.map(r => r.idempotency_key));
+  for (const row of plan) {
+    if (row.user_id && imported.has(row.idempotency_key)) row.status = "duplicate";
+  }
+  
+  const newNames = [...new Set(plan.filter(r => r.status === "new" && !r.user_id).map(r => r.name))]
+    .filter((name, i, names) => names.findIndex(n => n.toLowerCase() === name.toLowerCase()) === i);
+  return { rows: plan, new_names: newNames };
+}
+
+// Carries out a plan from planTallyImport, creating placeholder users (inactive members, so they
+// only appear on the leaderboard) for names nobody in the room has. Returns counts for the summary message.
+async function runTallyImport(room, plan) {
+  const client = await pool.connect();
+  let imported = 0;
+  try {
+    await client.query("BEGIN");
+    
+    const placeholderIds = new Map();
+    for (const name of plan.new_names) {
+      const user = await client.query(
+        "INSERT INTO users (session_id, name, user_type, room_id) VALUES ($1, $2, 'participant', $3) RETURNING id",
+        [`import:${crypto.randomUUID()}`, name, room.id]
+      );
+      await client.query(
+        "INSERT INTO room_participants (room_id, user_id, is_active) VALUES ($1, $2, false)",
+        [room.id, user.rows[0].id]
+      );
+      placeholderIds.set(name.toLowerCase(), user.rows[0].id);
+    }
+    
+    for (const row of plan.rows.filter(r => r.status === "new")) {
+      const result = await client.query(`
+        INSERT INTO beer_entries (user_id, room_id, drink_type, volume_ml, abv, idempotency_key, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (user_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+      `, [
+        row.user_id || placeholderIds.get(row.name.toLowerCase()), room.id,
+        row.drink.drink_type, row.drink.volume_ml, row.drink.abv, row.idempotency_key, row.created_at
+      ]);
+      imported += result.rowCount;
+    }
+    
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  // The import has committed; a failed broadcast mustn't make it look like it needs redoing
+  try {
+    await broadcastLeaderboard(room.id);
+  } catch (error) {
+    console.error("Error broadcasting leaderboard after an import:", error);
+  }
+  return {
+    imported,
+    duplicates: plan.rows.filter(r => r.status === "duplicate").length,
+    errors: plan.rows.filter(r => r.status === "error").length,
+    placeholders: plan.new_names.length
+  };
+}
+
+// Room statistics, rendered as inline SVG so the dashboard works without any CDN
+const STREAK_GAP_MINUTES = 60;
+const STATS_CHART_PEOPLE = 10;
+const CHART_COLORS = ["#667eea", "#e53e3e", "#38a169", "#d69e2e", "#805ad5", "#dd6b20", "#3182ce", "#d53f8c", "#319795", "#718096"];
+
+async function getRoomStats(roomId, timeWindow) {
+  const params = [roomId];
+  const result = await pool.query(`
+    SELECT be.user_id, u.name, u.user_type, be.created_at, EXTRACT(HOUR FROM be.created_at)::int as hour,
+      be.volume_ml * be.abv / 100 * ${ETHANOL_DENSITY} / ${STANDARD_DRINK_GRAMS} as standard_drinks
+    FROM beer_entries be
+    JOIN users u ON be.user_id = u.id
+    WHERE be.room_id = $1${timeWindowCondition(timeWindow, params)}
+    ORDER BY be.created_at ASC
+  `, params);
+  
+  const hourly = Array(24).fill(0);
+  const people = new Map();
+  for (const entry of result.rows) {
+    hourly[entry.hour]++;
+    if (!people.has(entry.user_id)) {
+      people.set(entry.user_id, { user_id: entry.user_id, name: entry.name, user_type: entry.user_type, times: [], standard_drinks: 0 });
+    }
+    const person = people.get(entry.user_id);
+    person.times.push(new Date(entry.created_at).getTime());
+    person.standard_drinks += parseFloat(entry.standard_drinks);
+  }
+  
+  const perPerson = [...people.values()].map(p => {
+    // Longest run of drinks each within STREAK_GAP_MINUTES of the one before
+    let streak = 1;
+    let longestStreak = 1;
+    // Most drinks inside any 60-minute span
+    let fastestHour = 0;
+    let windowStart = 0;
+    p.times.forEach((t, i) => {
+      if (i > 0) {
+        streak = t - p.times[i - 1] <= STREAK_GAP_MINUTES * 60 * 1000 ? streak + 1 : 1;
+        longestStreak = Math.max(longestStreak, streak);
+      }
+      while (t - p.times[windowStart] >= 60 * 60 * 1000) windowStart++;
+      fastestHour = Math.max(fastestHour, i - windowStart + 1);
+    });
+    
+    return {
+      user_id: p.user_id,
+      name: p.name,
+      user_type: p.user_type,
+      count: p.times.length,
+      standard_drinks: Math.round(p.standard_drinks * 10) / 10,
+      longest_streak: longestStreak,
+      fastest_hour: fastestHour,
+      first_drink_at: new Date(p.times[0]),
+      last_drink_at: new Date(p.times[p.times.length - 1]),
+      times: p.times.map(t => new Date(t))
+    };
+  }).sort((a, b) => b.count - a.count);
+  
+  const breakdown = {};
+  for (const type of USER_TYPES) {
+    const group = perPerson.filter(p => p.user_type === type);
+    const drinks = group.reduce((sum, p) => sum + p.count, 0);
+    breakdown[type] = {
+      people: group.length,
+      drinks,
+      standard_drinks: Math.round(group.reduce((sum, p) => sum + p.standard_drinks, 0) * 10) / 10,
+      average: group.length > 0 ? Math.round(drinks / group.length * 10) / 10 : 0
+    };
+  }
+  
+  const rows = result.rows;
+  const drinkMoment = (entry) => entry && { user_id: entry.user_id, name: entry.name, created_at: entry.created_at };
+  return {
+    total: rows.length,
+    first_drink: drinkMoment(rows[0]),
+    last_drink: drinkMoment(rows[rows.length - 1]),
+    hourly,
+    breakdown,
+    people: perPerson
+  };
+}
+
+// Step lines of each person's running total over time
+function cumulativeChartSvg(people, width = 600, height = 260) {
+  const pad = 30;
+  const times = people.flatMap(p => p.times.map(t => t.getTime()));
+  const start = Math.min(...times);
+  const end = Math.max(...times);
+  const span = Math.max(end - start, 60 * 1000);
+  const maxCount = Math.max(...people.map(p => p.count));
+  const x = (t) => (pad + (t - start) / span * (width - pad * 2)).toFixed(1);
+  const y = (n) => (height - pad - n / maxCount * (height - pad * 2)).toFixed(1);
+  
+  const lines = people.map((p, i) => {
+    const points = [];
+    p.times.forEach((t, n) => {
+      points.push(`${x(t.getTime())},${y(n)}`, `${x(t.getTime())},${y(n + 1)}`);
+    });
+    points.push(`${x(end)},${y(p.count)}`);
+    return `<polyline fill="none" stroke="${CHART_COLORS[i % CHART_COLORS.length]}" stroke-width="2" points="${points.join(" ")}"/>`;
+  }).join("");
+  
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Drinks over time per person">
+    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#cbd5e0"/>
+    <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#cbd5e0"/>
+    <text x="${pad - 6}" y="${height - pad}" text-anchor="end" font-size="11" fill="#718096">0</text>
+    <text x="${pad - 6}" y="${pad + 4}" text-anchor="end" font-size="11" fill="#718096">${maxCount}</text>
+    ${lines}
+  </svg>`;
+}
+
+function hourlyChartSvg(hourly, width = 600, height = 200) {
+  const pad = 24;
+  const max = Math.max(1, ...hourly);
+  const barWidth = (width - pad * 2) / 24;
+  const bars = hourly.map((count, hour) => {
+    const barHeight = count / max * (height - pad * 2);
+    const x = pad + hour * barWidth;
+    return `<rect x="${(x + 2).toFixed(1)}" y="${(height - pad - barHeight).toFixed(1)}" width="${(barWidth - 4).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#667eea"><title>${hour}:00 – ${count} drink${count === 1 ? "" : "s"}</title></rect>` +
+      (hour % 3 === 0 ? `<text x="${(x + barWidth / 2).toFixed(1)}" y="${height - 8}" text-anchor="middle" font-size="11" fill="#718096">${hour}h</text>` : "");
+  }).join("");
+  
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img" aria-label="Drinks per hour of the day">
+    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#cbd5e0"/>
+    <text x="${pad - 4}" y="${pad + 4}" text-anchor="end" font-size="11" fill="#718096">${max}</text>
+    ${bars}
+  </svg>`;
+}
+
+// HTML template
+const html = (body) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🍻 Beer Tally</title>
+  <link rel="manifest" href="/manifest.webmanifest">
+  <link rel="icon" href="/icon.svg" type="image/svg+xml">
+  <link rel="apple-touch-icon" href="/icon.svg">
+  <meta name="theme-color" content="#667eea">
+  <meta name="apple-mobile-web-app-capable" content="yes">
+  <script>
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').catch(() => {});
+    }
+  </script>
+  <style>
+    * {
+      box-sizing: border-box;
+      margin: 0;
+      padding: 0;
+    }
+    
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+      line-height: 1.6;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      color: #2d3748;
+    }
+    
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      padding: 1rem;
+    }
+    
+    .header {
+      text-align: center;
+      color: white;
+      margin-bottom: 2rem;
+    }
+    
+    .header h1 {
+      font-size: 3rem;
+      font-weight: 700;
+      margin-bottom: 0.5rem;
+      text-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    }
+    
+    .header p {
+      font-size: 1.2rem;
+      opacity: 0.9;
+    }
+    
+    .main-content {
+      background: white;
+      border-radius: 16px;
+      box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+      overflow: hidden;
+    }
+    
+    .welcome-section {
+      padding: 3rem 2rem;
+      text-align: center;
+    }
+    
+    .welcome-section h2 {
+      font-size: 2rem;
+      margin-bottom: 1rem;
+      color: #2d3748;
+    }
+    
+    .welcome-section p {
+      font-size: 1.1rem;
+      color: #718096;
+      margin-bottom: 2rem;
+    }
+    
+    .container {
+      max-width: 800px;
+      margin: 0 auto;
+      background: white;
+      border-radius: 12px;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+      overflow: hidden;
+    }
+    
+    .content {
+      padding: 1.5rem;
+    }
+    
+    .total-counter {
+      background: linear-gradient(135deg, #e8f4f8 0%, #d4edda 100%);
+      padding: 1.5rem;
+      border-radius: 12px;
+      margin-bottom: 1.5rem;
+      text-align: center;
+      border: 2px solid #bee5eb;
+    }
+    
+    .total-counter h2 {
+      margin: 0;
+      color: #2c5282;
+      font-size: 1.25rem;
+      font-weight: 600;
+    }
+    
+    .total-number {
+      font-size: 3rem;
+      font-weight: 800;
+      color: #d53f8c;
+      display: block;
+      margin-top: 0.5rem;
+    }
+    
+    .user-info {
+      background: #f8f9fa;
+      padding: 1rem;
+      border-radius: 8px;
+      margin-bottom: 1.5rem;
+      text-align: center;
+    }
+    
+    .user-info p {
+      margin: 0;
+      font-size: 1.1rem;
+      color: #495057;
+    }
+    
+    .form-section {
+      text-align: center;
+      padding: 2rem;
+    }
+    
+    .form-section h1 {
+      color: #2d3748;
+      margin-bottom: 1.5rem;
+      font-size: 1.8rem;
+    }
+    
+    .submit-btn {
+      background: linear-gradient(135deg, #4299e1 0%, #3182ce 100%);
+      color: white;
+      border: none;
+      padding: 0.75rem 2rem;
+      border-radius: 8px;
+      font-size: 1.1rem;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      margin-top: 1rem;
+    }
+    
+    .submit-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 8px 20px rgba(0, 0, 0, 0.2);
+    }
+    
+    .remove-btn {
+      background: linear-gradient(135deg, #fc8181 0%, #e53e3e 100%);
+      padding: 0.5rem 0.75rem;
+      font-size: 0.9rem;
+      min-width: 80px;
+      min-height: 36px;
+      opacity: 0.8;
+    }
+    
+    .remove-btn:hover {
+      opacity: 1;
+    }
+    
+    .leaderboard {
+      margin-top: 2rem;
+    }
+    
+    .leaderboard h2 {
+      color: #2d3748;
+      font-size: 1.5rem;
+      margin-bottom: 1rem;
+      text-align: center;
+    }
+    
+    .table-container {
+      overflow-x: auto;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+      margin-bottom: 1rem;
+    }
+    
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      background: white;
+    }
+    
+    th, td {
+      padding: 0.75rem;
+      text-align: left;
+      border-bottom: 1px solid #e2e8f0;
+    }
+    
+    th {
+      background: #f7fafc;
+      font-weight: 600;
+      color: #4a5568;
+      font-size: 0.9rem;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+    }
+    
+    tr:hover {
+      background: #f8f9fa;
+    }
+    
+    .current-user {
+      background: #e6fffa !important;
+      font-weight: 600;
+    }
+    
+    .current-user:hover {
+      background: #b2f5ea !important;
+    }
+    
+    .loading {
+      text-align: center;
+      padding: 2rem;
+      color: #718096;
+    }
+    
+    button {
+      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
+      color: white;
+      border: none;
+      padding: 0.75rem 1.5rem;
+      border-radius: 8px;
+      font-size: 1.1rem;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      min-width: 120px;
+      min-height: 48px;
+    }
+    
+    button:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+    }
+    
+    button:active {
+      transform: translateY(0);
+    }
+    
+    button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+      transform: none;
+    }
+    
+    input[type="text"],
+    input[type="password"],
+    input[type="datetime-local"] {
+      padding: 0.75rem;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 1.1rem;
+      width: 100%;
+      max-width: 300px;
+      margin-bottom: 1rem;
+    }
+    
+    input[type="text"]:focus,
+    input[type="password"]:focus,
+    input[type="datetime-local"]:focus {
+      outline: none;
+      border-color: #4299e1;
+      box-shadow: 0 0 0 3px rgba(66, 153, 225, 0.1);
+    }
+    
+    /* Mobile optimizations */
+    @media (max-width: 768px) {
+      body {
+        padding: 0.5rem;
+      }
+      
+      .header h1 {
+        font-size: 1.5rem;
+      }
+      
+      .total-number {
+        font-size: 2.5rem;
+      }
+      
+      .content {
+        padding: 1rem;
+      }
+      
+      .button-group {
+        flex-direction: column;
+        gap: 0.75rem;
+      }
+      
+      .beer-controls {
+        flex-direction: column;
+        gap: 0.5rem;
+        width: 100%;
+      }
+      
+      button {
+        width: 100%;
+        min-height: 52px;
+        font-size: 1rem;
+      }
+      
+      .add-beer-btn {
+        width: 100%;
+        min-height: 55px;
+        font-size: 1.2rem;
+      }
+      
+      .remove-btn {
+        width: 100%;
+        min-height: 42px;
+        font-size: 0.85rem;
+      }
+      
+      th, td {
+        padding: 0.5rem;
+        font-size: 0.9rem;
+      }
+      
+      .total-counter {
+        padding: 1rem;
+      }
+      
+      .total-counter h2 {
+        font-size: 1.1rem;
+      }
+    }
+    
+    @media (max-width: 480px) {
+      .header h1 {
+        font-size: 1.3rem;
+      }
+      
+      .total-number {
+        font-size: 2rem;
+      }
+      
+      th, td {
+        padding: 0.4rem;
+        font-size: 0.8rem;
+      }
+    }
+    
+    .form-group {
+      margin-bottom: 1.5rem;
+    }
+    
+    .form-group label {
+      display: block;
+      font-weight: 600;
+      margin-bottom: 0.5rem;
+      color: #4a5568;
+    }
+    
+    input[type="text"],
+    input[type="password"],
+    input[type="datetime-local"] {
+      width: 100%;
+      max-width: 300px;
+      padding: 0.75rem 1rem;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 1.1rem;
+      transition: border-color 0.2s;
+    }
+    
+    input[type="text"]:focus,
+    input[type="password"]:focus,
+    input[type="datetime-local"]:focus {
+      outline: none;
+      border-color: #667eea;
+      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
+    }
+    
+    .button-group {
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+      justify-content: center;
+      align-items: center;
+      margin: 1rem 0;
+    }
+    
+    .btn {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      border: none;
+      padding: 0.75rem 2rem;
+      border-radius: 8px;
+      font-size: 1.1rem;
+      font-weight: 600;
+      cursor: pointer;
+      transition: all 0.2s;
+      text-decoration: none;
+      display: inline-block;
+      min-width: 150px;
+    }
+    
+    .btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 8px 20px rgba(0, 0, 0, 0.2);
+    }
+    
+    .btn:active {
+      transform: translateY(0);
+    }
+    
+    .btn-secondary {
+      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
+    }
+    
+    .btn-danger {
+      background: linear-gradient(135deg, #fc8181 0%, #e53e3e 100%);
+    }
+    
+    /* Beer Tally specific button styles */
+    .beer-controls {
+      display: flex;
+      gap: 0.75rem;
+      align-items: center;
+      justify-content: center;
+      margin-bottom: 1rem;
+    }
+    
+    .add-beer-btn {
+      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
+      color: white;
+      border: none;
+      padding: 1rem 2rem;
+      border-radius: 8px;
+      font-size: 1.3rem;
+      font-weight: 700;
+      cursor: pointer;
+      transition: all 0.2s;
+      min-width: 180px;
+      min-height: 60px;
+    }
+    
+    .add-beer-btn:hover {
+      transform: translateY(-2px);
+      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+    }
+    
+    .add-beer-btn:active {
+      transform: translateY(0);
+    }
+    
+    .game-controls {
+      display: flex;
+      gap: 0.5rem;
+      justify-content: center;
+      flex-wrap: wrap;
+    }
+    
+    .room-info {
+      background: #f7fafc;
+      padding: 1.5rem;
+      border-radius: 12px;
+      margin-bottom: 2rem;
+      text-align: center;
+    }
+    
+    .room-code {
+      font-size: 2rem;
+      font-weight: 800;
+      color: #667eea;
+      letter-spacing: 2px;
+      margin: 0.5rem 0;
+      font-family: 'Courier New', monospace;
+    }
+    
+    .room-switcher select {
+      padding: 0.5rem;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 1rem;
+      max-width: 100%;
+      margin-bottom: 0.5rem;
+    }
+    
+    .drink-preset,
+    .rank-selector select,
+    .team-picker select {
+      padding: 0.5rem;
+      border: 2px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 1rem;
+      max-width: 100%;
+    }
+    
+    .drink-preset {
+      display: block;
+      margin: 0 auto 0.5rem;
+    }
+    
+    .rank-selector {
+      text-align: center;
+      margin-bottom: 1rem;
+      color: #4a5568;
+    }
+    
+    .rank-selector label {
+      margin-left: 0.5rem;
+    }
+    
+    .podium {
+      text-align: center;
+      font-size: 1.2rem;
+      font-weight: bold;
+      margin-bottom: 1rem;
+    }
+    
+    .team-picker {
+      margin-top: 0.5rem;
+    }
+    
+    .team-picker label {
+      margin-right: 0.5rem;
+    }
+    
+    .event-times {
+      text-align: center;
+      color: #718096;
+      margin-bottom: 1rem;
+    }
+    
+    .drinking-stats {
+      font-size: 0.95rem !important;
+      margin-top: 0.5rem !important;
+    }
+    
+    .estimate-badge {
+      background: #fefcbf;
+      color: #975a16;
+      border-radius: 4px;
+      padding: 0 0.4rem;
+      font-size: 0.8rem;
+    }
+    
+    .nudge {
+      background: #ebf8ff;
+      border-left: 4px solid #4299e1;
+      color: #2c5282;
+      border-radius: 4px;
+      padding: 0.5rem 0.75rem;
+      margin-top: 0.75rem !important;
+      font-size: 0.95rem !important;
+    }
+    
+    .hydration-controls {
+      margin-top: 0.75rem;
+    }
+    
+    .hydration-btn {
+      background: #4299e1;
+      color: white;
+      border: none;
+      border-radius: 20px;
+      padding: 0.4rem 1rem;
+      margin: 0 0.25rem;
+      cursor: pointer;
+      font-size: 0.9rem;
+    }
+    
+    .offline-status {
+      background: #fefcbf;
+      color: #744210;
+      border-radius: 4px;
+      padding: 0.5rem 0.75rem;
+      margin-top: 0.75rem !important;
+      font-size: 0.9rem !important;
+    }
+    
+    .chart {
+      width: 100%;
+      height: auto;
+      background: #f7fafc;
+      border-radius: 8px;
+      margin: 0.5rem 0;
+    }
+    
+    .chart-legend {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.75rem;
+      font-size: 0.85rem;
+      margin-bottom: 1.5rem;
+    }
+    
+    .chart-legend i {
+      display: inline-block;
+      width: 0.8rem;
+      height: 0.8rem;
+      border-radius: 2px;
+      margin-right: 0.3rem;
+      vertical-align: middle;
+    }
+    
+    .stats-cards {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 1rem;
+      margin: 1rem 0 1.5rem;
+    }
+    
+    .stats-card {
+      flex: 1;
+      min-width: 150px;
+      background: #f7fafc;
+      border-radius: 8px;
+      padding: 1rem;
+      text-align: center;
+      font-size: 0.85rem;
+      color: #718096;
+    }
+    
+    .stats-value {
+      display: block;
+      font-size: 1.5rem;
+      font-weight: bold;
+      color: #2d3748;
+    }
+    
+    .export-links {
+      text-align: center;
+      margin-top: 1rem;
+      font-size: 0.9rem;
+      color: #4a5568;
+    }
+    
+    .export-links a {
+      color: #667eea;
+    }
+    
+    .my-drinks-link {
+      color: #667eea;
+      font-size: 0.9rem;
+      margin-left: 0.5rem;
+    }
+    
+    .challenges {
+      margin: 1.5rem 0;
+    }
+    
+    .challenges h2 {
+      margin-bottom: 0.5rem;
+    }
+    
+    .challenges ul {
+      list-style: none;
+      padding: 0;
+    }
+    
+    .challenges li {
+      padding: 0.4rem 0;
+      border-bottom: 1px solid #edf2f7;
+    }
+    
+    .challenges li.challenge-finished,
+    .challenges p,
+    .time-left {
+      color: #718096;
+    }
+    
+    .challenge-btn {
+      background: #667eea;
+      color: white;
+      border: none;
+      border-radius: 12px;
+      padding: 0.2rem 0.75rem;
+      cursor: pointer;
+      font-size: 0.85rem;
+    }
+    
+    .challenge-form {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.5rem;
+      align-items: center;
+      margin-top: 0.5rem;
+    }
+    
+    .challenge-help {
+      font-size: 0.85rem;
+    }
+    
+    .corrections,
+    .team-list {
+      list-style: none;
+      padding: 0;
+      font-size: 0.9rem;
+      color: #4a5568;
+    }
+    
+    .team-list li {
+      padding: 0.4rem 0;
+    }
+    
+    .corrections li {
+      padding: 0.4rem 0;
+      border-bottom: 1px solid #edf2f7;
+    }
+    
+    .badge {
+      cursor: help;
+    }
+    
+    .pace-flag {
+      font-size: 0.8rem;
+      cursor: help;
+    }
+    
+    .estimate-warning {
+      font-size: 0.8rem;
+      color: #718096;
+      text-align: center;
+      margin-bottom: 1rem;
+    }
+    
+    .rank-changed {
+      animation: rank-flash 1.5s ease-out;
+    }
+    
+    @keyframes rank-flash {
+      from { background: #fefcbf; }
+      to { background: transparent; }
+    }
+    
+    .error {
+      background: #fed7d7;
+      color: #c53030;
+      padding: 1rem;
+      border-radius: 8px;
+      margin-bottom: 1rem;
+      text-align: center;
+    }
+    
+    .success {
+      background: #c6f6d5;
+      color: #2f855a;
+      padding: 1rem;
+      border-radius: 8px;
+      margin-bottom: 1rem;
+      text-align: center;
+    }
+    
+    /* Chat room styles */
+    .chat-container {
+      display: flex;
+      height: 600px;
+    }
+    
+    .participants-panel {
+      width: 250px;
+      background: #f7fafc;
+      padding: 1rem;
+      border-right: 1px solid #e2e8f0;
+    }
+    
+    .participants-panel h3 {
+      margin-bottom: 1rem;
+      color: #4a5568;
+    }
+    
+    .participant {
+      padding: 0.5rem;
+      margin-bottom: 0.5rem;
+      background: white;
+      border-radius: 6px;
+      font-size: 0.9rem;
+    }
+    
+    .participant.current-user {
+      background: #e6fffa;
+      color: #2c7a7b;
+      font-weight: 600;
+    }
+    
+    .chat-main {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .messages-container {
+      flex: 1;
+      padding: 1rem;
+      overflow-y: auto;
+      background: #fafafa;
+    }
+    
+    .message {
+      margin-bottom: 1rem;
+      padding: 0.75rem;
+      background: white;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    
+    .message.own-message {
+      background: #e6fffa;
+      margin-left: 2rem;
+    }
+    
+    .message-author {
+      font-weight: 600;
+      color: #4a5568;
+      font-size: 0.9rem;
+      margin-bottom: 0.25rem;
+    }
+    
+    .message-content {
+      color: #2d3748;
+    }
+    
+    .message-time {
+      font-size: 0.8rem;
+      color: #a0aec0;
+      margin-top: 0.25rem;
+    }
+    
+    .message-input-container {
+      padding: 1rem;
+      background: white;
+      border-top: 1px solid #e2e8f0;
+      display: flex;
+      gap: 0.5rem;
+    }
+    
+    .message-input {
+      flex: 1;
+      padding: 0.75rem;
+      border: 1px solid #e2e8f0;
+      border-radius: 8px;
+      font-size: 1rem;
+    }
+    
+    .send-btn {
+      padding: 0.75rem 1.5rem;
+      background: #667eea;
+      color: white;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      font-weight: 600;
+    }
+    
+    .send-btn:hover {
+      background: #5a6fd8;
+    }
+    
+    /* Mobile responsiveness */
+    @media (max-width: 768px) {
+      .header h1 {
+        font-size: 2rem;
+      }
+      
+      .welcome-section {
+        padding: 2rem 1rem;
+      }
+      
+      .chat-container {
+        flex-direction: column;
+        height: auto;
+        min-height: 500px;
+      }
+      
+      .participants-panel {
+        width: 100%;
+        max-height: 150px;
+        overflow-y: auto;
+      }
+      
+      .button-group {
+        flex-direction: column;
+        align-items: center;
+      }
+      
+      .beer-controls {
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+      
+      .add-beer-btn {
+        width: 100%;
+        max-width: 280px;
+        min-height: 55px;
+        font-size: 1.2rem;
+      }
+      
+      .game-controls {
+        flex-direction: column;
+        gap: 0.5rem;
+      }
+      
+      .btn {
+        width: 100%;
+        max-width: 300px;
+      }
+    }
+  </style>
+</head>
+<body>
+  ${body}
+</body>
+</html>`;
+
+// Routes
+app.get("/", async (req, res) => {
+  try {
+    // Check if database is connected
+    if (!dbConnected) {
+      return res.send(
+        html(`<div class="container">
+          <div class="header">
+            <h1>🍺 Beer Tally</h1>
+          </div>
+          <div class="content">
+            <div class="total-counter">
+              <h2>Total Beers Consumed</h2>
+              <span class="total-number">0</span>
+            </div>
+            <div class="loading">
+              <p>⏳ Setting up database connection... Please refresh in a moment.</p>
+            </div>
+          </div>
+        </div>
+        <script>setTimeout(() => location.reload(), 3000);</script>`)
+      );
+    }
+
+    const user = await getOrCreateUser(req.session.id);
+    
+    if (!user) {
+      return res.send(
+        html(`<div class="container">
+          <div class="header">
+            <h1>🍺 Beer Tally</h1>
+          </div>
+          <div class="content">
+            <div class="form-section">
+              <h1>What's your name?</h1>
+              <form action="/set-name" method="POST">
+                <input type="text" name="name" placeholder="Enter your name" required maxlength="30">
+                <button type="submit" class="submit-btn">Start Tallying</button>
+              </form>
+              
+              <div class="button-group">
+                <form action="/set-name" method="POST" style="display: inline;">
+                  <input type="hidden" name="name" value="Observer">
+                  <input type="hidden" name="user_type" value="observer">
+                  <button type="submit" class="submit-btn" style="background: linear-gradient(135deg, #a0aec0 0%, #718096 100%);">Join as Observer</button>
+                </form>
+              </div>
+              <p style="margin-top: 1rem;"><a href="/login" style="color: #667eea;">Already have an account? Log in</a></p>
+            </div>
+          </div>
+        </div>`)
+      );
+    }
+
+    const room = await getUserRoom(user.id);
+    
+    if (!room) {
+      return res.send(
+        html(`<div class="container">
+          <div class="header">
+            <h1>🍺 Beer Tally</h1>
+          </div>
+          <div class="content">
+            <div class="user-info">
+              <p>Hi, <strong>${escape(user.name)}</strong>! You're not in a room yet.</p>
+            </div>
+            <div class="button-group">
+              <a href="/create-room" class="btn">Create New Room</a>
+              <a href="/join-room" class="btn btn-secondary">Join Room</a>
+            </div>
+            ${isAdmin(user) ? `<div style="text-align: center; margin-top: 1rem;"><a href="/all-rooms" style="color: #667eea;">🌍 All Rooms</a></div>` : ''}
+          </div>
+        </div>`)
+      );
+    }
+    
+    const windowName = LEADERBOARD_WINDOWS[req.query.window] ? req.query.window : defaultWindowName(room);
+    const timeWindow = await resolveTimeWindow(windowName, room);
+    const totalBeerCount = await getTotalBeerCount(room.id, timeWindow);
+    const userBeerCount = await getBeerCount(user.id, room.id);
+    const myStats = (await getDrinkingStats([user.id])).get(user.id);
+    const rankBy = LEADERBOARD_RANKINGS[req.query.rank] ? req.query.rank : "count";
+    const leaderboard = await getLeaderboard(room.id, rankBy, timeWindow);
+    const userRooms = await getUserRooms(user.id);
+    const nudges = await getSafetyNudges(user, room);
+    const corrections = await getRoomCorrections(room.id, 5);
+    const myTeamId = leaderboard.teams.length > 0 ? await getMemberTeamId(room.id, user.id) : null;
+    const challenges = await getRoomChallenges(room.id);
+    const opponents = (await getRoomMembers(room.id)).filter(m => m.id !== user.id);
+    
+    const tallyError = req.session.error;
+    delete req.session.error;
+    // Organizers see a discreet flag next to anyone drinking faster than the room's pace alert
+    const paceFlags = canManageRoom(await getRoomRole(user.id, room)) ? await getPaceFlags(room) : null;
+    const paceFlag = (d) => paceFlags && paceFlags.has(d.id) ? ' <span class="pace-flag" title="Over the room\'s pace alert">🚩</span>' : '';
+
+    const participantRows = leaderboard.participants
+      .map((d, i) => {
+        const isCurrentUser = d.id === user.id;
+        return `<tr data-user-id="${d.id}"${
+          isCurrentUser ? ' class="current-user"' : ""
+        }><td>${i + 1}</td><td>${escape(d.name)}${formatBadges(d.badges)}${paceFlag(d)}</td><td>${d.count}</td><td>${d.standard_drinks}</td><td>${formatPace(d.pace)}</td><td>${formatBac(d.bac)}</td></tr>`;
+      })
+      .join("");
+
+    const observerRows = leaderboard.observers
+      .map((d, i) => {
+        const isCurrentUser = d.id === user.id;
+        return `<tr data-user-id="${d.id}"${
+          isCurrentUser ? ' class="current-user"' : ""
+        }><td>${i + 1}</td><td>${escape(d.name)}${formatBadges(d.badges)}${paceFlag(d)}</td><td>${d.count}</td><td>${d.standard_drinks}</td><td>${formatPace(d.pace)}</td><td>${formatBac(d.bac)}</td></tr>`;
+      })
+      .join("");
+
+    const challengeButton = (c, action, label) => `<form action="/challenges/${c.id}/${action}" method="POST" style="display: inline;"><button type="submit" class="challenge-btn">${label}</button></form>`;
+    const challengeItems = challenges.map(c => {
+      const buttons = [];
+      if (c.status === "pending" && c.opponent.id === user.id) buttons.push(challengeButton(c, "accept", "Accept"), challengeButton(c, "decline", "Decline"));
+      if (c.status === "pending" && c.challenger.id === user.id) buttons.push(challengeButton(c, "cancel", "Cancel"));
+      const timeLeft = c.status === "active" ? ` <span class="time-left" data-ends-at="${c.ends_at.toISOString()}"></span>` : '';
+      return `<li class="challenge-${c.status}">${escape(c.summary)}${timeLeft} ${buttons.join(' ')}</li>`;
+    }).join("");
+
+    const teamRows = leaderboard.teams
+      .map((t, i) => `<tr${t.id === myTeamId ? ' class="current-user"' : ''}><td>${i + 1}</td><td>${escape(t.name)}</td><td>${t.members}</td><td>${t.count}</td><td>${t.standard_drinks}</td><td>${t.per_capita.count}</td><td>${t.per_capita.standard_drinks}</td></tr>`)
+      .join("");
+
+    res.send(
+      html(`<div class="container">
+        <div class="header">
+          <h1>🍺 Beer Tally</h1>
+        </div>
+        <div class="content">
+          <div class="room-info">
+            <h3>${escape(room.name)}</h3>
+            <div class="room-code">${escape(room.room_code)}</div>
+            <form action="/switch-room" method="POST" class="room-switcher">
+              <select name="roomCode" onchange="this.form.submit()">
+                ${userRooms.map(r => `<option value="${escape(r.room_code)}"${r.id === room.id ? ' selected' : ''}>${escape(r.name)} (${escape(r.room_code)})</option>`).join('')}
+              </select>
+              <noscript><button type="submit" class="btn">Switch</button></noscript>
+            </form>
+            <p><a href="/room/${escape(room.room_code)}" style="color: #667eea;">💬 Room chat</a> · <a href="/room/${escape(room.room_code)}/stats" style="color: #667eea;">📊 Stats</a> · <a href="/join-room" style="color: #667eea;">Join another room</a>${isAdmin(user) ? ' · <a href="/all-rooms" style="color: #667eea;">🌍 All Rooms</a>' : ''}</p>
+          </div>
+          <div class="total-counter">
+            <h2>Total Beers Consumed${windowName === 'all' ? '' : ` (${LEADERBOARD_WINDOWS[windowName]})`}</h2>
+            <span class="total-number" id="total-number">${totalBeerCount}</span>
+          </div>
+          <div class="error" id="tally-error"${tallyError ? '' : ' style="display: none;"'}>${tallyError ? escape(tallyError) : ''}</div>
+          <div class="user-info">
+            <p>Hi, <strong>${escape(user.name)}</strong>${user.user_type === 'observer' ? ' 👀' : ' 🍺'}! You've had <strong id="user-beer-count">${userBeerCount}</strong> <span id="user-beer-label">beer${userBeerCount === 1 ? "" : "s"}</span>.</p>
+            <p class="drinking-stats" id="drinking-stats">Pace: <strong>${formatPace(myStats.pace)}</strong> · Last drink: <strong>${formatMinutesAgo(myStats.minutes_since_last)}</strong>${myStats.bac !== null ? ` · Est. BAC: <strong>${formatBac(myStats.bac)}</strong> <span class="estimate-badge">estimate only</span>` : ` · <a href="/account" style="color: #667eea;">Add weight for a BAC estimate</a>`}</p>
+            <p class="offline-status" id="offline-status" style="display: none;"></p>
+            <div id="nudges">${nudges.map(n => `<p class="nudge">${escape(n)}</p>`).join('')}</div>
+            ${room.hydration_mode ? `<div class="hydration-controls">
+              ${Object.entries(HYDRATION_KINDS).map(([kind, label]) => `<form action="/hydrate" method="POST" style="display: inline;" class="tally-form">
+                <input type="hidden" name="kind" value="${kind}">
+                <button type="submit" class="hydration-btn">+ ${label}</button>
+              </form>`).join('')}
+            </div>` : ''}
+            ${leaderboard.teams.length > 0 && room.teams_self_select ? `<form action="/team" method="POST" class="team-picker">
+              <label for="team_id">Team:</label>
+              <select name="team_id" id="team_id" onchange="this.form.submit()">
+                <option value="">No team</option>
+                ${leaderboard.teams.map(t => `<option value="${t.id}"${t.id === myTeamId ? ' selected' : ''}>${escape(t.name)}</option>`).join('')}
+              </select>
+              <noscript><button type="submit" class="btn">Join</button></noscript>
+            </form>` : ''}
+            ${user.username ? '' : `<p style="font-size: 0.9rem; margin-top: 0.5rem;"><a href="/account" style="color: #667eea;">🔒 Claim your account</a> so your tally survives cleared cookies and new phones.</p>`}
+          </div>
+          <div class="button-group">
+            <div class="beer-controls">
+              <form action="/add" method="POST" style="display: inline;" class="tally-form queueable">
+                <input type="hidden" name="idempotency_key" value="${crypto.randomUUID()}">
+                <select name="preset" class="drink-preset" aria-label="Drink" ${user.user_type === 'observer' ? 'disabled' : ''}>
+                  ${Object.entries(DRINK_PRESETS).map(([key, p]) => `<option value="${key}"${key === DEFAULT_DRINK_PRESET ? ' selected' : ''}>${p.label} · ${p.volume_ml}ml ${p.abv}%</option>`).join('')}
+                </select>
+                <button type="submit" class="add-beer-btn" ${user.user_type === 'observer' ? 'disabled' : ''}>+1 Beer 🍺</button>
+              </form>
+              <form action="/remove" method="POST" style="display: inline;" class="tally-form queueable">
+                <button type="submit" class="remove-btn" ${user.user_type === 'observer' ? 'disabled' : ''}>undo</button>
+              </form>
+              <a href="/my-drinks" class="my-drinks-link">📝 My drinks</a>
+            </div>
+            <div class="game-controls">
+              <a href="/game" style="display:inline-block; padding:10px 20px; background:#FF6B6B; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🐦 Play Flappy Bird!</a>
+              <a href="/flappy-leaderboard" style="display:inline-block; margin-left:10px; padding:10px 20px; background:#9B59B6; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🏆 Bird Scores</a>
+            </div>
+          </div>
+          <div class="challenges">
+            <h2>⚔️ Challenges</h2>
+            <ul id="challenges-list">${challengeItems}</ul>
+            <p id="no-challenges"${challenges.length > 0 ? ' style="display: none;"' : ''}>No challenges yet. Think you can out-drink someone?</p>
+            ${opponents.length > 0 ? `<details>
+              <summary>Challenge someone</summary>
+              <form action="/challenges" method="POST" class="challenge-form">
+                <select name="opponent_id" aria-label="Opponent" required>
+                  ${opponents.map(m => `<option value="${m.id}">${escape(m.name)}</option>`).join('')}
+                </select>
+                <select name="kind" aria-label="Challenge">
+                  ${Object.entries(CHALLENGE_KINDS).map(([key, k]) => `<option value="${key}">${k.emoji} ${k.label}</option>`).join('')}
+                </select>
+                <label>Target: <input type="number" name="target" min="1" max="50" value="10" style="width: 4rem;"> drinks</label>
+                <label>Time limit: <input type="number" name="duration_minutes" min="5" max="1440" placeholder="60" style="width: 5rem;"> min</label>
+                <button type="submit" class="btn">Send Challenge</button>
+              </form>
+              <p class="challenge-help">The target only counts for "first to N drinks". "Beat my Flappy score" uses your best score. Leave the time limit empty for the default.</p>
+            </details>` : ''}
+          </div>
+          <div class="leaderboard">
+            <form method="GET" action="/" class="rank-selector">
+              <label for="rank">Rank by:</label>
+              <select name="rank" id="rank" onchange="this.form.submit()">
+                <option value="count"${rankBy === 'count' ? ' selected' : ''}>Drinks logged</option>
+                <option value="standard"${rankBy === 'standard' ? ' selected' : ''}>Standard drinks</option>
+                <option value="grams"${rankBy === 'grams' ? ' selected' : ''}>Grams of alcohol</option>
+              </select>
+              <label for="window">Window:</label>
+              <select name="window" id="window" onchange="this.form.submit()">
+                ${Object.entries(LEADERBOARD_WINDOWS).map(([key, label]) => `<option value="${key}"${windowName === key ? ' selected' : ''}>${label}</option>`).join('')}
+              </select>
+              <noscript><button type="submit" class="btn">Apply</button></noscript>
+            </form>
+            ${room.starts_at || room.ends_at ? `<p class="event-times" data-starts-at="${room.starts_at ? room.starts_at.toISOString() : ''}" data-ends-at="${room.ends_at ? room.ends_at.toISOString() : ''}"></p>` : ''}
+            <div id="teams-section"${teamRows.length > 0 ? '' : ' style="display: none;"'}>
+              <h2>🤝 Teams</h2>
+              <div class="table-container">
+                <table><thead><tr><th>#</th><th>Team</th><th>Members</th><th>Beers</th><th>Std drinks</th><th>Beers/person</th><th>Std/person</th></tr></thead><tbody id="teams-body">${teamRows}</tbody></table>
+              </div>
+            </div>
+            <h2${teamRows.length > 0 ? ' style="margin-top: 2rem;"' : ''}>🏆 Participants</h2>
+            <div class="table-container">
+              <table><thead><tr><th>#</th><th>Name</th><th>Beers</th><th>Std drinks</th><th>Pace</th><th>BAC*</th></tr></thead><tbody id="participants-body">${participantRows}</tbody></table>
+            </div>
+            <p class="estimate-warning">* BAC is a rough Widmark estimate for people who entered their weight. It is <strong>not</strong> a measurement; never use it to decide whether you can drive.</p>
+            <div id="observers-section"${observerRows.length > 0 ? '' : ' style="display: none;"'}>
+              <h2 style="margin-top: 2rem;">👀 Observers</h2>
+              <div class="table-container">
+                <table><thead><tr><th>#</th><th>Name</th><th>Beers</th><th>Std drinks</th><th>Pace</th><th>BAC*</th></tr></thead><tbody id="observers-body">${observerRows}</tbody></table>
+              </div>
+            </div>
+            ${corrections.length > 0 ? `
+            <h2 style="margin-top: 2rem;">✏️ Recent corrections</h2>
+            <ul class="corrections">
+              ${corrections.map(c => `<li>${describeCorrection(c)}</li>`).join('')}
+            </ul>` : ''}
+          </div>
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/rooms" style="display:inline-block; padding:8px 16px; background:#667eea; color:white; text-decoration:none; border-radius:5px; font-size:0.9rem;">🏠 Room System</a>
+            <a href="/account" style="display:inline-block; margin-left:10px; padding:8px 16px; background:#718096; color:white; text-decoration:none; border-radius:5px; font-size:0.9rem;">👤 Account</a>
+          </div>
+        </div>
+      </div>
+      
+      <script src="/socket.io/socket.io.js"></script>
+      <script>
+        const socket = io();
+        const currentUserId = ${user.id};
+        const roomCode = ${JSON.stringify(room.room_code)};
+        const rankColumn = ${JSON.stringify(LEADERBOARD_RANKINGS[rankBy])};
+        const windowName = ${JSON.stringify(windowName)};
+        const leaderboardUrl = ${JSON.stringify(`/api/v1/rooms/${room.room_code}/leaderboard?rank=${rankBy}&window=${windowName}`)};
+        const totalNumber = document.getElementById('total-number');
+        const userBeerCount = document.getElementById('user-beer-count');
+        const userBeerLabel = document.getElementById('user-beer-label');
+        const myTeamId = ${JSON.stringify(myTeamId)};
+        const paceFlagsUrl = ${paceFlags ? JSON.stringify(`/api/v1/rooms/${room.room_code}/pace-flags`) : 'null'};
+        let paceFlags = new Set(${JSON.stringify(paceFlags ? [...paceFlags] : [])});
+        
+        socket.emit('watch-leaderboard', ${JSON.stringify(room.room_code)});
+        
+        // Re-subscribe after reconnects so a flaky bar connection keeps updating
+        socket.io.on('reconnect', () => {
+          socket.emit('watch-leaderboard', ${JSON.stringify(room.room_code)});
+        });
+        
+        socket.on('leaderboard-updated', async (data) => {
+          if (data.challenges) renderChallenges(data.challenges);
+          
+          // The personal count is always all-time for this room
+          const me = data.participants.concat(data.observers).find(d => d.id === currentUserId);
+          if (me) {
+            const count = parseInt(me.count);
+            userBeerCount.textContent = count;
+            userBeerLabel.textContent = count === 1 ? 'beer' : 'beers';
+            
+            const stats = document.getElementById('drinking-stats').querySelectorAll('strong');
+            stats[0].textContent = formatPace(me.pace);
+            stats[1].textContent = me.minutes_since_last === null ? '—' : (me.minutes_since_last < 60 ? me.minutes_since_last + ' min ago' : Math.floor(me.minutes_since_last / 60) + 'h ' + (me.minutes_since_last % 60) + 'm ago');
+            if (stats[2]) stats[2].textContent = formatBac(me.bac);
+          }
+          
+          // Broadcasts carry all-time counts; other windows re-fetch their own numbers
+          if (windowName !== 'all') {
+            try {
+              const response = await fetch(leaderboardUrl);
+              if (!response.ok) return;
+              data = await response.json();
+            } catch (error) {
+              return;
+            }
+          }
+          
+          if (paceFlagsUrl) {
+            try {
+              const response = await fetch(paceFlagsUrl);
+              if (response.ok) paceFlags = new Set((await response.json()).user_ids);
+            } catch (error) {
+              // Keep the previous flags
+            }
+          }
+          
+          totalNumber.textContent = data.total;
+          renderRows(document.getElementById('participants-body'), sortEntries(data.participants));
+          renderRows(document.getElementById('observers-body'), sortEntries(data.observers));
+          document.getElementById('observers-section').style.display = data.observers.length > 0 ? '' : 'none';
+          renderTeams(sortEntries(data.teams || []));
+        });
+        
+        // Show event times in the viewer's own timezone
+        document.querySelectorAll('.event-times').forEach(el => {
+          const format = (iso) => iso ? new Date(iso).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' }) : null;
+          const start = format(el.dataset.startsAt);
+          const end = format(el.dataset.endsAt);
+          el.textContent = '📅 Event: ' + (start || '…') + ' – ' + (end || '…');
+        });
+        
+        document.querySelectorAll('time.local-time').forEach(el => {
+          el.textContent = new Date(el.dateTime).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+        });
+        
+        function formatPace(pace) {
+          return pace === null || pace === undefined ? '—' : pace + '/hr';
+        }
+        
+        function formatBac(bac) {
+          return bac === null || bac === undefined ? '—' : bac.toFixed(3) + '%';
+        }
+        
+        // Broadcasts arrive ordered by count, so re-rank by the metric this page shows
+        function sortEntries(entries) {
+          return entries.slice().sort((a, b) =>
+            parseFloat(b[rankColumn]) - parseFloat(a[rankColumn]) || parseInt(b.count) - parseInt(a.count)
+          );
+        }
+        
+        function renderRows(tbody, entries) {
+          // Remember old ranks so rows that moved can be flagged
+          const previousRanks = {};
+          tbody.querySelectorAll('tr').forEach((row, i) => {
+            previousRanks[row.dataset.userId] = i;
+          });
+          
+          tbody.innerHTML = '';
+          entries.forEach((d, i) => {
+            const row = document.createElement('tr');
+            row.dataset.userId = d.id;
+            if (d.id === currentUserId) row.className = 'current-user';
+            
+            const previous = previousRanks[d.id];
+            let marker = '';
+            if (previous !== undefined && previous > i) marker = ' ▲';
+            if (previous !== undefined && previous < i) marker = ' ▼';
+            if (marker) row.classList.add('rank-changed');
+            
+            [String(i + 1) + marker, d.name, d.count, d.standard_drinks, formatPace(d.pace), formatBac(d.bac)].forEach(value => {
+              const cell = document.createElement('td');
+              cell.textContent = value;
+              row.appendChild(cell);
+            });
+            (d.badges || []).forEach(b => {
+              const badge = document.createElement('span');
+              badge.className = 'badge';
+              badge.title = b.label;
+              badge.textContent = ' ' + b.emoji;
+              row.children[1].appendChild(badge);
+            });
+            if (paceFlags.has(d.id)) {
+              const flag = document.createElement('span');
+              flag.className = 'pace-flag';
+              flag.title = "Over the room's pace alert";
+              flag.textContent = ' 🚩';
+              row.children[1].appendChild(flag);
+            }
+            tbody.appendChild(row);
+          });
+        }
+        
+        function renderChallenges(challenges) {
+          const list = document.getElementById('challenges-list');
+          list.innerHTML = '';
+          challenges.forEach(c => {
+            const item = document.createElement('li');
+            item.className = 'challenge-' + c.status;
+            item.textContent = c.summary;
+            if (c.status === 'active') {
+              const timeLeft = document.createElement('span');
+              timeLeft.className = 'time-left';
+              timeLeft.dataset.endsAt = c.ends_at;
+              item.append(' ', timeLeft);
+            }
+            const actions = [];
+            if (c.status === 'pending' && c.opponent.id === currentUserId) actions.push(['accept', 'Accept'], ['decline', 'Decline']);
+            if (c.status === 'pending' && c.challenger.id === currentUserId) actions.push(['cancel', 'Cancel']);
+            actions.forEach(([action, label]) => {
+              const form = document.createElement('form');
+              form.action = '/challenges/' + c.id + '/' + action;
+              form.method = 'POST';
+              form.style.display = 'inline';
+              const button = document.createElement('button');
+              button.type = 'submit';
+              button.className = 'challenge-btn';
+              button.textContent = label;
+              form.appendChild(button);
+              item.append(' ', form);
+            });
+            list.appendChild(item);
+          });
+          document.getElementById('no-challenges').style.display = challenges.length > 0 ? 'none' : '';
+          updateTimeLeft();
+        }
+        
+        function updateTimeLeft() {
+          document.querySelectorAll('.time-left').forEach(el => {
+            const minutes = Math.max(0, Math.ceil((new Date(el.dataset.endsAt) - Date.now()) / 60000));
+            el.textContent = '· ' + (minutes < 60 ? minutes + ' min' : Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm') + ' left';
+          });
+        }
+        updateTimeLeft();
+        setInterval(updateTimeLeft, 30000);
+        
+        function renderTeams(teams) {
+          const tbody = document.getElementById('teams-body');
+          tbody.innerHTML = '';
+          teams.forEach((t, i) => {
+            const row = document.createElement('tr');
+            if (t.id === myTeamId) row.className = 'current-user';
+            [i + 1, t.name, t.members, t.count, t.standard_drinks, t.per_capita.count, t.per_capita.standard_drinks].forEach(value => {
+              const cell = document.createElement('td');
+              cell.textContent = value;
+              row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+          });
+          document.getElementById('teams-section').style.display = teams.length > 0 ? '' : 'none';
+        }
+        
+        function newIdempotencyKey() {
+          return crypto.randomUUID ? crypto.randomUUID() : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+        }
+        
+        function showTallyError(text) {
+          const box = document.getElementById('tally-error');
+          box.textContent = text || '';
+          box.style.display = text ? '' : 'none';
+        }
+        
+        function renderNudges(nudges) {
+          const container = document.getElementById('nudges');
+          container.innerHTML = '';
+          nudges.forEach(text => {
+            const p = document.createElement('p');
+            p.className = 'nudge';
+            p.textContent = text;
+            container.appendChild(p);
+          });
+        }
+        
+        // +1 and undo taps made without signal wait in localStorage and sync with their original times
+        const queueKey = 'beertally-queue-' + currentUserId;
+        let syncing = false;
+        
+        function loadQueue() {
+          try {
+            return JSON.parse(localStorage.getItem(queueKey)) || [];
+          } catch (error) {
+            return [];
+          }
+        }
+        
+        // Keys of the drinks this phone logged, so an offline undo deletes that exact drink rather
+        // than whatever happens to be latest by the time it syncs
+        const loggedKey = 'beertally-logged-' + currentUserId;
+        
+        function loadLogged() {
+          try {
+            return JSON.parse(localStorage.getItem(loggedKey)) || [];
+          } catch (error) {
+            return [];
+          }
+        }
+        
+        function rememberLogged(key, room) {
+          const logged = loadLogged().filter(drink => drink.key !== key);
+          logged.push({ key, room });
+          localStorage.setItem(loggedKey, JSON.stringify(logged.slice(-50)));
+        }
+        
+        function forgetLogged(key) {
+          localStorage.setItem(loggedKey, JSON.stringify(loadLogged().filter(drink => drink.key !== key)));
+        }
+        
+        function saveQueue(queue) {
+          localStorage.setItem(queueKey, JSON.stringify(queue));
+          const status = document.getElementById('offline-status');
+          status.textContent = '📴 ' + queue.length + (queue.length === 1 ? ' change is' : ' changes are') + " saved on this phone and will sync when you're back online.";
+          status.style.display = queue.length > 0 ? '' : 'none';
+        }
+        
+        function adjustOwnCount(delta) {
+          const count = Math.max(0, parseInt(userBeerCount.textContent) + delta);
+          userBeerCount.textContent = count;
+          userBeerLabel.textContent = count === 1 ? 'beer' : 'beers';
+        }
+        
+        function queueTap(form) {
+          const queue = loadQueue();
+          if (form.action.endsWith('/remove')) {
+            const last = queue[queue.length - 1];
+            if (last && last.type === 'add' && last.room === roomCode) {
+              // Undoing a drink that never left the phone just drops it
+              queue.pop();
+            } else {
+              const undoing = new Set(queue.filter(item => item.type === 'undo').map(item => item.idempotency_key));
+              const drink = loadLogged().filter(d => d.room === roomCode && !undoing.has(d.key)).pop();
+              if (!drink) {
+                showTallyError("You're offline, and your last drink wasn't logged from this phone. Undo it when you have signal.");
+                return;
+              }
+              queue.push({ type: 'undo', idempotency_key: drink.key });
+            }
+            adjustOwnCount(-1);
+          } else {
+            queue.push({
+              type: 'add',
+              room: roomCode,
+              preset: form.elements.preset.value,
+              idempotency_key: form.elements.idempotency_key.value,
+              created_at: new Date().toISOString()
+            });
+            form.elements.idempotency_key.value = newIdempotencyKey();
+            adjustOwnCount(1);
+          }
+          saveQueue(queue);
+        }
+        
+        async function syncQueue() {
+          if (syncing || loadQueue().length === 0) return;
+          syncing = true;
+          let rejected = 0;
+          try {
+            while (loadQueue().length > 0) {
+              const item = loadQueue()[0];
+              const response = item.type === 'add'
+                ? await fetch('/api/v1/entries', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ room: item.room, preset: item.preset, idempotency_key: item.idempotency_key, created_at: item.created_at })
+                  })
+                : await fetch('/api/v1/entries/by-key/' + encodeURIComponent(item.idempotency_key), { method: 'DELETE' });
+              // Server trouble is retried later; any other answer is final for this tap
+              if (response.status >= 500) break;
+              if (item.type === 'add' && response.ok) rememberLogged(item.idempotency_key, item.room);
+              if (item.type === 'undo') forgetLogged(item.idempotency_key);
+              if (!response.ok && response.status !== 404) rejected++;
+              saveQueue(loadQueue().slice(1));
+            }
+          } catch (error) {
+            // Still offline
+          } finally {
+            syncing = false;
+          }
+          if (rejected > 0) {
+            showTallyError(rejected + (rejected === 1 ? ' offline tap was' : ' offline taps were') + ' rejected while syncing (too close to another drink, too old, or for a room you have left).');
+          }
+        }
+        
+        // A cached copy of this page would otherwise reuse the key it was rendered with
+        document.querySelectorAll('input[name="idempotency_key"]').forEach(input => {
+          input.value = newIdempotencyKey();
+        });
+        saveQueue(loadQueue());
+        syncQueue();
+        window.addEventListener('online', syncQueue);
+        socket.on('connect', syncQueue);
+        setInterval(syncQueue, 30000);
+        
+        // Submit +1 / undo without a full page reload; the socket event redraws the board
+        document.querySelectorAll('.tally-form').forEach(form => {
+          form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const queueable = form.classList.contains('queueable');
+            // Keep taps in order behind anything still waiting to sync
+            if (queueable && (!navigator.onLine || loadQueue().length > 0)) {
+              queueTap(form);
+              syncQueue();
+              return;
+            }
+            
+            const button = form.querySelector('button');
+            button.disabled = true;
+            try {
+              const response = await fetch(form.action, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' },
+                body: new URLSearchParams(new FormData(form))
+              });
+              if (response.status === 429) {
+                showTallyError((await response.json()).error);
+                return;
+              }
+              if (!response.ok || response.redirected) return location.reload();
+              const data = await response.json();
+              if (data.nudges) renderNudges(data.nudges);
+              showTallyError(null);
+              if (data.removed_key) forgetLogged(data.removed_key);
+              if (form.elements.idempotency_key) {
+                rememberLogged(form.elements.idempotency_key.value, roomCode);
+                // The next tap is a new drink; a retry of this one would have reused the key
+                form.elements.idempotency_key.value = newIdempotencyKey();
+              }
+            } catch (error) {
+              // No connection: keep the tap rather than losing it
+              if (queueable) {
+                queueTap(form);
+              } else {
+                showTallyError("You're offline. Try again when you have signal.");
+              }
+            } finally {
+              button.disabled = false;
+            }
+          });
+        });
+      </script>`)
+    );
+  } catch (error) {
+    console.error("Error in GET /:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/set-name", async (req, res) => {
+  const { name, user_type } = req.body;
+  
+  if (!name || name.trim().length === 0) {
+    return res.redirect("/");
+  }
+  
+  try {
+    const userType = USER_TYPES.includes(user_type) ? user_type : 'participant';
+    await saveUserProfile(req.session.id, name.trim().slice(0, 30), userType);
+    
+    res.redirect("/");
+  } catch (error) {
+    console.error("Error in set-name:", error);
+    res.redirect("/");
+  }
+});
+
+// Account page: rename, claim a username/passcode, sign out
+app.get("/account", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  const message = req.session.message;
+  const error = req.session.error;
+  delete req.session.message;
+  delete req.session.error;
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>👤 Your Account</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          ${message ? `<div class="success">${escape(message)}</div>` : ''}
+          
+          <h2>Display name</h2>
+          <form action="/set-name" method="POST">
+            <div class="form-group">
+              <input type="text" name="name" value="${escape(user.name)}" required maxlength="30">
+            </div>
+            <div class="form-group">
+              <label><input type="radio" name="user_type" value="participant"${user.user_type === 'participant' ? ' checked' : ''}> Participant 🍺</label>
+              <label><input type="radio" name="user_type" value="observer"${user.user_type === 'observer' ? ' checked' : ''}> Observer 👀</label>
+            </div>
+            <button type="submit" class="btn">Save</button>
+          </form>
+          
+          <h2 style="margin-top: 2rem;">BAC estimate (optional)</h2>
+          <p>Enter your weight and sex to see a rough blood alcohol estimate. It is shown to your rooms next to your name. Leave both empty to turn it off.</p>
+          <p class="estimate-warning">Estimates use the Widmark formula and can be far off. Never use them to decide whether you can drive.</p>
+          <form action="/account/bac-profile" method="POST">
+            <div class="form-group">
+              <label for="weight_kg">Weight (kg):</label>
+              <input type="text" inputmode="decimal" name="weight_kg" id="weight_kg" value="${user.weight_kg ? escape(user.weight_kg) : ''}" maxlength="6">
+            </div>
+            <div class="form-group">
+              <label><input type="radio" name="sex" value="male"${user.sex === 'male' ? ' checked' : ''}> Male</label>
+              <label><input type="radio" name="sex" value="female"${user.sex === 'female' ? ' checked' : ''}> Female</label>
+            </div>
+            <button type="submit" class="btn">Save</button>
+          </form>
+          
+          ${user.username ? `
+          <h2 style="margin-top: 2rem;">Signed in as @${escape(user.username)}</h2>
+          <p>Log in with your username and passcode on any device to get your tally back.</p>
+          ` : `
+          <h2 style="margin-top: 2rem;">Claim your account</h2>
+          <p>Right now your tally lives only in this browser's cookie. Pick a username and passcode so you can log back in from anywhere.</p>
+          <form action="/account/claim" method="POST">
+            <div class="form-group">
+              <label for="username">Username:</label>
+              <input type="text" name="username" id="username" required maxlength="30" autocomplete="username">
+            </div>
+            <div class="form-group">
+              <label for="passcode">Passcode:</label>
+              <input type="password" name="passcode" id="passcode" required minlength="${PASSCODE_MIN_LENGTH}" autocomplete="new-password">
+            </div>
+            <button type="submit" class="btn">Claim Account</button>
+          </form>
+          `}
+          
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/" style="color: #667eea;">← Back to Beer Tally</a>
+            · <a href="/logout" style="color: #e53e3e;"${user.username ? '' : ` onclick="return confirm('You have not claimed this account. Signing out will lose your tally. Continue?')"`}>Sign out</a>
+          </div>
+        </div>
+      </div>
+    </div>
+  `));
+});
+
+app.post("/account/bac-profile", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  try {
+    await saveBacProfile(user.id, req.body.weight_kg, req.body.sex);
+    req.session.message = "BAC profile saved.";
+  } catch (error) {
+    req.session.error = error.message;
+  }
+  res.redirect("/account");
+});
+
+app.post("/account/claim", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  if (user.username) return res.redirect("/account");
+  
+  const { username, passcode } = req.body;
+  
+  try {
+    const recoveryCode = await claimAccount(user.id, username, passcode);
+    
+    // Shown once; only its hash is stored
+    res.send(html(`
+      <div class="container">
+        <div class="header">
+          <h1>🔒 Account Claimed</h1>
+        </div>
+        <div class="main-content">
+          <div class="welcome-section">
+            <h2>Save your recovery code</h2>
+            <p>If you forget your passcode, this code lets you back in. It will not be shown again.</p>
+            <div class="room-code">${escape(recoveryCode)}</div>
+            <div class="button-group">
+              <a href="/" class="btn">Got it</a>
+            </div>
+          </div>
+        </div>
+      </div>
+    `));
+  } catch (error) {
+    req.session.error = error.message;
+    res.redirect("/account");
+  }
+});
+
+app.get("/login", async (req, res) => {
+  const error = req.session.error;
+  delete req.session.error;
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>🔑 Log In</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          <form action="/login" method="POST">
+            <div class="form-group">
+              <label for="username">Username:</label>
+              <input type="text" name="username" id="username" required maxlength="30" autocomplete="username">
+            </div>
+            <div class="form-group">
+              <label for="passcode">Passcode:</label>
+              <input type="password" name="passcode" id="passcode" required autocomplete="current-password">
+            </div>
+            <div class="button-group">
+              <button type="submit" class="btn">Log In</button>
+              <a href="/" class="btn btn-secondary">Cancel</a>
+            </div>
+          </form>
+          
+          <h2 style="margin-top: 2rem;">Forgot your passcode?</h2>
+          <form action="/recover" method="POST">
+            <div class="form-group">
+              <input type="text" name="username" placeholder="Username" required maxlength="30" autocomplete="username">
+            </div>
+            <div class="form-group">
+              <input type="text" name="recoveryCode" placeholder="Recovery code" required autocomplete="off">
+            </div>
+            <div class="form-group">
+              <input type="password" name="passcode" placeholder="New passcode" required minlength="${PASSCODE_MIN_LENGTH}" autocomplete="new-password">
+            </div>
+            <button type="submit" class="btn btn-secondary">Reset Passcode</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  `));
+});
+
+app.post("/login", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.redirect("/");
+    }
+    
+    let user;
+    try {
+      user = await authenticateUser(req.body.username, req.body.passcode);
+    } catch (error) {
+      req.session.error = error.message;
+      return res.redirect("/login");
+    }
+    if (!user) {
+      req.session.error = "Username or passcode is incorrect.";
+      return res.redirect("/login");
+    }
+    
+    await signInSession(req, user.id);
+    res.redirect("/");
+  } catch (error) {
+    console.error("Error in POST /login:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/recover", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  
+  const { username, recoveryCode, passcode } = req.body;
+  
+  try {
+    const { user, recoveryCode: nextRecoveryCode } = await recoverAccount(username, recoveryCode, passcode);
+    await signInSession(req, user.id);
+    
+    res.send(html(`
+      <div class="container">
+        <div class="header">
+          <h1>🔑 Passcode Reset</h1>
+        </div>
+        <div class="main-content">
+          <div class="welcome-section">
+            <h2>Your new recovery code</h2>
+            <p>The old code no longer works. Save this one somewhere safe; it will not be shown again.</p>
+            <div class="room-code">${escape(nextRecoveryCode)}</div>
+            <div class="button-group">
+              <a href="/" class="btn">Continue</a>
+            </div>
+          </div>
+        </div>
+      </div>
+    `));
+  } catch (error) {
+    req.session.error = error.message;
+    res.redirect("/login");
+  }
+});
+
+// Move room system to /rooms
+app.get("/rooms", async (req, res) => {
+  if (!dbConnected) {
+    return res.send(html(`
+      <div class="container">
+        <div class="header">
+          <h1>🏠 Room System</h1>
+          <p>Connecting rooms in real-time</p>
+        </div>
+        <div class="main-content">
+          <div class="welcome-section">
+            <h2>Setting up...</h2>
+            <p>Please wait while we initialize the database connection.</p>
+          </div>
+        </div>
+      </div>
+      <script>setTimeout(() => location.reload(), 3000);</script>
+    `));
+  }
+
+  const user = await getOrCreateUser(req.session.id);
+  
+  if (!user) {
+    return res.send(html(`
+      <div class="container">
+        <div class="header">
+          <h1>🏠 Room System</h1>
+          <p>Create and join rooms with short room codes</p>
+        </div>
+        <div class="main-content">
+          <div class="welcome-section">
+            <h2>Welcome! What's your name?</h2>
+            <form action="/set-name" method="POST">
+              <div class="form-group">
+                <input type="text" name="name" placeholder="Enter your name" required maxlength="30">
+              </div>
+              <button type="submit" class="btn">Get Started</button>
+            </form>
+          </div>
+        </div>
+      </div>
+    `));
+  }
+  
+  const message = req.session.message;
+  const error = req.session.error;
+  delete req.session.message;
+  delete req.session.error;
+  
+  const userRooms = await getUserRooms(user.id);
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>🏠 Room System</h1>
+        <p>Create and join rooms with short room codes</p>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          <h2>Hello, ${escape(user.name)}! 👋</h2>
+          <p>Create a new room or join an existing one using a room code.</p>
+          
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          ${message ? `<div class="success">${escape(message)}</div>` : ''}
+          
+          ${userRooms.length > 0 ? `
+          <div class="table-container">
+            <table>
+              <tr><th>Your Rooms</th><th>Code</th><th></th></tr>
+              ${userRooms.map(r => `<tr${r.id === user.room_id ? ' class="current-user"' : ''}>
+                <td>${escape(r.name)}</td>
+                <td>${escape(r.room_code)}</td>
+                <td>
+                  <form action="/switch-room" method="POST" style="display: inline;">
+                    <input type="hidden" name="roomCode" value="${escape(r.room_code)}">
+                    <button type="submit" class="btn"${r.id === user.room_id ? ' disabled' : ''}>${r.id === user.room_id ? 'Current' : 'Switch'}</button>
+                  </form>
+                </td>
+              </tr>`).join('')}
+            </table>
+          </div>` : ''}
+          
+          <div class="button-group">
+            <a href="/create-room" class="btn">Create New Room</a>
+            <a href="/join-room" class="btn btn-secondary">Join Room</a>
+          </div>
+          
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/" style="color: #667eea;">← Back to Beer Tally</a>
+          </div>
+        </div>
+      </div>
+    </div>
+  `));
+});
+
+// Add beer
+app.post("/add", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.redirect("/");
+    }
+    const user = await getOrCreateUser(req.session.id);
+    if (user && !(await getUserRoom(user.id))) {
+      req.session.error = "Join a room before logging beers.";
+      return res.redirect("/rooms");
+    }
+    if (user) {
+      let drink;
+      try {
+        drink = resolveDrink(req.body);
+      } catch (error) {
+        return res.status(400).send(error.message);
+      }
+      
+      // Forms carry a fresh key per render, so back/refresh re-submits are counted once
+      const idempotencyKey = isValidIdempotencyKey(req.body.idempotency_key) ? req.body.idempotency_key : null;
+      const { entry, retryAfter } = await addBeerEntry(user, drink, { idempotencyKey });
+      if (!entry) {
+        const error = tooSoonMessage(retryAfter);
+        if (req.accepts(["html", "json"]) === "json") {
+          return res.status(429).set("Retry-After", String(retryAfter)).json({ success: false, error, retry_after: retryAfter });
+        }
+        req.session.error = error;
+        return res.redirect("/");
+      }
     }
     
-    button:active {
-      transform: translateY(0);
+    if (req.accepts(["html", "json"]) === "json") {
+      const room = user && await getUserRoom(user.id);
+      return res.json({
+        success: true,
+        count: user ? await getBeerCount(user.id, user.room_id) : 0,
+        nudges: room ? await getSafetyNudges(user, room) : []
+      });
+    }
+    res.redirect("/");
+  } catch (error) {
+    console.error("Error in POST /add:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+// Remove beer
+app.post("/remove", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.redirect("/");
+    }
+    const user = await getOrCreateUser(req.session.id);
+    if (user && !(await getUserRoom(user.id))) {
+      req.session.error = "Join a room before logging beers.";
+      return res.redirect("/rooms");
     }
+    const removed = user ? await removeLatestBeerEntry(user) : null;
     
-    button:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
-      transform: none;
+    if (req.accepts(["html", "json"]) === "json") {
+      const room = user && await getUserRoom(user.id);
+      return res.json({
+        success: true,
+        removed_key: removed?.idempotency_key ?? null,
+        count: user ? await getBeerCount(user.id, user.room_id) : 0,
+        nudges: room ? await getSafetyNudges(user, room) : []
+      });
+    }
+    res.redirect("/");
+  } catch (error) {
+    console.error("Error in POST /remove:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+// Log a glass of water or some food
+app.post("/hydrate", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.redirect("/");
+    }
+    const user = await getOrCreateUser(req.session.id);
+    const room = user && await getUserRoom(user.id);
+    if (!room) {
+      req.session.error = "Join a room first.";
+      return res.redirect("/rooms");
+    }
+    
+    try {
+      await logHydration(user, req.body.kind);
+    } catch (error) {
+      return res.status(400).send(error.message);
+    }
+    
+    if (req.accepts(["html", "json"]) === "json") {
+      return res.json({ success: true, nudges: await getSafetyNudges(user, room) });
+    }
+    res.redirect("/");
+  } catch (error) {
+    console.error("Error in POST /hydrate:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+// Pick your own team in the current room, when the room allows it
+app.post("/team", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  const user = await getOrCreateUser(req.session.id);
+  const room = user && await getUserRoom(user.id);
+  if (!room) {
+    req.session.error = "Join a room first.";
+    return res.redirect("/rooms");
+  }
+  
+  try {
+    if (!room.teams_self_select) {
+      throw new Error("Teams in this room are assigned by the organizers.");
+    }
+    await setMemberTeam(room.id, user.id, parseTeamId(req.body.team_id));
+  } catch (error) {
+    req.session.error = error.message;
+  }
+  res.redirect("/");
+});
+
+app.post("/challenges", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  const user = await getOrCreateUser(req.session.id);
+  const room = user && await getUserRoom(user.id);
+  if (!room) {
+    req.session.error = "Join a room first.";
+    return res.redirect("/rooms");
+  }
+  
+  try {
+    await createChallenge(room, user, {
+      opponentId: parseInt(req.body.opponent_id),
+      kind: req.body.kind,
+      target: req.body.target,
+      durationMinutes: req.body.duration_minutes
+    });
+  } catch (error) {
+    req.session.error = error.message;
+  }
+  res.redirect("/");
+});
+
+app.post("/challenges/:challengeId/:action", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  if (!(await respondToChallenge(user, parseInt(req.params.challengeId), req.params.action))) {
+    req.session.error = "That challenge is no longer open.";
+  }
+  res.redirect("/");
+});
+
+// Timeline of the user's drinks where each one can be deleted, back-dated or re-typed
+app.get("/my-drinks", async (req, res) => {
+  if (!dbConnected) {
+    return res.redirect("/");
+  }
+  
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  const entries = await getUserEntries(user.id);
+  
+  const message = req.session.message;
+  const error = req.session.error;
+  delete req.session.message;
+  delete req.session.error;
+  
+  const entryRows = entries.map(e => `
+    <tr>
+      <td>${localTimeTag(e.created_at)}</td>
+      <td>${escape(describeDrink({ ...e, abv: parseFloat(e.abv) }))}</td>
+      <td>${e.room_code ? escape(e.room_code) : '—'}</td>
+      <td>
+        <form action="/entries/${e.id}/edit" method="POST" class="entry-edit-form">
+          <select name="preset" aria-label="Drink">
+            <option value="">Keep drink</option>
+            ${Object.entries(DRINK_PRESETS).map(([key, p]) => `<option value="${key}">${p.label} · ${p.volume_ml}ml ${p.abv}%</option>`).join('')}
+          </select>
+          <input type="datetime-local" name="created_at_local" aria-label="Time" data-iso="${new Date(e.created_at).toISOString()}">
+          <input type="hidden" name="created_at">
+          <button type="submit" class="btn">Save</button>
+        </form>
+        <form action="/entries/${e.id}/delete" method="POST" style="display: inline;" onsubmit="return confirm('Delete this drink? The room will see the correction.')">
+          <button type="submit" class="btn btn-danger">Delete</button>
+        </form>
+      </td>
+    </tr>`).join("");
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>📝 My Drinks</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          ${message ? `<div class="success">${escape(message)}</div>` : ''}
+          
+          <p>Fix a mis-tap by deleting it, changing the drink or moving it to when you actually had it. Every change shows up in your room's corrections.</p>
+          ${entries.length > 0 ? `
+          <div class="table-container">
+            <table>
+              <tr><th>When</th><th>Drink</th><th>Room</th><th></th></tr>
+              ${entryRows}
+            </table>
+          </div>` : '<p>No drinks logged yet.</p>'}
+          
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/" style="color: #667eea;">← Back to Tally</a>
+          </div>
+        </div>
+      </div>
+    </div>
+    <script>
+      document.querySelectorAll('time.local-time').forEach(el => {
+        el.textContent = new Date(el.dateTime).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+      });
+      
+      // datetime-local has no timezone, so convert to/from ISO in the browser
+      const pad = (n) => String(n).padStart(2, '0');
+      document.querySelectorAll('.entry-edit-form').forEach(form => {
+        const input = form.elements.created_at_local;
+        const d = new Date(input.dataset.iso);
+        input.value = d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + 'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+        const original = input.value;
+        form.addEventListener('submit', () => {
+          // Only send a time when it was actually changed, so re-typing keeps the exact original
+          form.elements.created_at.value = input.value && input.value !== original ? new Date(input.value).toISOString() : '';
+        });
+      });
+    </script>
+  `));
+});
+
+app.post("/entries/:entryId/edit", async (req, res) => {
+  const user = dbConnected && await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  try {
+    const entry = await updateBeerEntry(user, parseInt(req.params.entryId), {
+      drink: req.body.preset ? resolveDrink({ preset: req.body.preset }) : null,
+      createdAt: req.body.created_at || null
+    });
+    if (entry) {
+      req.session.message = "Drink updated.";
+    } else {
+      req.session.error = "That drink doesn't exist or isn't yours.";
     }
+  } catch (error) {
+    req.session.error = error.message;
+  }
+  res.redirect("/my-drinks");
+});
+
+app.post("/entries/:entryId/delete", async (req, res) => {
+  const user = dbConnected && await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  if (await deleteBeerEntry(user, parseInt(req.params.entryId))) {
+    req.session.message = "Drink deleted.";
+  } else {
+    req.session.error = "That drink doesn't exist or isn't yours.";
+  }
+  res.redirect("/my-drinks");
+});
+
+app.get("/create-room", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>🏠 Create Room</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          <h2>Create a New Room</h2>
+          <p>Give your room a name and get a short room code to share.</p>
+          
+          <form action="/create-room" method="POST">
+            <div class="form-group">
+              <label for="roomName">Room Name:</label>
+              <input type="text" name="roomName" id="roomName" placeholder="Enter room name" required maxlength="100">
+            </div>
+            <div class="button-group">
+              <button type="submit" class="btn">Create Room</button>
+              <a href="/rooms" class="btn btn-secondary">Cancel</a>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `));
+});
+
+app.post("/create-room", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const { roomName } = req.body;
+  
+  if (!roomName || roomName.trim().length === 0) {
+    req.session.error = "Room name is required.";
+    return res.redirect("/create-room");
+  }
+  
+  try {
+    const room = await createRoom(user.id, roomName.trim());
+    await joinRoom(user.id, room.room_code);
+    res.redirect(`/room/${room.room_code}`);
+  } catch (error) {
+    req.session.error = "Failed to create room. Please try again.";
+    res.redirect("/create-room");
+  }
+});
+
+app.get("/join-room", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const error = req.session.error;
+  delete req.session.error;
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>🏠 Join Room</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          <h2>Join a Room</h2>
+          <p>Enter the room code shared with you.</p>
+          
+          <form action="/join-room" method="POST">
+            <div class="form-group">
+              <label for="roomCode">Room Code:</label>
+              <input type="text" name="roomCode" id="roomCode" placeholder="Enter room code" required maxlength="6" style="text-transform: uppercase;">
+            </div>
+            <div class="button-group">
+              <button type="submit" class="btn">Join Room</button>
+              <a href="/rooms" class="btn btn-secondary">Cancel</a>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  `));
+});
+
+app.post("/join-room", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const { roomCode } = req.body;
+  
+  if (!roomCode || roomCode.trim().length === 0) {
+    req.session.error = "Room code is required.";
+    return res.redirect("/join-room");
+  }
+  
+  try {
+    await joinRoom(user.id, roomCode.trim());
+    res.redirect(`/room/${roomCode.trim().toUpperCase()}`);
+  } catch (error) {
+    req.session.error = error.message;
+    res.redirect("/join-room");
+  }
+});
+
+app.post("/switch-room", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const { roomCode } = req.body;
+  
+  try {
+    await switchRoom(user.id, (roomCode || "").trim());
+  } catch (error) {
+    req.session.error = error.message;
+    return res.redirect("/rooms");
+  }
+  res.redirect("/");
+});
+
+app.post("/room/:roomCode/leave", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const room = await getRoomByCode(req.params.roomCode);
+  if (room) {
+    await leaveRoom(user.id, room.id);
+    req.session.message = `You left ${room.name}.`;
+  }
+  res.redirect("/rooms");
+});
+
+// Room settings (owner and co-admins). Closed rooms stay reachable here so they can be reopened.
+const requireRoomManager = async (req, res, next) => {
+  req.user = await getOrCreateUser(req.session.id);
+  if (!req.user) return res.redirect("/rooms");
+  
+  req.room = await getRoomByCode(req.params.roomCode, { includeInactive: true });
+  if (!req.room) {
+    req.session.error = "Room not found.";
+    return res.redirect("/rooms");
+  }
+  
+  req.roomRole = await getRoomRole(req.user.id, req.room);
+  if (!canManageRoom(req.roomRole)) {
+    req.session.error = "Only the room's owner and admins can change its settings.";
+    return res.redirect("/rooms");
+  }
+  next();
+};
+
+const requireRoomOwner = (req, res, next) => {
+  if (req.roomRole !== "owner") {
+    req.session.error = "Only the room's owner can do that.";
+    return res.redirect(`/room/${req.room.room_code}/settings`);
+  }
+  next();
+};
+
+// Runs a settings action, flashing its result and returning to the settings page
+const roomSettingsAction = (action, successMessage) => async (req, res) => {
+  try {
+    await action(req);
+    req.session.message = successMessage;
+  } catch (error) {
+    req.session.error = error.message;
+  }
+  res.redirect(`/room/${req.room.room_code}/settings`);
+};
+
+app.get("/room/:roomCode/settings", requireRoomManager, async (req, res) => {
+  const { user, room, roomRole } = req;
+  const members = await getRoomMembers(room.id);
+  const kickedMembers = await getKickedMembers(room.id);
+  const paceFlags = await getPaceFlags(room);
+  const teams = await getRoomTeams(room.id);
+  const tournament = await getActiveFlappyTournament(room.id);
+  
+  const message = req.session.message;
+  const error = req.session.error;
+  delete req.session.message;
+  delete req.session.error;
+  
+  const memberRows = members.map(m => {
+    const memberRole = m.id === room.creator_id ? "owner" : m.role;
+    const hidden = `<input type="hidden" name="userId" value="${m.id}">`;
+    const actions = [];
     
-    input[type="text"] {
-      padding: 0.75rem;
-      border: 2px solid #e2e8f0;
-      border-radius: 8px;
-      font-size: 1.1rem;
-      width: 100%;
-      max-width: 300px;
-      margin-bottom: 1rem;
+    if (memberRole !== "owner" && m.id !== user.id && (memberRole === "member" || roomRole === "owner")) {
+      actions.push(`<form action="/room/${escape(room.room_code)}/kick" method="POST" style="display: inline;" onsubmit="return confirm(${escape(JSON.stringify(`Remove ${m.name} from the room?`))})">${hidden}<button type="submit" class="btn btn-danger">Remove</button></form>`);
     }
-    
-    input[type="text"]:focus {
-      outline: none;
-      border-color: #4299e1;
-      box-shadow: 0 0 0 3px rgba(66, 153, 225, 0.1);
+    if (roomRole === "owner" && memberRole !== "owner") {
+      const nextRole = memberRole === "admin" ? "member" : "admin";
+      actions.push(`<form action="/room/${escape(room.room_code)}/role" method="POST" style="display: inline;">${hidden}<input type="hidden" name="role" value="${nextRole}"><button type="submit" class="btn btn-secondary">${nextRole === "admin" ? "Make admin" : "Remove admin"}</button></form>`);
+      actions.push(`<form action="/room/${escape(room.room_code)}/transfer" method="POST" style="display: inline;" onsubmit="return confirm(${escape(JSON.stringify(`Make ${m.name} the owner of this room?`))})">${hidden}<button type="submit" class="btn">Make owner</button></form>`);
     }
     
-    /* Mobile optimizations */
-    @media (max-width: 768px) {
-      body {
-        padding: 0.5rem;
-      }
-      
-      .header h1 {
-        font-size: 1.5rem;
-      }
-      
-      .total-number {
-        font-size: 2.5rem;
-      }
-      
-      .content {
-        padding: 1rem;
-      }
-      
-      .button-group {
-        flex-direction: column;
-        gap: 0.75rem;
-      }
-      
-      .beer-controls {
-        flex-direction: column;
-        gap: 0.5rem;
-        width: 100%;
-      }
-      
-      button {
-        width: 100%;
-        min-height: 52px;
-        font-size: 1rem;
-      }
-      
-      .add-beer-btn {
-        width: 100%;
-        min-height: 55px;
-        font-size: 1.2rem;
-      }
-      
-      .remove-btn {
-        width: 100%;
-        min-height: 42px;
-        font-size: 0.85rem;
-      }
-      
-      th, td {
-        padding: 0.5rem;
-        font-size: 0.9rem;
-      }
-      
-      .total-counter {
-        padding: 1rem;
-      }
-      
-      .total-counter h2 {
-        font-size: 1.1rem;
-      }
-    }
+    const teamSelect = teams.length > 0 ? `<form action="/room/${escape(room.room_code)}/team-assign" method="POST">${hidden}<select name="team_id" onchange="this.form.submit()"><option value="">No team</option>${teams.map(t => `<option value="${t.id}"${t.id === m.team_id ? ' selected' : ''}>${escape(t.name)}</option>`).join('')}</select><noscript><button type="submit" class="btn">Set</button></noscript></form>` : '—';
     
-    @media (max-width: 480px) {
-      .header h1 {
-        font-size: 1.3rem;
-      }
-      
-      .total-number {
-        font-size: 2rem;
-      }
+    return `<tr${m.id === user.id ? ' class="current-user"' : ''}><td>${escape(m.name)}${paceFlags.has(m.id) ? ' <span class="pace-flag" title="Over the room\'s pace alert">🚩</span>' : ''}</td><td>${memberRole}</td><td>${teamSelect}</td><td>${actions.join(' ')}</td></tr>`;
+  }).join("");
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>⚙️ Room Settings</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          ${message ? `<div class="success">${escape(message)}</div>` : ''}
+          
+          <div class="room-info">
+            <h3>${escape(room.name)}${room.is_active ? '' : ' (closed)'}</h3>
+            <div class="room-code">${escape(room.room_code)}</div>
+          </div>
+          
+          <h2>Rename</h2>
+          <form action="/room/${escape(room.room_code)}/rename" method="POST">
+            <div class="form-group">
+              <input type="text" name="roomName" value="${escape(room.name)}" required maxlength="100">
+            </div>
+            <button type="submit" class="btn">Save Name</button>
+          </form>
+          
+          <h2 style="margin-top: 2rem;">Event Times</h2>
+          <p>Optional. When set, the tally page defaults to the "This event" leaderboard.</p>
+          <form action="/room/${escape(room.room_code)}/event" method="POST" id="event-form">
+            <div class="form-group">
+              <label for="starts_at_local">Starts:</label>
+              <input type="datetime-local" name="starts_at_local" id="starts_at_local" data-iso="${room.starts_at ? room.starts_at.toISOString() : ''}">
+              <input type="hidden" name="starts_at">
+            </div>
+            <div class="form-group">
+              <label for="ends_at_local">Ends:</label>
+              <input type="datetime-local" name="ends_at_local" id="ends_at_local" data-iso="${room.ends_at ? room.ends_at.toISOString() : ''}">
+              <input type="hidden" name="ends_at">
+            </div>
+            <button type="submit" class="btn">Save Event Times</button>
+          </form>
+          <script>
+            // datetime-local has no timezone, so convert to/from ISO in the browser
+            const eventForm = document.getElementById('event-form');
+            const pad = (n) => String(n).padStart(2, '0');
+            eventForm.querySelectorAll('input[type="datetime-local"]').forEach(input => {
+              if (!input.dataset.iso) return;
+              const d = new Date(input.dataset.iso);
+              input.value = d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + 'T' + pad(d.getHours()) + ':' + pad(d.getMinutes());
+            });
+            eventForm.addEventListener('submit', () => {
+              ['starts_at', 'ends_at'].forEach(field => {
+                const local = eventForm.elements[field + '_local'].value;
+                eventForm.elements[field].value = local ? new Date(local).toISOString() : '';
+              });
+            });
+          </script>
+          
+          <h2 style="margin-top: 2rem;">Time Zone</h2>
+          <p>The "Tonight" leaderboard starts at ${NIGHT_START_HOUR}:00 in this time zone. Leave it empty to use the server's time zone.</p>
+          <form action="/room/${escape(room.room_code)}/timezone" method="POST">
+            <div class="form-group">
+              <label for="timezone">Time zone:</label>
+              <input type="text" name="timezone" id="timezone" value="${escape(room.timezone || '')}" placeholder="e.g. Europe/Berlin" maxlength="64">
+              <button type="button" class="btn" id="timezone-detect">Use mine</button>
+            </div>
+            <button type="submit" class="btn">Save Time Zone</button>
+          </form>
+          <script>
+            document.getElementById('timezone-detect').addEventListener('click', () => {
+              document.getElementById('timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            });
+          </script>
+          
+          <h2 style="margin-top: 2rem;">Safety Nudges</h2>
+          <p>Members get a gentle prompt, and admins see a 🚩 next to their name, when they log the set number of drinks within the window. Leave the drinks empty to turn pace alerts off.</p>
+          <form action="/room/${escape(room.room_code)}/safety" method="POST">
+            <div class="form-group">
+              <label><input type="checkbox" name="hydration_mode" value="1"${room.hydration_mode ? ' checked' : ''}> Water between beers (adds water/food buttons and a reminder after each drink)</label>
+            </div>
+            <div class="form-group">
+              <label for="pace_alert_drinks">Pace alert:</label>
+              <input type="number" name="pace_alert_drinks" id="pace_alert_drinks" min="2" max="50" value="${room.pace_alert_drinks ?? ''}" style="width: 5rem;"> drinks within
+              <input type="number" name="pace_alert_minutes" id="pace_alert_minutes" min="10" max="1440" value="${room.pace_alert_minutes}" required style="width: 5rem;"> minutes
+            </div>
+            <button type="submit" class="btn">Save Safety Settings</button>
+          </form>
+          
+          <h2 style="margin-top: 2rem;">Flappy Bird Tournament</h2>
+          ${tournament ? `<p>A tournament is running until ${localTimeTag(tournament.ends_at)} (best of ${tournament.max_attempts}). The podium is posted to the room chat when it ends. <a href="/flappy-leaderboard" style="color: #667eea;">See standings</a></p>` : `
+          <p>Everyone gets a fixed number of attempts in the time limit; the best score wins and the podium is posted to the room chat.</p>
+          <form action="/room/${escape(room.room_code)}/flappy-tournament" method="POST">
+            <div class="form-group">
+              <label for="tournament_minutes">Length:</label>
+              <input type="number" name="duration_minutes" id="tournament_minutes" min="5" max="240" value="30" required style="width: 5rem;"> minutes,
+              <label for="tournament_attempts">attempts:</label>
+              <input type="number" name="max_attempts" id="tournament_attempts" min="1" max="20" value="3" required style="width: 4rem;">
+            </div>
+            <button type="submit" class="btn">Open Tournament</button>
+          </form>`}
+          
+          <h2 style="margin-top: 2rem;">Past Tallies</h2>
+          <p>Bring in drinks from paper or spreadsheet tallies of earlier trips. <a href="/room/${escape(room.room_code)}/import" style="color: #667eea;">📤 Import a CSV</a></p>
+          
+          <h2 style="margin-top: 2rem;">Teams</h2>
+          <p>Split the room into sides. Team standings show next to the individual leaderboard.</p>
+          ${teams.length > 0 ? `<ul class="team-list">
+            ${teams.map(t => `<li>${escape(t.name)} <form action="/room/${escape(room.room_code)}/teams/delete" method="POST" style="display: inline;" onsubmit="return confirm(${escape(JSON.stringify(`Delete team ${t.name}? Its members will have no team.`))})"><input type="hidden" name="teamId" value="${t.id}"><button type="submit" class="btn btn-danger">Delete</button></form></li>`).join('')}
+          </ul>` : ''}
+          <form action="/room/${escape(room.room_code)}/teams" method="POST">
+            <div class="form-group">
+              <input type="text" name="teamName" placeholder="Team name, e.g. Groom's side" required maxlength="50">
+            </div>
+            <button type="submit" class="btn">Add Team</button>
+          </form>
+          <form action="/room/${escape(room.room_code)}/teams/self-select" method="POST" style="margin-top: 1rem;">
+            <div class="form-group">
+              <label><input type="checkbox" name="teams_self_select" value="1"${room.teams_self_select ? ' checked' : ''}> Members can pick their own team (otherwise only admins assign teams below)</label>
+            </div>
+            <button type="submit" class="btn btn-secondary">Save</button>
+          </form>
+          
+          <h2 style="margin-top: 2rem;">Members</h2>
+          <div class="table-container">
+            <table>
+              <tr><th>Name</th><th>Role</th><th>Team</th><th></th></tr>
+              ${memberRows}
+            </table>
+          </div>
+          ${kickedMembers.length > 0 ? `
+          <h3 style="margin-top: 1rem;">Removed</h3>
+          <p>Removed members can't rejoin with the room code until you let them back in.</p>
+          <ul>
+            ${kickedMembers.map(m => `<li>${escape(m.name)} <form action="/room/${escape(room.room_code)}/allow-back" method="POST" style="display: inline;"><input type="hidden" name="userId" value="${m.id}"><button type="submit" class="btn btn-secondary">Let back in</button></form></li>`).join('')}
+          </ul>` : ''}
+          
+          ${roomRole === "owner" ? `
+          <h2 style="margin-top: 2rem;">${room.is_active ? 'Close Room' : 'Reopen Room'}</h2>
+          <p>${room.is_active ? 'Closing stops anyone from joining, tallying or chatting. Nothing is deleted.' : 'This room is closed. Reopen it to let members tally and chat again.'}</p>
+          <form action="/room/${escape(room.room_code)}/${room.is_active ? 'close' : 'reopen'}" method="POST"${room.is_active ? ` onsubmit="return confirm('Close this room?')"` : ''}>
+            <button type="submit" class="btn ${room.is_active ? 'btn-danger' : 'btn-secondary'}">${room.is_active ? 'Close Room' : 'Reopen Room'}</button>
+          </form>` : ''}
+          
+          <div style="text-align: center; margin-top: 2rem;">
+            ${room.is_active ? `<a href="/room/${escape(room.room_code)}" style="color: #667eea;">← Back to Room</a>` : `<a href="/rooms" style="color: #667eea;">← Back to Rooms</a>`}
+          </div>
+        </div>
+      </div>
+    </div>
+    <script>
+      document.querySelectorAll('time.local-time').forEach(el => {
+        el.textContent = new Date(el.dateTime).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+      });
+    </script>
+  `));
+});
+
+app.post("/room/:roomCode/rename", requireRoomManager, roomSettingsAction(
+  (req) => renameRoom(req.room.id, req.body.roomName),
+  "Room renamed."
+));
+
+// Without JS only the *_local fields arrive; those are read in the server's timezone
+app.post("/room/:roomCode/event", requireRoomManager, roomSettingsAction(
+  (req) => setRoomEventTimes(
+    req.room.id,
+    req.body.starts_at || req.body.starts_at_local,
+    req.body.ends_at || req.body.ends_at_local
+  ),
+  "Event times saved."
+));
+
+app.post("/room/:roomCode/timezone", requireRoomManager, roomSettingsAction(
+  (req) => setRoomTimezone(req.room.id, req.body.timezone),
+  "Time zone saved."
+));
+
+app.post("/room/:roomCode/safety", requireRoomManager, roomSettingsAction(
+  (req) => setRoomSafety(req.room.id, {
+    hydrationMode: req.body.hydration_mode === "1",
+    paceAlertDrinks: req.body.pace_alert_drinks,
+    paceAlertMinutes: req.body.pace_alert_minutes
+  }),
+  "Safety settings saved."
+));
+
+app.post("/room/:roomCode/teams", requireRoomManager, roomSettingsAction(
+  (req) => createTeam(req.room.id, req.body.teamName),
+  "Team added."
+));
+
+app.post("/room/:roomCode/teams/delete", requireRoomManager, roomSettingsAction(
+  (req) => deleteTeam(req.room.id, parseInt(req.body.teamId)),
+  "Team deleted."
+));
+
+app.post("/room/:roomCode/teams/self-select", requireRoomManager, roomSettingsAction(
+  (req) => setTeamsSelfSelect(req.room.id, req.body.teams_self_select === "1"),
+  "Team settings saved."
+));
+
+app.post("/room/:roomCode/team-assign", requireRoomManager, roomSettingsAction(
+  (req) => setMemberTeam(req.room.id, parseInt(req.body.userId), parseTeamId(req.body.team_id)),
+  "Team updated."
+));
+
+app.post("/room/:roomCode/flappy-tournament", requireRoomManager, roomSettingsAction(
+  (req) => openFlappyTournament(req.room, req.user, {
+    durationMinutes: req.body.duration_minutes,
+    maxAttempts: req.body.max_attempts
+  }),
+  "Tournament open. Tell everyone to grab their phones!"
+));
+
+app.post("/room/:roomCode/kick", requireRoomManager, roomSettingsAction(
+  (req) => kickMember(req.room, req.roomRole, parseInt(req.body.userId)),
+  "Member removed."
+));
+
+app.post("/room/:roomCode/allow-back", requireRoomManager, roomSettingsAction(
+  (req) => allowMemberBack(req.room, parseInt(req.body.userId)),
+  "They can rejoin with the room code now."
+));
+
+app.post("/room/:roomCode/role", requireRoomManager, requireRoomOwner, roomSettingsAction(
+  (req) => setMemberRole(req.room, parseInt(req.body.userId), req.body.role),
+  "Role updated."
+));
+
+app.post("/room/:roomCode/transfer", requireRoomManager, requireRoomOwner, roomSettingsAction(
+  (req) => transferOwnership(req.room, parseInt(req.body.userId)),
+  "Ownership transferred. You are now an admin."
+));
+
+app.post("/room/:roomCode/close", requireRoomManager, requireRoomOwner, roomSettingsAction(
+  (req) => setRoomActive(req.room.id, false),
+  "Room closed."
+));
+
+app.post("/room/:roomCode/reopen", requireRoomManager, requireRoomOwner, roomSettingsAction(
+  (req) => setRoomActive(req.room.id, true),
+  "Room reopened."
+));
+
+// CSV import of past tallies: paste or pick a file, check the preview, then import
+const importPage = (room, { csv = "", plan = null, message = null, error = null } = {}) => {
+  const statusLabels = { new: "✅ New", duplicate: "↩️ Already imported", error: "❌" };
+  const previewRows = plan ? plan.rows.map(r => `
+    <tr>
+      <td>${r.line}</td>
+      <td>${escape(r.name)}${r.status === "new" && !r.user_id ? ' <span class="estimate-badge">new placeholder</span>' : ''}</td>
+      <td>${r.created_at ? localTimeTag(r.created_at) : escape(r.timestamp)}</td>
+      <td>${r.drink ? escape(describeDrink(r.drink)) : escape(r.drink_label)}</td>
+      <td>${statusLabels[r.status]}${r.error ? ` ${escape(r.error)}` : ''}</td>
+    </tr>`).join("") : "";
+  const counts = plan && {
+    new: plan.rows.filter(r => r.status === "new").length,
+    duplicate: plan.rows.filter(r => r.status === "duplicate").length,
+    error: plan.rows.filter(r => r.status === "error").length
+  };
+  
+  return html(`
+    <div class="container">
+      <div class="header">
+        <h1>📤 Import Tallies</h1>
+      </div>
+      <div class="main-content">
+        <div class="welcome-section">
+          ${error ? `<div class="error">${escape(error)}</div>` : ''}
+          ${message ? `<div class="success">${escape(message)}</div>` : ''}
+          
+          <div class="room-info">
+            <h3>${escape(room.name)}</h3>
+            <div class="room-code">${escape(room.room_code)}</div>
+          </div>
+          
+          ${plan ? `
+          <h2>Preview</h2>
+          <p>${counts.new} to import, ${counts.duplicate} already imported, ${counts.error} with problems${plan.new_names.length > 0 ? `. New placeholder people: ${plan.new_names.map(escape).join(", ")}` : ''}.</p>
+          <div class="table-container">
+            <table>
+              <tr><th>Line</th><th>Name</th><th>When</th><th>Drink</th><th>Status</th></tr>
+              ${previewRows}
+            </table>
+          </div>
+          <form action="/room/${escape(room.room_code)}/import" method="POST" style="margin-top: 1rem;">
+            <textarea name="csv" hidden>${escape(csv)}</textarea>
+            <button type="submit" class="btn"${counts.new === 0 ? ' disabled' : ''}>Import ${counts.new} drink${counts.new === 1 ? '' : 's'}</button>
+          </form>
+          <h2 style="margin-top: 2rem;">Start over</h2>` : ''}
+          
+          <p>One drink per line: <code>name,timestamp,drink type</code>. A header row with those column names is optional. Drink types can be a preset (${Object.keys(DRINK_PRESETS).join(", ")}) or blank for a can of beer. Times without a timezone are read in the server's timezone. Names are matched to people who were in this room; anyone else becomes a placeholder. Importing the same file again skips rows that are already in.</p>
+          <form action="/room/${escape(room.room_code)}/import/preview" method="POST" id="import-form">
+            <div class="form-group">
+              <label for="csv-file">CSV file (up to about 2,000 rows):</label>
+              <input type="file" id="csv-file" accept=".csv,text/csv,text/plain">
+            </div>
+            <div class="form-group">
+              <label for="csv">…or paste it:</label>
+              <textarea name="csv" id="csv" rows="8" style="width: 100%; font-family: monospace;" placeholder="name,timestamp,drink&#10;Roy,2024-06-01 21:30,pint">${plan ? '' : escape(csv)}</textarea>
+            </div>
+            <button type="submit" class="btn">Preview</button>
+          </form>
+          
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/room/${escape(room.room_code)}/settings" style="color: #667eea;">← Back to Settings</a>
+          </div>
+        </div>
+      </div>
+    </div>
+    <script>
+      document.querySelectorAll('time.local-time').forEach(el => {
+        el.textContent = new Date(el.dateTime).toLocaleString();
+      });
       
-      th, td {
-        padding: 0.4rem;
-        font-size: 0.8rem;
-      }
-    }
-    
-    .form-group {
-      margin-bottom: 1.5rem;
+      document.getElementById('csv-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+          document.getElementById('csv').value = reader.result;
+        };
+        reader.readAsText(file);
+      });
+    </script>
+  `);
+};
+
+app.get("/room/:roomCode/import", requireRoomManager, (req, res) => {
+  const message = req.session.message;
+  const error = req.session.error;
+  delete req.session.message;
+  delete req.session.error;
+  res.send(importPage(req.room, { message, error }));
+});
+
+app.post("/room/:roomCode/import/preview", requireRoomManager, async (req, res) => {
+  const csv = req.body.csv || "";
+  let parsed;
+  try {
+    parsed = parseTallyImport(csv);
+  } catch (error) {
+    return res.send(importPage(req.room, { csv, error: error.message }));
+  }
+  
+  try {
+    res.send(importPage(req.room, { csv, plan: await planTallyImport(req.room, parsed) }));
+  } catch (error) {
+    console.error("Error in POST /room/:roomCode/import/preview:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+app.post("/room/:roomCode/import", requireRoomManager, async (req, res) => {
+  let parsed;
+  try {
+    parsed = parseTallyImport(req.body.csv);
+  } catch (error) {
+    req.session.error = error.message;
+    return res.redirect(`/room/${req.room.room_code}/import`);
+  }
+  
+  try {
+    const result = await runTallyImport(req.room, await planTallyImport(req.room, parsed));
+    req.session.message = `Imported ${result.imported} drink${result.imported === 1 ? '' : 's'}` +
+      ` (${result.duplicates} already there, ${result.errors} skipped with problems, ${result.placeholders} placeholder ${result.placeholders === 1 ? 'person' : 'people'} added).`;
+    res.redirect(`/room/${req.room.room_code}/import`);
+  } catch (error) {
+    console.error("Error in POST /room/:roomCode/import:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+// Cross-room leaderboard, only for admins listed in ADMIN_USER_IDS
+app.get("/all-rooms", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.redirect("/");
     }
     
-    .form-group label {
-      display: block;
-      font-weight: 600;
-      margin-bottom: 0.5rem;
-      color: #4a5568;
+    const user = await getOrCreateUser(req.session.id);
+    if (!isAdmin(user)) {
+      return res.status(403).send("Forbidden");
     }
     
-    input[type="text"] {
-      width: 100%;
-      max-width: 300px;
-      padding: 0.75rem 1rem;
-      border: 2px solid #e2e8f0;
-      border-radius: 8px;
-      font-size: 1.1rem;
-      transition: border-color 0.2s;
-    }
+    const totalBeerCount = await getTotalBeerCount();
+    const leaderboard = await getLeaderboard();
     
-    input[type="text"]:focus {
-      outline: none;
-      border-color: #667eea;
-      box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.1);
-    }
+    const rows = (entries) => entries
+      .map((d, i) => `<tr><td>${i + 1}</td><td>${escape(d.name)}</td><td>${d.count}</td><td>${d.standard_drinks}</td></tr>`)
+      .join("");
     
-    .button-group {
-      display: flex;
-      flex-direction: column;
-      gap: 1rem;
-      justify-content: center;
-      align-items: center;
-      margin: 1rem 0;
-    }
+    res.send(
+      html(`<div class="container">
+        <div class="header">
+          <h1>🌍 All Rooms</h1>
+        </div>
+        <div class="content">
+          <div class="total-counter">
+            <h2>Total Beers Consumed (All Rooms)</h2>
+            <span class="total-number">${totalBeerCount}</span>
+          </div>
+          <div class="leaderboard">
+            <h2>🏆 Participants</h2>
+            <div class="table-container">
+              <table><tr><th>#</th><th>Name</th><th>Beers</th><th>Std drinks</th></tr>${rows(leaderboard.participants)}</table>
+            </div>
+            ${leaderboard.observers.length > 0 ? `
+            <h2 style="margin-top: 2rem;">👀 Observers</h2>
+            <div class="table-container">
+              <table><tr><th>#</th><th>Name</th><th>Beers</th><th>Std drinks</th></tr>${rows(leaderboard.observers)}</table>
+            </div>` : ''}
+          </div>
+          <div style="text-align: center; margin-top: 2rem;">
+            <a href="/" style="color: #667eea;">← Back to Beer Tally</a>
+          </div>
+        </div>
+      </div>`)
+    );
+  } catch (error) {
+    console.error("Error in GET /all-rooms:", error);
+    res.status(500).send("Server error");
+  }
+});
+
+// Member-only room pages (exports, stats); they stay available after a room is closed
+const requireRoomAccess = async (req, res, next) => {
+  const user = dbConnected && await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/");
+  
+  req.room = await getRoomByCode(req.params.roomCode, { includeInactive: true });
+  if (!req.room || !(isAdmin(user) || await isRoomMember(user.id, req.room.id))) {
+    return res.status(404).send("Room not found");
+  }
+  next();
+};
+
+app.get("/room/:roomCode/export.json", requireRoomAccess, async (req, res) => {
+  const data = await buildRoomExport(req.room);
+  res.attachment(`beertally-${req.room.room_code}.json`).json(data);
+});
+
+app.get("/room/:roomCode/export/:dataset.csv", requireRoomAccess, async (req, res) => {
+  const { dataset } = req.params;
+  if (!EXPORT_DATASETS.includes(dataset)) {
+    return res.status(404).send("Unknown export");
+  }
+  
+  const data = await buildRoomExport(req.room);
+  res.attachment(`beertally-${req.room.room_code}-${dataset}.csv`).type("text/csv").send(roomExportCsv(data, dataset));
+});
+
+app.get("/room/:roomCode/stats", requireRoomAccess, async (req, res) => {
+  const { room } = req;
+  const windowName = LEADERBOARD_WINDOWS[req.query.window] ? req.query.window : defaultWindowName(room);
+  const stats = await getRoomStats(room.id, await resolveTimeWindow(windowName, room));
+  const charted = stats.people.slice(0, STATS_CHART_PEOPLE);
+  
+  const personRows = stats.people.map(p => `
+    <tr>
+      <td>${escape(p.name)}${p.user_type === 'observer' ? ' 👀' : ''}</td>
+      <td>${p.count}</td>
+      <td>${p.standard_drinks}</td>
+      <td>${p.longest_streak}</td>
+      <td>${p.fastest_hour}</td>
+      <td>${localTimeTag(p.first_drink_at)}</td>
+      <td>${localTimeTag(p.last_drink_at)}</td>
+    </tr>`).join("");
+  
+  res.send(html(`
+    <div class="container">
+      <div class="header">
+        <h1>📊 Room Stats</h1>
+      </div>
+      <div class="content">
+        <div class="room-info">
+          <h3>${escape(room.name)}</h3>
+          <div class="room-code">${escape(room.room_code)}</div>
+        </div>
+        <form method="GET" class="rank-selector">
+          <label for="window">Window:</label>
+          <select name="window" id="window" onchange="this.form.submit()">
+            ${Object.entries(LEADERBOARD_WINDOWS).map(([key, label]) => `<option value="${key}"${windowName === key ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <noscript><button type="submit" class="btn">Apply</button></noscript>
+        </form>
+        
+        ${stats.total === 0 ? '<p style="text-align: center;">No drinks in this window yet.</p>' : `
+        <div class="stats-cards">
+          <div class="stats-card"><span class="stats-value">${stats.total}</span>drinks</div>
+          <div class="stats-card"><span class="stats-value">${escape(stats.first_drink.name)}</span>first drink · ${localTimeTag(stats.first_drink.created_at)}</div>
+          <div class="stats-card"><span class="stats-value">${escape(stats.last_drink.name)}</span>last drink · ${localTimeTag(stats.last_drink.created_at)}</div>
+        </div>
+        
+        <h2>Drinks over time</h2>
+        ${cumulativeChartSvg(charted)}
+        <p class="chart-legend">${charted.map((p, i) => `<span><i style="background: ${CHART_COLORS[i % CHART_COLORS.length]};"></i>${escape(p.name)}</span>`).join('')}</p>
+        
+        <h2>Drinks by hour</h2>
+        ${hourlyChartSvg(stats.hourly)}
+        <p class="estimate-warning">Hours are in the server's timezone.</p>
+        
+        <h2>Participants vs. observers</h2>
+        <div class="table-container">
+          <table>
+            <tr><th></th><th>People</th><th>Drinks</th><th>Std drinks</th><th>Avg per person</th></tr>
+            ${USER_TYPES.map(type => `<tr><td>${type === 'participant' ? '🍺 Participants' : '👀 Observers'}</td><td>${stats.breakdown[type].people}</td><td>${stats.breakdown[type].drinks}</td><td>${stats.breakdown[type].standard_drinks}</td><td>${stats.breakdown[type].average}</td></tr>`).join('')}
+          </table>
+        </div>
+        
+        <h2>Per person</h2>
+        <div class="table-container">
+          <table>
+            <tr><th>Name</th><th>Drinks</th><th>Std drinks</th><th title="Most drinks in a row, each within ${STREAK_GAP_MINUTES} minutes of the last">Longest streak</th><th title="Most drinks within any 60 minutes">Fastest hour</th><th>First</th><th>Last</th></tr>
+            ${personRows}
+          </table>
+        </div>`}
+        
+        <div style="text-align: center; margin-top: 2rem;">
+          <a href="/room/${escape(room.room_code)}" style="color: #667eea;">← Back to Room</a> · <a href="/" style="color: #667eea;">🍺 Tally</a>
+        </div>
+      </div>
+    </div>
+    <script>
+      document.querySelectorAll('time.local-time').forEach(el => {
+        el.textContent = new Date(el.dateTime).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+      });
+    </script>
+  `));
+});
+
+app.get("/room/:roomCode", async (req, res) => {
+  const user = await getOrCreateUser(req.session.id);
+  if (!user) return res.redirect("/rooms");
+  
+  const { roomCode } = req.params;
+  
+  try {
+    const room = await getRoomByCode(roomCode);
     
-    .btn {
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      color: white;
-      border: none;
-      padding: 0.75rem 2rem;
-      border-radius: 8px;
-      font-size: 1.1rem;
-      font-weight: 600;
-      cursor: pointer;
-      transition: all 0.2s;
-      text-decoration: none;
-      display: inline-block;
-      min-width: 150px;
+    if (!room) {
+      req.session.error = "Room not found.";
+      return res.redirect("/rooms");
     }
     
-    .btn:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 8px 20px rgba(0, 0, 0, 0.2);
+    // The room code is the invite, so opening a shared room link joins it (unless they were removed)
+    if (!(await isRoomMember(user.id, room.id))) {
+      try {
+        await joinRoom(user.id, room.room_code);
+      } catch (error) {
+        req.session.error = error.message;
+        return res.redirect("/rooms");
+      }
     }
+    const roomRole = await getRoomRole(user.id, room);
     
-    .btn:active {
-      transform: translateY(0);
+    res.send(html(`
+      <div class="container">
+        <div class="header">
+          <h1>🏠 ${escape(room.name)}</h1>
+        </div>
+        <div class="main-content">
+          <div style="padding: 1rem;">
+            <div class="room-info">
+              <h3>Room Code:</h3>
+              <div class="room-code">${escape(room.room_code)}</div>
+              <p>Share this code with others to join the room</p>
+            </div>
+            
+            <div class="chat-container">
+              <div class="participants-panel">
+                <h3>Participants</h3>
+                <div id="participants-list"></div>
+              </div>
+              
+              <div class="chat-main">
+                <div class="messages-container" id="messages-container">
+                  <div style="text-align: center; color: #a0aec0; padding: 2rem;">
+                    Loading messages...
+                  </div>
+                </div>
+                
+                <div class="message-input-container">
+                  <input type="text" id="message-input" class="message-input" placeholder="Type your message..." maxlength="500">
+                  <button id="send-btn" class="send-btn">Send</button>
+                </div>
+              </div>
+            </div>
+            
+            <p class="export-links">
+              📥 Export:
+              <a href="/room/${escape(room.room_code)}/export/entries.csv">Drinks (CSV)</a> ·
+              <a href="/room/${escape(room.room_code)}/export/leaderboard.csv">Leaderboard (CSV)</a> ·
+              <a href="/room/${escape(room.room_code)}/export/flappy.csv">Flappy scores (CSV)</a> ·
+              <a href="/room/${escape(room.room_code)}/export.json">Everything (JSON)</a>
+            </p>
+            <p class="export-links"><a href="/room/${escape(room.room_code)}/stats">📊 Room stats and charts</a></p>
+            
+            <div style="text-align: center; margin-top: 1rem;">
+              <a href="/" class="btn btn-secondary">🍺 Back to Tally</a>
+              ${canManageRoom(roomRole) ? `<a href="/room/${escape(room.room_code)}/settings" class="btn">⚙️ Settings</a>` : ''}
+              <form action="/room/${escape(room.room_code)}/leave" method="POST" style="display: inline;" onsubmit="return confirm('Leave this room? Your drinks stay on its leaderboard.')">
+                <button type="submit" class="btn btn-danger">Leave Room</button>
+              </form>
+            </div>
+          </div>
+        </div>
+      </div>
+      
+      <script src="/socket.io/socket.io.js"></script>
+      <script>
+        const socket = io();
+        const messagesContainer = document.getElementById('messages-container');
+        const messageInput = document.getElementById('message-input');
+        const sendBtn = document.getElementById('send-btn');
+        const participantsList = document.getElementById('participants-list');
+        
+        let currentUserId = ${user.id};
+        let currentUserName = ${JSON.stringify(user.name)};
+        
+        // Join room
+        socket.emit('join-room', ${JSON.stringify(room.room_code)});
+        
+        // Room joined event
+        socket.on('room-joined', (data) => {
+          displayMessages(data.messages);
+          updateParticipants(data.participants);
+        });
+        
+        // New message event
+        socket.on('new-message', (message) => {
+          addMessage(message);
+        });
+        
+        // Participants updated event
+        socket.on('participants-updated', (participants) => {
+          updateParticipants(participants);
+        });
+        
+        // User joined event
+        socket.on('user-joined', (user) => {
+          addSystemMessage(user.name + ' joined the room');
+        });
+        
+        // User left event
+        socket.on('user-left', (user) => {
+          addSystemMessage(user.name + ' left the room');
+        });
+        
+        // Error event
+        socket.on('error', (error) => {
+          alert('Error: ' + error);
+        });
+        
+        // Send message
+        function sendMessage() {
+          const message = messageInput.value.trim();
+          if (message) {
+            socket.emit('send-message', { message: message });
+            messageInput.value = '';
+          }
+        }
+        
+        sendBtn.addEventListener('click', sendMessage);
+        messageInput.addEventListener('keypress', (e) => {
+          if (e.key === 'Enter') {
+            sendMessage();
+          }
+        });
+        
+        function displayMessages(messages) {
+          messagesContainer.innerHTML = '';
+          messages.forEach(addMessage);
+        }
+        
+        function addMessage(message) {
+          if (message.is_system) return addSystemMessage(message.message);
+          
+          const messageDiv = document.createElement('div');
+          messageDiv.className = 'message' + (message.user_id === currentUserId ? ' own-message' : '');
+          
+          const time = new Date(message.created_at).toLocaleTimeString();
+          
+          messageDiv.innerHTML = \`
+            <div class="message-author">\${escapeHtml(message.user_name)}</div>
+            <div class="message-content">\${escapeHtml(message.message)}</div>
+            <div class="message-time">\${time}</div>
+          \`;
+          
+          messagesContainer.appendChild(messageDiv);
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+        
+        function addSystemMessage(text) {
+          const messageDiv = document.createElement('div');
+          messageDiv.style.textAlign = 'center';
+          messageDiv.style.color = '#a0aec0';
+          messageDiv.style.fontSize = '0.9rem';
+          messageDiv.style.margin = '1rem 0';
+          messageDiv.textContent = text;
+          
+          messagesContainer.appendChild(messageDiv);
+          messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+        
+        function updateParticipants(participants) {
+          participantsList.innerHTML = '';
+          participants.forEach(participant => {
+            const participantDiv = document.createElement('div');
+            participantDiv.className = 'participant' + (participant.id === currentUserId ? ' current-user' : '');
+            participantDiv.textContent = (participant.online ? '🟢 ' : '⚪ ') + participant.name + (participant.id === currentUserId ? ' (You)' : '');
+            participantsList.appendChild(participantDiv);
+          });
+        }
+        
+        function escapeHtml(text) {
+          const div = document.createElement('div');
+          div.textContent = text;
+          return div.innerHTML;
+        }
+      </script>
+    `));
+  } catch (error) {
+    req.session.error = "Failed to load room.";
+    res.redirect("/rooms");
+  }
+});
+
+// Start a Flappy Bird run: the seed for its course and the token its score is submitted with
+app.post("/start-run", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.status(500).json({ error: "Database not connected" });
     }
     
-    .btn-secondary {
-      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
+    const user = await getOrCreateUser(req.session.id);
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
     }
     
-    .btn-danger {
-      background: linear-gradient(135deg, #fc8181 0%, #e53e3e 100%);
+    try {
+      res.json(await createFlappyRun(user, {
+        tournament: req.body?.tournament === true,
+        daily: req.body?.daily === true,
+        race: req.body?.race === true
+      }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
     }
-    
-    /* Beer Tally specific button styles */
-    .beer-controls {
-      display: flex;
-      gap: 0.75rem;
-      align-items: center;
-      justify-content: center;
-      margin-bottom: 1rem;
+  } catch (error) {
+    console.error("Error in POST /start-run:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Submit Flappy Bird score: the run's flaps are replayed and the replayed score is what counts
+app.post("/submit-score", async (req, res) => {
+  try {
+    if (!dbConnected) {
+      return res.status(500).json({ error: "Database not connected" });
     }
     
-    .add-beer-btn {
-      background: linear-gradient(135deg, #48bb78 0%, #38a169 100%);
-      color: white;
-      border: none;
-      padding: 1rem 2rem;
-      border-radius: 8px;
-      font-size: 1.3rem;
-      font-weight: 700;
-      cursor: pointer;
-      transition: all 0.2s;
-      min-width: 180px;
-      min-height: 60px;
+    const user = await getOrCreateUser(req.session.id);
+    if (!user) {
+      return res.status(401).json({ error: "User not found" });
     }
     
-    .add-beer-btn:hover {
-      transform: translateY(-2px);
-      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+    let score, dailyDate;
+    try {
+      ({ score, daily_date: dailyDate } = await submitFlappyRun(user, req.body.token, req.body.flaps));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
+    // Daily challenge runs are compared with the day's best, not the free-play best
+    const bestScore = dailyDate
+      ? await getUserBestDailyScore(user.id, dailyDate)
+      : await getUserBestFlappyScore(user.id);
     
-    .add-beer-btn:active {
-      transform: translateY(0);
+    res.json({ 
+      success: true, 
+      score,
+      bestScore,
+      isNewBest: score === bestScore
+    });
+  } catch (error) {
+    console.error("Error in POST /submit-score:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Flappy Bird Game Route
+app.get("/game", async (req, res) => {
+  try {
+    const user = await getOrCreateUser(req.session.id);
+    const userName = user ? user.name : '';
+    const room = user && dbConnected ? await getUserRoom(user.id) : null;
+    const activeTournament = room ? await getActiveFlappyTournament(room.id) : null;
+    const tournament = activeTournament && {
+      ends_at: activeTournament.ends_at,
+      max_attempts: activeTournament.max_attempts,
+      attempts_left: activeTournament.max_attempts - await getTournamentAttempts(activeTournament.id, user.id)
+    };
+    let daily = null;
+    if (user && dbConnected) {
+      const { date } = await getDailyCourse();
+      const attemptsUsed = await getDailyAttempts(user.id, date);
+      daily = { attempts_left: FLAPPY_DAILY_ATTEMPTS ? Math.max(0, FLAPPY_DAILY_ATTEMPTS - attemptsUsed) : null };
     }
     
-    .game-controls {
+    const gameHtml = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>🐦 Flappy Bird Game</title>
+  <style>
+    body {
+      margin: 0;
+      padding: 0;
+      background: linear-gradient(135deg, #87CEEB 0%, #98D8E8 100%);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
       display: flex;
-      gap: 0.5rem;
       justify-content: center;
-      flex-wrap: wrap;
+      align-items: center;
+      min-height: 100vh;
+      overflow: hidden;
     }
     
-    .room-info {
-      background: #f7fafc;
-      padding: 1.5rem;
-      border-radius: 12px;
-      margin-bottom: 2rem;
+    .game-container {
       text-align: center;
+      position: relative;
     }
     
-    .room-code {
-      font-size: 2rem;
-      font-weight: 800;
-      color: #667eea;
-      letter-spacing: 2px;
-      margin: 0.5rem 0;
-      font-family: 'Courier New', monospace;
+    canvas {
+      display: block;
+      margin: 0 auto;
+      border: 4px solid #333;
+      border-radius: 10px;
+      background: linear-gradient(to bottom, #87CEEB 0%, #98D8E8 70%, #90EE90 100%);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+      touch-action: none;
+      user-select: none;
+      -webkit-user-select: none;
     }
     
-    .error {
-      background: #fed7d7;
-      color: #c53030;
-      padding: 1rem;
-      border-radius: 8px;
-      margin-bottom: 1rem;
-      text-align: center;
+    .score {
+      position: absolute;
+      top: 20px;
+      left: 20px;
+      font-size: 24px;
+      font-weight: bold;
+      color: white;
+      text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.5);
     }
     
-    .success {
-      background: #c6f6d5;
-      color: #2f855a;
-      padding: 1rem;
-      border-radius: 8px;
-      margin-bottom: 1rem;
+    .game-over {
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 20px;
+      border-radius: 10px;
       text-align: center;
+      display: none;
     }
     
-    /* Chat room styles */
-    .chat-container {
-      display: flex;
-      height: 600px;
-    }
-    
-    .participants-panel {
-      width: 250px;
-      background: #f7fafc;
-      padding: 1rem;
-      border-right: 1px solid #e2e8f0;
-    }
-    
-    .participants-panel h3 {
-      margin-bottom: 1rem;
-      color: #4a5568;
-    }
-    
-    .participant {
-      padding: 0.5rem;
-      margin-bottom: 0.5rem;
-      background: white;
-      border-radius: 6px;
-      font-size: 0.9rem;
-    }
-    
-    .participant.current-user {
-      background: #e6fffa;
-      color: #2c7a7b;
-      font-weight: 600;
-    }
-    
-    .chat-main {
-      flex: 1;
-      display: flex;
-      flex-direction: column;
-    }
-    
-    .messages-container {
-      flex: 1;
-      padding: 1rem;
-      overflow-y: auto;
-      background: #fafafa;
-    }
-    
-    .message {
-      margin-bottom: 1rem;
-      padding: 0.75rem;
-      background: white;
-      border-radius: 8px;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-    }
-    
-    .message.own-message {
-      background: #e6fffa;
-      margin-left: 2rem;
-    }
-    
-    .message-author {
-      font-weight: 600;
-      color: #4a5568;
-      font-size: 0.9rem;
-      margin-bottom: 0.25rem;
-    }
-    
-    .message-content {
-      color: #2d3748;
+    .controls {
+      margin-top: 20px;
+      color: white;
+      font-size: 18px;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
     }
     
-    .message-time {
-      font-size: 0.8rem;
-      color: #a0aec0;
-      margin-top: 0.25rem;
+    .home-btn {
+      margin-top: 15px;
+      padding: 10px 20px;
+      font-size: 16px;
+      background: #4CAF50;
+      color: white;
+      border: none;
+      border-radius: 5px;
+      cursor: pointer;
+      text-decoration: none;
+      display: inline-block;
     }
     
-    .message-input-container {
-      padding: 1rem;
-      background: white;
-      border-top: 1px solid #e2e8f0;
-      display: flex;
-      gap: 0.5rem;
+    .home-btn:hover {
+      background: #45a049;
     }
     
-    .message-input {
-      flex: 1;
-      padding: 0.75rem;
-      border: 1px solid #e2e8f0;
-      border-radius: 8px;
-      font-size: 1rem;
+    .tournament, .daily, .race {
+      margin-top: 15px;
+      color: white;
+      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
     }
     
-    .send-btn {
-      padding: 0.75rem 1.5rem;
-      background: #667eea;
+    .tournament button, .daily button, .race button {
+      padding: 8px 16px;
+      font-size: 16px;
+      background: #F39C12;
       color: white;
       border: none;
-      border-radius: 8px;
+      border-radius: 5px;
       cursor: pointer;
-      font-weight: 600;
     }
     
-    .send-btn:hover {
-      background: #5a6fd8;
+    .daily button {
+      background: #3498DB;
     }
     
-    /* Mobile responsiveness */
-    @media (max-width: 768px) {
-      .header h1 {
-        font-size: 2rem;
-      }
+    .race button {
+      background: #E74C3C;
+      margin: 0 4px;
+    }
+    
+    .race ol {
+      display: inline-block;
+      text-align: left;
+      margin: 5px 0;
+    }
+  </style>
+</head>
+<body>
+  <div class="game-container">
+    <canvas id="gameCanvas" width="400" height="600"></canvas>
+    <div class="score" id="score">Score: 0</div>
+    <div class="game-over" id="gameOver">
+      <h2>Game Over!</h2>
+      <p>Your Score: <span id="finalScore">0</span></p>
+      <button onclick="restartGame()">Play Again</button>
+    </div>
+    ${tournament ? `<div class="tournament" id="tournament">
+      <p>🏆 Tournament running in ${escape(room.name)}: your best of ${tournament.max_attempts} attempts counts. Free-play games don't.</p>
+      <p id="tournament-note"></p>
+      <button id="tournament-btn" onclick="restartGame('tournament')"${tournament.attempts_left > 0 ? '' : ' style="display: none;"'}>Start a tournament attempt (${tournament.attempts_left} left)</button>
+    </div>` : ''}
+    ${daily ? `<div class="daily" id="daily">
+      ${daily.attempts_left === 0 ? "<p>You've played all of today's daily challenge attempts. New course at midnight, server time!</p>" : ''}
+      <p id="daily-note"></p>
+      <button id="daily-btn" onclick="restartGame('daily')"${daily.attempts_left === 0 ? ' style="display: none;"' : ''}>📅 Daily challenge${daily.attempts_left === null ? '' : ` (${daily.attempts_left} left today)`}</button>
+    </div>` : ''}
+    ${room ? `<div class="race" id="race">
+      <p id="race-status">🏁 Loading races...</p>
+      <ol id="race-racers"></ol>
+      <p id="race-note"></p>
+      <button id="race-open" onclick="raceAction('open')" style="display: none;">🏁 Open a race</button>
+      <button id="race-join" onclick="raceAction('join')" style="display: none;">Join the race</button>
+      <button id="race-start" onclick="raceAction('start')" style="display: none;">Start the race!</button>
+      <button id="race-leave" onclick="raceAction('leave')" style="display: none;">Leave</button>
+    </div>` : ''}
+    <div class="controls">
+      <p>Tap, click or press SPACE to flap!</p>
+      <a href="/" class="home-btn">🍺 Back to Beer Tally</a>
+      <a href="/flappy-leaderboard" class="home-btn" style="background: #9B59B6; margin-left: 10px;">🏆 Leaderboard</a>
+    </div>
+  </div>
+
+  ${room ? '<script src="/socket.io/socket.io.js"></script>' : ''}
+  <script>
+    const canvas = document.getElementById('gameCanvas');
+    const ctx = canvas.getContext('2d');
+    const scoreElement = document.getElementById('score');
+    const gameOverElement = document.getElementById('gameOver');
+    const finalScoreElement = document.getElementById('finalScore');
+
+    // User info from server
+    const userName = ${JSON.stringify(userName)};
+    const isRoy = userName.toLowerCase() === 'roy';
+    const userId = ${JSON.stringify(user ? user.id : null)};
+    const roomCode = ${JSON.stringify(room ? room.room_code : null)};
+
+    // Same simulation the server replays to check scores
+    ${createFlappySimulation.toString()}
+
+    let run = null; // { token, seed } issued by the server
+    let sim = null;
+    let flaps = []; // tick of every flap, sent with the score
+    let gameRunning = true;
+    let gameStarted = false;
+    let paused = false;
+
+    // The simulation always advances 60 ticks a second, whatever the display's refresh rate,
+    // so scores are comparable between a 60Hz laptop and a 120Hz phone
+    const TICK_MS = 1000 / 60;
+    let lastFrameTime = null;
+    let accumulator = 0;
+
+    // Logical size of the course; the canvas is scaled to fit the screen around it
+    const WIDTH = 400;
+    const HEIGHT = 600;
+
+    function resizeCanvas() {
+      const border = 8;
+      const reserved = document.querySelector('.game-container').offsetHeight - canvas.offsetHeight;
+      const scale = Math.max(0.3, Math.min(
+        (window.innerWidth - border - 16) / WIDTH,
+        (window.innerHeight - border - reserved - 16) / HEIGHT
+      ));
+      canvas.style.width = Math.floor(WIDTH * scale) + 'px';
+      canvas.style.height = Math.floor(HEIGHT * scale) + 'px';
       
-      .welcome-section {
-        padding: 2rem 1rem;
+      // Draw at the device's pixel density so the scaled canvas stays sharp
+      const pixelRatio = window.devicePixelRatio || 1;
+      canvas.width = Math.round(WIDTH * scale * pixelRatio);
+      canvas.height = Math.round(HEIGHT * scale * pixelRatio);
+      ctx.setTransform(canvas.width / WIDTH, 0, 0, canvas.height / HEIGHT, 0, 0);
+    }
+
+    // Face emoji as the bird
+    const birdEmoji = '😄';
+
+    // Each game gets a course from the server: a fresh one for free play and tournaments, the
+    // day's shared one for the daily challenge. Without one (no name yet, offline) the game is
+    // still playable on a random course, it just can't be scored.
+    async function startRun(mode = '') {
+      sim = null;
+      run = null;
+      raceStartAt = null;
+      let note = '';
+      try {
+        let response = await requestRun(mode);
+        if (!response.ok && mode) {
+          // No attempt available: say why and play a free game instead
+          note = (await response.json()).error;
+          response = await requestRun('');
+        }
+        if (response.ok) {
+          run = await response.json();
+        }
+      } catch (error) {
+        run = null;
       }
-      
-      .chat-container {
-        flex-direction: column;
-        height: auto;
-        min-height: 500px;
+      if (!run) {
+        run = { token: null, seed: Math.floor(Math.random() * 4294967296) };
       }
-      
-      .participants-panel {
-        width: 100%;
-        max-height: 150px;
-        overflow-y: auto;
+      if (run.tournament) {
+        const attemptsLeft = run.tournament.max_attempts - run.tournament.attempt;
+        note = 'Attempt ' + run.tournament.attempt + ' of ' + run.tournament.max_attempts + ': this one counts!';
+        const button = document.getElementById('tournament-btn');
+        button.textContent = 'Start a tournament attempt (' + attemptsLeft + ' left)';
+        button.style.display = attemptsLeft > 0 ? '' : 'none';
+      }
+      if (run.daily) {
+        const limited = run.daily.max_attempts !== null;
+        const attemptsLeft = limited ? run.daily.max_attempts - run.daily.attempt : null;
+        note = 'Daily challenge for ' + run.daily.date + ': attempt ' + run.daily.attempt +
+          (limited ? ' of ' + run.daily.max_attempts : '') + '. Everyone plays this course until midnight, server time!';
+        const button = document.getElementById('daily-btn');
+        button.textContent = '📅 Daily challenge' + (limited ? ' (' + attemptsLeft + ' left today)' : '');
+        button.style.display = attemptsLeft === 0 ? 'none' : '';
       }
+      if (run.race) {
+        // Everyone's countdown ends together, however late the run arrived
+        raceStartAt = performance.now() + run.race.starts_in_ms;
+        ghosts.clear();
+        lastGhostTick = -1;
+        note = 'Get ready! The game starts itself when the countdown ends.';
+      }
+      ['tournament', 'daily', 'race'].forEach(name => {
+        const noteElement = document.getElementById(name + '-note');
+        if (noteElement) noteElement.textContent = name === mode ? note : '';
+      });
+      sim = createFlappySimulation(run.seed);
+    }
+    
+    function requestRun(mode) {
+      return fetch('/start-run', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tournament: mode === 'tournament', daily: mode === 'daily', race: mode === 'race' })
+      });
+    }
+
+    // Live races: the lobby, the start and everyone else's bird come over Socket.IO
+    let race = null; // latest race state from the server
+    let raceRequested = null; // id of the race this page already asked for a run in
+    let raceStartAt = null; // when this game's race countdown ends, on the requestAnimationFrame clock
+    const ghosts = new Map(); // user id -> { name, y, seenAt }
+    let lastGhostTick = -1;
+    const socket = roomCode && typeof io !== 'undefined' ? io() : null;
+
+    if (socket) {
+      socket.emit('watch-races', roomCode);
+      socket.io.on('reconnect', () => {
+        socket.emit('watch-races', roomCode);
+      });
+      socket.on('race-updated', (data) => {
+        race = data;
+        renderRace();
+        // The start is pushed to every racer; each one fetches its run on the shared course
+        const me = race && race.racers.find(r => r.id === userId);
+        if (race && race.status === 'racing' && me && !me.started && raceRequested !== race.id) {
+          raceRequested = race.id;
+          restartGame('race');
+        }
+      });
+      socket.on('race-ghost', (data) => {
+        if (run && run.race && data.race_id === run.race.id) {
+          ghosts.set(data.user.id, { name: data.user.name, y: data.y, seenAt: performance.now() });
+        }
+      });
+      socket.on('race-eliminated', (data) => {
+        ghosts.delete(data.user.id);
+        if (race && data.race_id === race.id && data.user.id !== userId) {
+          document.getElementById('race-note').textContent = '💥 ' + data.user.name + ' is out with ' + data.score + '!';
+        }
+      });
+      socket.on('error', (message) => {
+        document.getElementById('race-note').textContent = message;
+      });
+    }
+
+    function raceAction(action) {
+      if (socket) socket.emit('race-action', action);
+    }
+
+    function renderRace() {
+      const status = document.getElementById('race-status');
+      const list = document.getElementById('race-racers');
+      const mine = Boolean(race && race.racers.some(r => r.id === userId));
+      const lobby = Boolean(race && race.status === 'lobby');
       
-      .button-group {
-        flex-direction: column;
-        align-items: center;
+      list.innerHTML = '';
+      if (!race) {
+        status.textContent = '🏁 No race yet: open one and race the room on the same course!';
+      } else if (lobby) {
+        status.textContent = '🏁 Race lobby: ' + race.racers.length + ' of ' + race.max_racers + ' racers';
+      } else if (race.status === 'racing') {
+        status.textContent = '🏁 Race on!';
+      } else {
+        const winner = race.racers.find(r => r.position === 1);
+        status.textContent = winner ? '🏆 ' + winner.name + ' won the last race!' : '🏁 Nobody finished the last race';
+      }
+      (race ? race.racers : []).forEach(racer => {
+        const item = document.createElement('li');
+        let detail = '';
+        if (race.status === 'racing') {
+          detail = racer.out ? ' 💥 ' + racer.score : ' 🐦';
+        } else if (race.status === 'finished') {
+          detail = racer.position === null ? ' (did not finish)' : ' - ' + racer.score;
+        }
+        item.textContent = racer.name + detail;
+        if (racer.id === userId) item.style.fontWeight = 'bold';
+        list.appendChild(item);
+      });
+      if (race && race.status === 'finished' && raceRequested === race.id) {
+        const me = race.racers.find(r => r.id === userId);
+        document.getElementById('race-note').textContent = me && me.position !== null
+          ? 'You finished #' + me.position + ' of ' + race.racers.length + '!'
+          : '';
       }
       
-      .beer-controls {
-        flex-direction: column;
-        gap: 0.5rem;
+      const show = (id, visible) => {
+        document.getElementById(id).style.display = visible ? '' : 'none';
+      };
+      show('race-open', !race || race.status === 'finished');
+      show('race-join', lobby && !mine && race.racers.length < race.max_racers);
+      show('race-start', lobby && race.created_by === userId);
+      show('race-leave', lobby && mine);
+    }
+
+    // Game loop: render every frame, step the simulation in fixed ticks
+    function gameLoop(now) {
+      if (!gameRunning) return;
+
+      // Long gaps (a backgrounded tab) are capped rather than fast-forwarded, except in a race,
+      // where the clock keeps running for everyone
+      const gap = lastFrameTime === null ? 0 : now - lastFrameTime;
+      const elapsed = run && run.race ? gap : Math.min(gap, 250);
+      lastFrameTime = now;
+
+      // Clear canvas
+      ctx.clearRect(0, 0, WIDTH, HEIGHT);
+
+      if (sim) {
+        // Races start themselves, with the first flap, when the countdown runs out
+        if (run.race && !gameStarted && raceStartAt !== null && now >= raceStartAt) {
+          jump();
+        }
+        if (gameStarted && !paused) {
+          accumulator += elapsed;
+          while (accumulator >= TICK_MS && !sim.dead) {
+            sim.step();
+            accumulator -= TICK_MS;
+          }
+          if (sim.dead) {
+            gameOver();
+          } else if (socket && run.race && sim.tick - lastGhostTick >= 6) {
+            // Ten position updates a second is enough for smooth ghosts
+            lastGhostTick = sim.tick;
+            socket.emit('race-position', { race_id: run.race.id, tick: sim.tick, y: sim.bird.y });
+          }
+        }
+
+        if (run.race) {
+          drawGhosts(now);
+        }
+
+        // Draw bird (face emoji)
+        const bird = sim.bird;
+        ctx.font = '40px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(birdEmoji, bird.x + bird.width/2, bird.y + bird.height/2 + 12);
+
+        // Draw pipes
+        drawPipes();
+      }
+
+      // Draw ground
+      ctx.fillStyle = '#8B4513';
+      ctx.fillRect(0, HEIGHT - 50, WIDTH, 50);
+
+      // Update score display
+      scoreElement.textContent = 'Score: ' + (sim ? sim.score : 0);
+
+      // Show start or pause message
+      if (!gameStarted || paused) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(0, 0, WIDTH, HEIGHT);
+        ctx.fillStyle = 'white';
+        ctx.font = '24px Arial';
+        ctx.textAlign = 'center';
+        let message = paused ? 'Paused - tap to resume' : sim ? 'Tap or press SPACE to start!' : 'Loading course...';
+        if (!paused && sim && run.race) {
+          message = 'Race starts in ' + Math.max(1, Math.ceil((raceStartAt - now) / 1000)) + '...';
+        }
+        ctx.fillText(message, WIDTH/2, HEIGHT/2);
+      }
+
+      requestAnimationFrame(gameLoop);
+    }
+
+    // Other racers, drawn see-through at the same x as your bird since everyone flies the same course
+    function drawGhosts(now) {
+      ctx.save();
+      ctx.globalAlpha = 0.35;
+      ctx.textAlign = 'center';
+      ghosts.forEach((ghost, id) => {
+        // Racers who stopped reporting (closed the game) fade out
+        if (now - ghost.seenAt > 3000) {
+          ghosts.delete(id);
+          return;
+        }
+        const x = sim.bird.x + sim.bird.width / 2;
+        ctx.font = '40px Arial';
+        ctx.fillText(birdEmoji, x, ghost.y + sim.bird.height / 2 + 12);
+        ctx.font = '12px Arial';
+        ctx.fillText(ghost.name, x, ghost.y - 4);
+      });
+      ctx.restore();
+    }
+
+    function drawPipes() {
+      ctx.fillStyle = '#228B22';
+      ctx.strokeStyle = '#006400';
+      ctx.lineWidth = 2;
+
+      sim.pipes.forEach(pipe => {
+        // Top pipe
+        ctx.fillRect(pipe.x, 0, sim.pipeWidth, pipe.topHeight);
+        ctx.strokeRect(pipe.x, 0, sim.pipeWidth, pipe.topHeight);
+
+        // Bottom pipe
+        ctx.fillRect(pipe.x, pipe.bottomY, sim.pipeWidth, pipe.bottomHeight);
+        ctx.strokeRect(pipe.x, pipe.bottomY, sim.pipeWidth, pipe.bottomHeight);
+      });
+    }
+
+    function jump() {
+      if (!sim || !gameRunning) return;
+      // No early starts: a race begins for everyone when the countdown ends
+      if (run.race && !gameStarted && (raceStartAt === null || performance.now() < raceStartAt)) return;
+      // The tap that resumes a paused game doesn't flap, so the bird doesn't jump unexpectedly
+      if (paused) {
+        paused = false;
+        return;
+      }
+      if (!gameStarted) {
+        gameStarted = true;
+      }
+      flaps.push(sim.tick);
+      sim.flap();
+    }
+
+    // Races can't be paused: the other racers keep flying
+    function pause() {
+      if (gameStarted && gameRunning && !run.race) {
+        paused = true;
       }
+    }
+
+    function gameOver() {
+      gameRunning = false;
+      finalScoreElement.textContent = sim.score;
+      gameOverElement.style.display = 'block';
       
-      .add-beer-btn {
-        width: 100%;
-        max-width: 280px;
-        min-height: 55px;
-        font-size: 1.2rem;
+      // Submit the run to the server, which replays it to work out the score. Race runs are
+      // always sent, since that's what puts the racer out.
+      if ((sim.score > 0 || run.race) && run.token) {
+        submitScore(run.token, flaps);
+      }
+      if (run.race) {
+        document.getElementById('race-note').textContent = "💥 You're out! Waiting for the others...";
+      }
+    }
+    
+    async function submitScore(token, gameFlaps) {
+      try {
+        const response = await fetch('/submit-score', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token, flaps: gameFlaps })
+        });
+        
+        if (response.ok) {
+          const data = await response.json();
+          finalScoreElement.textContent = data.score;
+          if (data.isNewBest) {
+            // Show new best score notification
+            const gameOverDiv = document.getElementById('gameOver');
+            const newBestMsg = document.createElement('p');
+            newBestMsg.style.color = '#FFD700';
+            newBestMsg.style.fontWeight = 'bold';
+            newBestMsg.textContent = '🎉 New Best Score! 🎉';
+            gameOverDiv.insertBefore(newBestMsg, gameOverDiv.querySelector('button'));
+          }
+        }
+      } catch (error) {
+        console.error('Error submitting score:', error);
       }
+    }
+
+    // Starting a tournament attempt, the daily challenge or a race mid-game abandons the current game
+    function restartGame(mode = '') {
+      const loopRunning = gameRunning;
+      flaps = [];
+      gameRunning = true;
+      gameStarted = false;
+      paused = false;
+      accumulator = 0;
+      gameOverElement.style.display = 'none';
       
-      .game-controls {
-        flex-direction: column;
-        gap: 0.5rem;
+      // Clean up any new best score notifications
+      const gameOverDiv = document.getElementById('gameOver');
+      const newBestMsg = gameOverDiv.querySelector('p[style*="color: rgb(255, 215, 0)"]');
+      if (newBestMsg) {
+        newBestMsg.remove();
       }
       
-      .btn {
-        width: 100%;
-        max-width: 300px;
+      startRun(mode);
+      if (!loopRunning) {
+        lastFrameTime = null;
+        requestAnimationFrame(gameLoop); // Restart the game loop
       }
     }
-  </style>
-</head>
-<body>
-  ${body}
+
+    // Event listeners. pointerdown covers mouse, touch and pen in one event, and
+    // preventing its default stops the follow-up click and double-tap zoom.
+    canvas.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      jump();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.code === 'Space') {
+        e.preventDefault();
+        // Holding the key down shouldn't keep flapping
+        if (!e.repeat) jump();
+      }
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) pause();
+    });
+    window.addEventListener('blur', pause);
+    window.addEventListener('resize', resizeCanvas);
+
+    // Start game loop
+    resizeCanvas();
+    startRun();
+    requestAnimationFrame(gameLoop);
+  </script>
 </body>
 </html>`;
 
-// Routes
-app.get("/", async (req, res) => {
+    res.send(gameHtml);
+  } catch (error) {
+    console.error("Error in GET /game:", error);
+    res.status(500).send("Game error");
+  }
+});
+
+// Flappy Bird Leaderboard Route
+app.get("/flappy-leaderboard", async (req, res) => {
   try {
-    // Check if database is connected
     if (!dbConnected) {
       return res.send(
-        html(`<div class="container">
-          <div class="header">
-            <h1>🍺 Beer Tally</h1>
-          </div>
-          <div class="content">
-            <div class="total-counter">
-              <h2>Total Beers Consumed</h2>
-              <span class="total-number">0</span>
-            </div>
-            <div class="loading">
-              <p>⏳ Setting up database connection... Please refresh in a moment.</p>
-            </div>
+        html(`<div class="header">
+          <h1>🐦 Flappy Bird Leaderboard</h1>
+        </div>
+        <div class="content">
+          <div class="loading">
+            <p>⏳ Setting up database connection... Please refresh in a moment.</p>
           </div>
         </div>
         <script>setTimeout(() => location.reload(), 3000);</script>`)
       );
     }
 
+    // Room standings for members; the global top 10 for anyone not in a room
     const user = await getOrCreateUser(req.session.id);
+    const room = user ? await getUserRoom(user.id) : null;
+    const leaderboard = await getFlappyBirdLeaderboard(room?.id);
+    const tournament = room ? await getRoomFlappyTournament(room.id) : null;
+    const daily = await getDailyChallenge(user);
+    const roomDaily = room ? await getDailyLeaderboard(daily.date, room.id) : null;
+    const race = room ? await getRoomFlappyRace(room.id) : null;
     
-    if (!user) {
-      return res.send(
-        html(`<div class="container">
-          <div class="header">
-            <h1>🍺 Beer Tally</h1>
-          </div>
-          <div class="content">
-            <div class="form-section">
-              <h1>What's your name?</h1>
-              <form action="/set-name" method="POST">
-                <input type="text" name="name" placeholder="Enter your name" required maxlength="30">
-                <button type="submit" class="submit-btn">Start Tallying</button>
-              </form>
-              
-              <div class="button-group">
-                <form action="/set-name" method="POST" style="display: inline;">
-                  <input type="hidden" name="name" value="Observer">
-                  <input type="hidden" name="user_type" value="observer">
-                  <button type="submit" class="submit-btn" style="background: linear-gradient(135deg, #a0aec0 0%, #718096 100%);">Join as Observer</button>
-                </form>
-              </div>
-            </div>
-          </div>
-        </div>`)
-      );
-    }
-
-    const totalBeerCount = await getTotalBeerCount();
-    const userBeerCount = await getBeerCount(user.id);
-    const leaderboard = await getLeaderboard();
-
-    const participantRows = leaderboard.participants
-      .map((d, i) => {
-        const isCurrentUser = d.name === user.name;
+    const scoreRows = (players, countKey = "games_played") => players
+      .map((player, i) => {
+        const isCurrentUser = user && player.id === user.id;
         return `<tr${
           isCurrentUser ? ' class="current-user"' : ""
-        }><td>${i + 1}</td><td>${escape(d.name)}</td><td>${d.count}</td></tr>`;
+        }><td>${i + 1}</td><td>${escape(player.name)}</td><td>${player.best_score}</td><td>${player[countKey]}</td></tr>`;
       })
       .join("");
+    const leaderboardRows = scoreRows(leaderboard);
 
-    const observerRows = leaderboard.observers
-      .map((d, i) => {
-        const isCurrentUser = d.name === user.name;
-        return `<tr${
-          isCurrentUser ? ' class="current-user"' : ""
-        }><td>${i + 1}</td><td>${escape(d.name)}</td><td>${d.count}</td></tr>`;
-      })
-      .join("");
+    const currentUserBest = user ? await getUserBestFlappyScore(user.id, room?.id) : 0;
+    
+    let tournamentSection = '';
+    if (tournament) {
+      const attemptsLeft = tournament.max_attempts - await getTournamentAttempts(tournament.id, user.id);
+      tournamentSection = `
+          <div class="leaderboard">
+            <h2>${tournament.is_open ? '🏆 Tournament in progress' : tournament.finished_at ? '🏁 Last tournament' : '⏳ Tournament wrapping up'}</h2>
+            <p class="event-times">Best of ${tournament.max_attempts} attempt${tournament.max_attempts === 1 ? '' : 's'} · ${tournament.is_open ? `ends ${localTimeTag(tournament.ends_at)} · you have ${attemptsLeft} left` : `ended ${localTimeTag(tournament.ends_at)}`}</p>
+            ${tournament.finished_at && tournament.standings.length > 0 ? `<p class="podium">${escape(tournamentPodium(tournament.standings))}</p>` : ''}
+            <div class="table-container">
+              <table>
+                <tr><th>#</th><th>Player</th><th>Best Score</th><th>Attempts scored</th></tr>
+                ${tournament.standings.length > 0 ? scoreRows(tournament.standings) : '<tr><td colspan="4" style="text-align: center; color: #666;">No tournament scores yet!</td></tr>'}
+              </table>
+            </div>
+          </div>`;
+    }
+
+    // Finishing positions of the room's last race; racers who never finished come last
+    const raceSection = race && race.status === "finished" ? `
+          <div class="leaderboard">
+            <h2>🏁 Last Race</h2>
+            <p class="event-times">Finished ${localTimeTag(race.finished_at)} · everyone flew the same course</p>
+            ${race.racers.some(r => r.position !== null) ? `<p class="podium">${escape(racePodium(race.racers))}</p>` : ''}
+            <div class="table-container">
+              <table>
+                <tr><th>#</th><th>Player</th><th>Score</th></tr>
+                ${race.racers.map(r => `<tr${user && r.id === user.id ? ' class="current-user"' : ''}><td>${r.position ?? '-'}</td><td>${escape(r.name)}</td><td>${r.position === null ? 'Did not finish' : r.score}</td></tr>`).join("")}
+              </table>
+            </div>
+          </div>` : '';
+    const dailyTable = (players, emptyMessage) => `
+            <div class="table-container">
+              <table>
+                <tr><th>#</th><th>Player</th><th>Best Score</th><th>Attempts</th></tr>
+                ${players.length > 0 ? scoreRows(players, "attempts") : `<tr><td colspan="4" style="text-align: center; color: #666;">${emptyMessage}</td></tr>`}
+              </table>
+            </div>`;
+    const dailyAttempts = user
+      ? daily.max_attempts
+        ? ` · you've used ${daily.attempts_used} of ${daily.max_attempts} attempts, best ${daily.best_score}`
+        : ` · your best today: ${daily.best_score}`
+      : '';
+    const dailySection = `
+          <div class="leaderboard">
+            <h2>📅 Today's Daily Challenge</h2>
+            <p class="event-times">Everyone plays the same course on ${escape(daily.date)} (days change at midnight, server time)${dailyAttempts}</p>
+            ${roomDaily ? `<h3>${escape(room.name)}</h3>${dailyTable(roomDaily, "Nobody in this room has played today's course yet!")}<h3>Everyone</h3>` : ''}
+            ${dailyTable(daily.leaderboard, "Nobody has played today's course yet!")}
+          </div>`;
 
     res.send(
       html(`<div class="container">
         <div class="header">
-          <h1>🍺 Beer Tally</h1>
+          <h1>🐦 Flappy Bird Leaderboard</h1>
         </div>
         <div class="content">
-          <div class="total-counter">
-            <h2>Total Beers Consumed</h2>
-            <span class="total-number">${totalBeerCount}</span>
-          </div>
-          <div class="user-info">
-            <p>Hi, <strong>${escape(user.name)}</strong>${user.user_type === 'observer' ? ' 👀' : ' 🍺'}! You've had <strong>${userBeerCount}</strong> beer${userBeerCount === 1 ? "" : "s"}.</p>
-          </div>
+          ${user ? `<div class="user-info">
+            <p>Hi, <strong>${escape(user.name)}</strong>! Your best score${room ? ` in ${escape(room.name)}` : ''}: <strong>${currentUserBest}</strong></p>
+          </div>` : ''}
           <div class="button-group">
-            <div class="beer-controls">
-              <form action="/add" method="POST" style="display: inline;">
-                <button type="submit" class="add-beer-btn" ${user.user_type === 'observer' ? 'disabled' : ''}>+1 Beer 🍺</button>
-              </form>
-              <form action="/remove" method="POST" style="display: inline;">
-                <button type="submit" class="remove-btn" ${user.user_type === 'observer' ? 'disabled' : ''}>undo</button>
-              </form>
-            </div>
-            <div class="game-controls">
-              <a href="/game" style="display:inline-block; padding:10px 20px; background:#FF6B6B; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🐦 Play Flappy Bird!</a>
-              <a href="/flappy-leaderboard" style="display:inline-block; margin-left:10px; padding:10px 20px; background:#9B59B6; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🏆 Bird Scores</a>
-            </div>
+            <a href="/" class="home-btn" style="display:inline-block; padding:10px 20px; background:#4CAF50; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🍺 Back to Beer Tally</a>
+            <a href="/game" style="display:inline-block; margin-left:10px; padding:10px 20px; background:#FF6B6B; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🐦 Play Again!</a>
           </div>
+          ${tournamentSection}
+          ${raceSection}
+          ${dailySection}
           <div class="leaderboard">
-            <h2>🏆 Participants</h2>
+            <h2>${room ? `🏆 ${escape(room.name)} Standings` : '🏆 Top Scores'}</h2>
             <div class="table-container">
-              <table><tr><th>#</th><th>Name</th><th>Beers</th></tr>${participantRows}</table>
+              <table>
+                <tr><th>#</th><th>Player</th><th>Best Score</th><th>Games Played</th></tr>
+                ${leaderboardRows.length > 0 ? leaderboardRows : '<tr><td colspan="4" style="text-align: center; color: #666;">No scores yet! Be the first to play!</td></tr>'}
+              </table>
             </div>
-            ${observerRows.length > 0 ? `
-            <h2 style="margin-top: 2rem;">👀 Observers</h2>
-            <div class="table-container">
-              <table><tr><th>#</th><th>Name</th><th>Beers</th></tr>${observerRows}</table>
-            </div>` : ''}
-          </div>
-          <div style="text-align: center; margin-top: 2rem;">
-            <a href="/rooms" style="display:inline-block; padding:8px 16px; background:#667eea; color:white; text-decoration:none; border-radius:5px; font-size:0.9rem;">🏠 Room System</a>
-            <a href="/logout" style="display:inline-block; margin-left:10px; padding:8px 16px; background:#718096; color:white; text-decoration:none; border-radius:5px; font-size:0.9rem;">Change Name</a>
           </div>
         </div>
-      </div>`)
+      </div>
+      <script>
+        document.querySelectorAll('time.local-time').forEach(el => {
+          el.textContent = new Date(el.dateTime).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+        });
+      </script>`)
     );
   } catch (error) {
-    console.error("Error in GET /:", error);
+    console.error("Error in GET /flappy-leaderboard:", error);
     res.status(500).send("Server error");
   }
 });
 
-app.post("/set-name", async (req, res) => {
-  const { name, user_type } = req.body;
-  
-  if (!name || name.trim().length === 0) {
-    return res.redirect("/");
-  }
-  
-  try {
-    const userType = user_type || 'participant';
-    
-    // Check if user already exists
-    let user = await getOrCreateUser(req.session.id);
-    
-    if (!user) {
-      // Create new user
-      const result = await pool.query(
-        "INSERT INTO users (session_id, name, user_type) VALUES ($1, $2, $3) RETURNING *",
-        [req.session.id, name.trim(), userType]
-      );
-      user = result.rows[0];
-    } else {
-      // Update existing user
-      const result = await pool.query(
-        "UPDATE users SET name = $1, user_type = $2 WHERE session_id = $3 RETURNING *",
-        [name.trim(), userType, req.session.id]
-      );
-      user = result.rows[0];
-    }
-    
-    res.redirect("/");
-  } catch (error) {
-    console.error("Error in set-name:", error);
-    res.redirect("/");
-  }
-});
+// JSON API (v1) mirroring the HTML routes
+const api = express.Router();
 
-// Move room system to /rooms
-app.get("/rooms", async (req, res) => {
+api.use((req, res, next) => {
   if (!dbConnected) {
-    return res.send(html(`
-      <div class="container">
-        <div class="header">
-          <h1>🏠 Room System</h1>
-          <p>Connecting rooms in real-time</p>
-        </div>
-        <div class="main-content">
-          <div class="welcome-section">
-            <h2>Setting up...</h2>
-            <p>Please wait while we initialize the database connection.</p>
-          </div>
-        </div>
-      </div>
-      <script>setTimeout(() => location.reload(), 3000);</script>
-    `));
+    return res.status(503).json({ error: "Database not connected" });
   }
+  next();
+});
 
-  const user = await getOrCreateUser(req.session.id);
-  
-  if (!user) {
-    return res.send(html(`
-      <div class="container">
-        <div class="header">
-          <h1>🏠 Room System</h1>
-          <p>Create and join rooms with short room codes</p>
-        </div>
-        <div class="main-content">
-          <div class="welcome-section">
-            <h2>Welcome! What's your name?</h2>
-            <form action="/set-name" method="POST">
-              <div class="form-group">
-                <input type="text" name="name" placeholder="Enter your name" required maxlength="30">
-              </div>
-              <button type="submit" class="btn">Get Started</button>
-            </form>
-          </div>
-        </div>
-      </div>
-    `));
-  }
-  
-  const message = req.session.message;
-  const error = req.session.error;
-  delete req.session.message;
-  delete req.session.error;
-  
-  res.send(html(`
-    <div class="container">
-      <div class="header">
-        <h1>🏠 Room System</h1>
-        <p>Create and join rooms with short room codes</p>
-      </div>
-      <div class="main-content">
-        <div class="welcome-section">
-          <h2>Hello, ${user.name}! 👋</h2>
-          <p>Create a new room or join an existing one using a room code.</p>
-          
-          ${error ? `<div class="error">${error}</div>` : ''}
-          ${message ? `<div class="success">${message}</div>` : ''}
-          
-          <div class="button-group">
-            <a href="/create-room" class="btn">Create New Room</a>
-            <a href="/join-room" class="btn btn-secondary">Join Room</a>
-          </div>
-          
-          <div style="text-align: center; margin-top: 2rem;">
-            <a href="/" style="color: #667eea;">← Back to Beer Tally</a>
-          </div>
-        </div>
-      </div>
-    </div>
-  `));
+// Express 5 leaves req.body undefined for requests without one, like a bare POST /entries
+api.use((req, res, next) => {
+  req.body ??= {};
+  next();
 });
 
-// Add beer
-app.post("/add", async (req, res) => {
-  try {
-    if (!dbConnected) {
-      return res.redirect("/");
-    }
-    const user = await getOrCreateUser(req.session.id);
-    if (user) {
-      await pool.query(
-        "INSERT INTO beer_entries (user_id) VALUES ($1)",
-        [user.id]
-      );
-    }
-    res.redirect("/");
-  } catch (error) {
-    console.error("Error in POST /add:", error);
-    res.status(500).send("Server error");
+// Loads the session's user onto req.user; 401 unless the route allows anonymous access
+const requireUser = async (req, res, next) => {
+  req.user = await getOrCreateUser(req.session.id);
+  if (!req.user) {
+    return res.status(401).json({ error: "Set a name first via PUT /api/v1/me" });
+  }
+  next();
+};
+
+// Resolves :roomCode and makes sure the user belongs to it
+const requireRoomMember = async (req, res, next) => {
+  req.room = await getRoomByCode(req.params.roomCode);
+  if (!req.room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  if (!isAdmin(req.user) && !(await isRoomMember(req.user.id, req.room.id))) {
+    return res.status(403).json({ error: "You are not a member of this room" });
   }
+  next();
+};
+
+const serializeRoom = (room) => room && {
+  code: room.room_code,
+  name: room.name,
+  creator_id: room.creator_id,
+  is_active: room.is_active,
+  starts_at: room.starts_at,
+  ends_at: room.ends_at,
+  timezone: room.timezone,
+  hydration_mode: room.hydration_mode,
+  pace_alert_drinks: room.pace_alert_drinks,
+  pace_alert_minutes: room.pace_alert_minutes,
+  teams_self_select: room.teams_self_select,
+  created_at: room.created_at
+};
+
+api.get("/me", requireUser, async (req, res) => {
+  const room = await getUserRoom(req.user.id);
+  res.json({
+    id: req.user.id,
+    name: req.user.name,
+    user_type: req.user.user_type,
+    username: req.user.username,
+    room: serializeRoom(room),
+    beer_count: room ? await getBeerCount(req.user.id, room.id) : 0,
+    lifetime_beer_count: await getBeerCount(req.user.id),
+    weight_kg: req.user.weight_kg === null ? null : parseFloat(req.user.weight_kg),
+    sex: req.user.sex,
+    ...(await getDrinkingStats([req.user.id])).get(req.user.id),
+    flappy_best_score: await getUserBestFlappyScore(req.user.id)
+  });
 });
 
-// Remove beer
-app.post("/remove", async (req, res) => {
-  try {
-    if (!dbConnected) {
-      return res.redirect("/");
-    }
-    const user = await getOrCreateUser(req.session.id);
-    if (user) {
-      // Remove the most recent beer entry
-      await pool.query(
-        "DELETE FROM beer_entries WHERE id = (SELECT id FROM beer_entries WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1)",
-        [user.id]
-      );
-    }
-    res.redirect("/");
-  } catch (error) {
-    console.error("Error in POST /remove:", error);
-    res.status(500).send("Server error");
+api.put("/me", async (req, res) => {
+  const { name, user_type } = req.body;
+  
+  if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 30) {
+    return res.status(400).json({ error: "name must be 1-30 characters" });
   }
+  if (user_type !== undefined && !USER_TYPES.includes(user_type)) {
+    return res.status(400).json({ error: `user_type must be one of: ${USER_TYPES.join(", ")}` });
+  }
+  
+  const existed = Boolean(await getOrCreateUser(req.session.id));
+  const user = await saveUserProfile(req.session.id, name.trim(), user_type || "participant");
+  res.status(existed ? 200 : 201).json({ id: user.id, name: user.name, user_type: user.user_type });
 });
 
-app.get("/create-room", async (req, res) => {
-  const user = await getOrCreateUser(req.session.id);
-  if (!user) return res.redirect("/rooms");
+api.post("/login", async (req, res) => {
+  let user;
+  try {
+    user = await authenticateUser(req.body?.username, req.body?.passcode);
+  } catch (error) {
+    // Locked after too many wrong passcodes
+    return res.status(429).json({ error: error.message });
+  }
+  if (!user) {
+    return res.status(401).json({ error: "Username or passcode is incorrect" });
+  }
   
-  res.send(html(`
-    <div class="container">
-      <div class="header">
-        <h1>🏠 Create Room</h1>
-      </div>
-      <div class="main-content">
-        <div class="welcome-section">
-          <h2>Create a New Room</h2>
-          <p>Give your room a name and get a short room code to share.</p>
-          
-          <form action="/create-room" method="POST">
-            <div class="form-group">
-              <label for="roomName">Room Name:</label>
-              <input type="text" name="roomName" id="roomName" placeholder="Enter room name" required maxlength="100">
-            </div>
-            <div class="button-group">
-              <button type="submit" class="btn">Create Room</button>
-              <a href="/rooms" class="btn btn-secondary">Cancel</a>
-            </div>
-          </form>
-        </div>
-      </div>
-    </div>
-  `));
+  await signInSession(req, user.id);
+  const me = await getOrCreateUser(req.session.id);
+  res.json({ id: me.id, name: me.name, user_type: me.user_type, username: me.username });
 });
 
-app.post("/create-room", async (req, res) => {
-  const user = await getOrCreateUser(req.session.id);
-  if (!user) return res.redirect("/rooms");
-  
-  const { roomName } = req.body;
-  
-  if (!roomName || roomName.trim().length === 0) {
-    req.session.error = "Room name is required.";
-    return res.redirect("/create-room");
+api.put("/me/bac-profile", requireUser, async (req, res) => {
+  try {
+    await saveBacProfile(req.user.id, req.body.weight_kg, req.body.sex);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.json((await getDrinkingStats([req.user.id])).get(req.user.id));
+});
+
+api.post("/me/account", requireUser, async (req, res) => {
+  if (req.user.username) {
+    return res.status(409).json({ error: "Account already claimed" });
   }
   
   try {
-    const room = await createRoom(user.id, roomName.trim());
-    res.redirect(`/room/${room.room_code}`);
+    const recoveryCode = await claimAccount(req.user.id, req.body.username, req.body.passcode);
+    res.status(201).json({ username: normalizeUsername(req.body.username), recovery_code: recoveryCode });
   } catch (error) {
-    req.session.error = "Failed to create room. Please try again.";
-    res.redirect("/create-room");
+    res.status(400).json({ error: error.message });
   }
 });
 
-app.get("/join-room", async (req, res) => {
-  const user = await getOrCreateUser(req.session.id);
-  if (!user) return res.redirect("/rooms");
-  
-  res.send(html(`
-    <div class="container">
-      <div class="header">
-        <h1>🏠 Join Room</h1>
-      </div>
-      <div class="main-content">
-        <div class="welcome-section">
-          <h2>Join a Room</h2>
-          <p>Enter the room code shared with you.</p>
-          
-          <form action="/join-room" method="POST">
-            <div class="form-group">
-              <label for="roomCode">Room Code:</label>
-              <input type="text" name="roomCode" id="roomCode" placeholder="Enter room code" required maxlength="6" style="text-transform: uppercase;">
-            </div>
-            <div class="button-group">
-              <button type="submit" class="btn">Join Room</button>
-              <a href="/rooms" class="btn btn-secondary">Cancel</a>
-            </div>
-          </form>
-        </div>
-      </div>
-    </div>
-  `));
+api.get("/rooms", requireUser, async (req, res) => {
+  const rooms = await getUserRooms(req.user.id);
+  res.json({
+    current: req.user.room_id,
+    rooms: rooms.map(room => ({ ...serializeRoom(room), current: room.id === req.user.room_id }))
+  });
 });
 
-app.post("/join-room", async (req, res) => {
-  const user = await getOrCreateUser(req.session.id);
-  if (!user) return res.redirect("/rooms");
+api.post("/rooms", requireUser, async (req, res) => {
+  const { name } = req.body;
   
-  const { roomCode } = req.body;
-  
-  if (!roomCode || roomCode.trim().length === 0) {
-    req.session.error = "Room code is required.";
-    return res.redirect("/join-room");
+  if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > 100) {
+    return res.status(400).json({ error: "name must be 1-100 characters" });
   }
   
+  const room = await createRoom(req.user.id, name.trim());
+  await joinRoom(req.user.id, room.room_code);
+  res.status(201).json(serializeRoom(room));
+});
+
+api.post("/rooms/:roomCode/join", requireUser, async (req, res) => {
+  const existing = await getRoomByCode(req.params.roomCode);
+  if (existing && await wasKickedFromRoom(req.user.id, existing.id)) {
+    return res.status(403).json({ error: "You were removed from this room and can't rejoin it." });
+  }
   try {
-    await joinRoom(user.id, roomCode.trim());
-    res.redirect(`/room/${roomCode.trim().toUpperCase()}`);
+    const room = await joinRoom(req.user.id, req.params.roomCode);
+    res.json(serializeRoom(room));
   } catch (error) {
-    req.session.error = error.message;
-    res.redirect("/join-room");
+    res.status(404).json({ error: error.message });
   }
 });
 
-app.get("/room/:roomCode", async (req, res) => {
-  const user = await getOrCreateUser(req.session.id);
-  if (!user) return res.redirect("/rooms");
-  
-  const { roomCode } = req.params;
-  
+api.post("/rooms/:roomCode/switch", requireUser, async (req, res) => {
   try {
-    const roomResult = await pool.query(
-      "SELECT * FROM rooms WHERE room_code = $1 AND is_active = true",
-      [roomCode.toUpperCase()]
-    );
-    
-    if (roomResult.rows.length === 0) {
-      req.session.error = "Room not found.";
-      return res.redirect("/rooms");
-    }
-    
-    const room = roomResult.rows[0];
-    
-    res.send(html(`
-      <div class="container">
-        <div class="header">
-          <h1>🏠 ${room.name}</h1>
-        </div>
-        <div class="main-content">
-          <div style="padding: 1rem;">
-            <div class="room-info">
-              <h3>Room Code:</h3>
-              <div class="room-code">${room.room_code}</div>
-              <p>Share this code with others to join the room</p>
-            </div>
-            
-            <div class="chat-container">
-              <div class="participants-panel">
-                <h3>Participants</h3>
-                <div id="participants-list"></div>
-              </div>
-              
-              <div class="chat-main">
-                <div class="messages-container" id="messages-container">
-                  <div style="text-align: center; color: #a0aec0; padding: 2rem;">
-                    Loading messages...
-                  </div>
-                </div>
-                
-                <div class="message-input-container">
-                  <input type="text" id="message-input" class="message-input" placeholder="Type your message..." maxlength="500">
-                  <button id="send-btn" class="send-btn">Send</button>
-                </div>
-              </div>
-            </div>
-            
-            <div style="text-align: center; margin-top: 1rem;">
-              <a href="/rooms" class="btn btn-danger">Leave Room</a>
-            </div>
-          </div>
-        </div>
-      </div>
-      
-      <script src="/socket.io/socket.io.js"></script>
-      <script>
-        const socket = io();
-        const messagesContainer = document.getElementById('messages-container');
-        const messageInput = document.getElementById('message-input');
-        const sendBtn = document.getElementById('send-btn');
-        const participantsList = document.getElementById('participants-list');
-        
-        let currentUserId = ${user.id};
-        let currentUserName = '${user.name}';
-        
-        // Join room
-        socket.emit('join-room', '${roomCode.toUpperCase()}');
-        
-        // Room joined event
-        socket.on('room-joined', (data) => {
-          displayMessages(data.messages);
-          updateParticipants(data.participants);
-        });
-        
-        // New message event
-        socket.on('new-message', (message) => {
-          addMessage(message);
-        });
-        
-        // Participants updated event
-        socket.on('participants-updated', (participants) => {
-          updateParticipants(participants);
-        });
-        
-        // User joined event
-        socket.on('user-joined', (user) => {
-          addSystemMessage(user.name + ' joined the room');
-        });
-        
-        // User left event
-        socket.on('user-left', (user) => {
-          addSystemMessage(user.name + ' left the room');
-        });
-        
-        // Error event
-        socket.on('error', (error) => {
-          alert('Error: ' + error);
-        });
-        
-        // Send message
-        function sendMessage() {
-          const message = messageInput.value.trim();
-          if (message) {
-            socket.emit('send-message', { message: message });
-            messageInput.value = '';
-          }
-        }
-        
-        sendBtn.addEventListener('click', sendMessage);
-        messageInput.addEventListener('keypress', (e) => {
-          if (e.key === 'Enter') {
-            sendMessage();
-          }
-        });
-        
-        function displayMessages(messages) {
-          messagesContainer.innerHTML = '';
-          messages.forEach(addMessage);
-        }
-        
-        function addMessage(message) {
-          const messageDiv = document.createElement('div');
-          messageDiv.className = 'message' + (message.user_id === currentUserId ? ' own-message' : '');
-          
-          const time = new Date(message.created_at).toLocaleTimeString();
-          
-          messageDiv.innerHTML = \`
-            <div class="message-author">\${message.user_name}</div>
-            <div class="message-content">\${escapeHtml(message.message)}</div>
-            <div class="message-time">\${time}</div>
-          \`;
-          
-          messagesContainer.appendChild(messageDiv);
-          messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        }
-        
-        function addSystemMessage(text) {
-          const messageDiv = document.createElement('div');
-          messageDiv.style.textAlign = 'center';
-          messageDiv.style.color = '#a0aec0';
-          messageDiv.style.fontSize = '0.9rem';
-          messageDiv.style.margin = '1rem 0';
-          messageDiv.textContent = text;
-          
-          messagesContainer.appendChild(messageDiv);
-          messagesContainer.scrollTop = messagesContainer.scrollHeight;
-        }
-        
-        function updateParticipants(participants) {
-          participantsList.innerHTML = '';
-          participants.forEach(participant => {
-            const participantDiv = document.createElement('div');
-            participantDiv.className = 'participant' + (participant.id === currentUserId ? ' current-user' : '');
-            participantDiv.textContent = participant.name + (participant.id === currentUserId ? ' (You)' : '');
-            participantsList.appendChild(participantDiv);
-          });
-        }
-        
-        function escapeHtml(text) {
-          const div = document.createElement('div');
-          div.textContent = text;
-          return div.innerHTML;
-        }
-      </script>
-    `));
-  } catch (error) {
-    req.session.error = "Failed to load room.";
-    res.redirect("/rooms");
+    const room = await switchRoom(req.user.id, req.params.roomCode);
+    res.json(serializeRoom(room));
+  } catch (error) {
+    res.status(403).json({ error: error.message });
   }
 });
 
-// Submit Flappy Bird score
-app.post("/submit-score", async (req, res) => {
+api.post("/rooms/:roomCode/leave", requireUser, requireRoomMember, async (req, res) => {
+  await leaveRoom(req.user.id, req.room.id);
+  res.status(204).end();
+});
+
+// Room admin endpoints; closed rooms are included so the owner can reopen them
+const requireApiRoomManager = async (req, res, next) => {
+  req.room = await getRoomByCode(req.params.roomCode, { includeInactive: true });
+  if (!req.room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+  req.roomRole = await getRoomRole(req.user.id, req.room);
+  if (!canManageRoom(req.roomRole)) {
+    return res.status(403).json({ error: "Only the room's owner and admins can do that" });
+  }
+  next();
+};
+
+const requireApiRoomOwner = (req, res, next) => {
+  if (req.roomRole !== "owner") {
+    return res.status(403).json({ error: "Only the room's owner can do that" });
+  }
+  next();
+};
+
+api.get("/rooms/:roomCode/members", requireUser, requireRoomMember, async (req, res) => {
+  const members = await getRoomMembers(req.room.id);
+  res.json({
+    members: members.map(m => ({ ...m, role: m.id === req.room.creator_id ? "owner" : m.role }))
+  });
+});
+
+api.patch("/rooms/:roomCode", requireUser, requireApiRoomManager, async (req, res) => {
+  const { name, is_active } = req.body;
+  if (is_active !== undefined && typeof is_active !== "boolean") {
+    return res.status(400).json({ error: "is_active must be a boolean" });
+  }
+  if (req.body.hydration_mode !== undefined && typeof req.body.hydration_mode !== "boolean") {
+    return res.status(400).json({ error: "hydration_mode must be a boolean" });
+  }
+  if (req.body.teams_self_select !== undefined && typeof req.body.teams_self_select !== "boolean") {
+    return res.status(400).json({ error: "teams_self_select must be a boolean" });
+  }
+  if (is_active !== undefined && req.roomRole !== "owner") {
+    return res.status(403).json({ error: "Only the room's owner can open or close it" });
+  }
+  
   try {
-    if (!dbConnected) {
-      return res.status(500).json({ error: "Database not connected" });
-    }
-    
-    const user = await getOrCreateUser(req.session.id);
-    if (!user) {
-      return res.status(401).json({ error: "User not found" });
+    if (name !== undefined) await renameRoom(req.room.id, name);
+    if (req.body.starts_at !== undefined || req.body.ends_at !== undefined) {
+      await setRoomEventTimes(
+        req.room.id,
+        req.body.starts_at !== undefined ? req.body.starts_at : req.room.starts_at,
+        req.body.ends_at !== undefined ? req.body.ends_at : req.room.ends_at
+      );
     }
-    
-    const { score } = req.body;
-    if (typeof score !== 'number' || score < 0) {
-      return res.status(400).json({ error: "Invalid score" });
+    if (req.body.timezone !== undefined) await setRoomTimezone(req.room.id, req.body.timezone);
+    if (["hydration_mode", "pace_alert_drinks", "pace_alert_minutes"].some(key => req.body[key] !== undefined)) {
+      await setRoomSafety(req.room.id, {
+        hydrationMode: req.body.hydration_mode !== undefined ? req.body.hydration_mode : req.room.hydration_mode,
+        paceAlertDrinks: req.body.pace_alert_drinks !== undefined ? req.body.pace_alert_drinks : req.room.pace_alert_drinks,
+        paceAlertMinutes: req.body.pace_alert_minutes !== undefined ? req.body.pace_alert_minutes : req.room.pace_alert_minutes
+      });
     }
-    
-    await saveFlappyBirdScore(user.id, score);
-    const bestScore = await getUserBestFlappyScore(user.id);
-    
-    res.json({ 
-      success: true, 
-      score,
-      bestScore,
-      isNewBest: score === bestScore
-    });
   } catch (error) {
-    console.error("Error in POST /submit-score:", error);
-    res.status(500).json({ error: "Server error" });
+    return res.status(400).json({ error: error.message });
   }
+  if (is_active !== undefined) await setRoomActive(req.room.id, is_active);
+  if (req.body.teams_self_select !== undefined) await setTeamsSelfSelect(req.room.id, req.body.teams_self_select);
+  
+  res.json(serializeRoom(await getRoomByCode(req.room.room_code, { includeInactive: true })));
 });
 
-// Flappy Bird Game Route
-app.get("/game", async (req, res) => {
+api.delete("/rooms/:roomCode/members/:userId", requireUser, requireApiRoomManager, async (req, res) => {
   try {
-    const user = await getOrCreateUser(req.session.id);
-    const userName = user ? user.name : '';
-    
-    const gameHtml = `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>🐦 Flappy Bird Game</title>
-  <style>
-    body {
-      margin: 0;
-      padding: 0;
-      background: linear-gradient(135deg, #87CEEB 0%, #98D8E8 100%);
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      min-height: 100vh;
-      overflow: hidden;
-    }
-    
-    .game-container {
-      text-align: center;
-      position: relative;
-    }
-    
-    canvas {
-      border: 4px solid #333;
-      border-radius: 10px;
-      background: linear-gradient(to bottom, #87CEEB 0%, #98D8E8 70%, #90EE90 100%);
-      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
-    }
-    
-    .score {
-      position: absolute;
-      top: 20px;
-      left: 20px;
-      font-size: 24px;
-      font-weight: bold;
-      color: white;
-      text-shadow: 2px 2px 4px rgba(0, 0, 0, 0.5);
-    }
-    
-    .game-over {
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      background: rgba(0, 0, 0, 0.8);
-      color: white;
-      padding: 20px;
-      border-radius: 10px;
-      text-align: center;
-      display: none;
-    }
-    
-    .controls {
-      margin-top: 20px;
-      color: white;
-      font-size: 18px;
-      text-shadow: 1px 1px 2px rgba(0, 0, 0, 0.5);
-    }
-    
-    .home-btn {
-      margin-top: 15px;
-      padding: 10px 20px;
-      font-size: 16px;
-      background: #4CAF50;
-      color: white;
-      border: none;
-      border-radius: 5px;
-      cursor: pointer;
-      text-decoration: none;
-      display: inline-block;
-    }
-    
-    .home-btn:hover {
-      background: #45a049;
-    }
-  </style>
-</head>
-<body>
-  <div class="game-container">
-    <canvas id="gameCanvas" width="400" height="600"></canvas>
-    <div class="score" id="score">Score: 0</div>
-    <div class="game-over" id="gameOver">
-      <h2>Game Over!</h2>
-      <p>Your Score: <span id="finalScore">0</span></p>
-      <button onclick="restartGame()">Play Again</button>
-    </div>
-    <div class="controls">
-      <p>Click or Press SPACE to Flap!</p>
-      <a href="/" class="home-btn">🍺 Back to Beer Tally</a>
-      <a href="/flappy-leaderboard" class="home-btn" style="background: #9B59B6; margin-left: 10px;">🏆 Leaderboard</a>
-    </div>
-  </div>
+    await kickMember(req.room, req.roomRole, parseInt(req.params.userId));
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-  <script>
-    const canvas = document.getElementById('gameCanvas');
-    const ctx = canvas.getContext('2d');
-    const scoreElement = document.getElementById('score');
-    const gameOverElement = document.getElementById('gameOver');
-    const finalScoreElement = document.getElementById('finalScore');
+api.delete("/rooms/:roomCode/kicked/:userId", requireUser, requireApiRoomManager, async (req, res) => {
+  try {
+    await allowMemberBack(req.room, parseInt(req.params.userId));
+    res.status(204).end();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-    // User info from server
-    const userName = ${JSON.stringify(userName)};
-    const isRoy = userName.toLowerCase() === 'roy';
+api.put("/rooms/:roomCode/members/:userId/role", requireUser, requireApiRoomManager, requireApiRoomOwner, async (req, res) => {
+  try {
+    await setMemberRole(req.room, parseInt(req.params.userId), req.body.role);
+    res.json({ user_id: parseInt(req.params.userId), role: req.body.role });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Game variables
-    let bird = {
-      x: 50,
-      y: 300,
-      width: 40,
-      height: 40,
-      radius: 20, // Half of width/height for circular collision
-      velocity: 0,
-      gravity: 0.5, // Fixed gravity for testing
-      jump: -7 // Fixed jump for testing
-    };
+api.post("/rooms/:roomCode/transfer", requireUser, requireApiRoomManager, requireApiRoomOwner, async (req, res) => {
+  try {
+    await transferOwnership(req.room, parseInt(req.body.user_id));
+    res.json(serializeRoom(await getRoomByCode(req.room.room_code, { includeInactive: true })));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    let pipes = [];
-    let score = 0;
-    let gameRunning = true;
-    let gameStarted = false;
+api.get("/rooms/:roomCode/flappy", requireUser, requireRoomMember, async (req, res) => {
+  res.json({
+    leaderboard: await getFlappyBirdLeaderboard(req.room.id),
+    tournament: await getRoomFlappyTournament(req.room.id),
+    daily: await getDailyChallenge(req.user, req.room.id),
+    race: await getRoomFlappyRace(req.room.id)
+  });
+});
 
-    // Face emoji as the bird
-    const birdEmoji = '😄';
+// Race lobby actions, the same ones the game page sends over Socket.IO
+api.post("/rooms/:roomCode/flappy/race/:action", requireUser, requireRoomMember, async (req, res) => {
+  if (!Object.hasOwn(FLAPPY_RACE_ACTIONS, req.params.action)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  try {
+    res.json(await flappyRaceAction(req.room, req.user, req.params.action));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Helper function for circular collision with rectangles
-    function circleRectCollision(cx, cy, radius, rx, ry, rw, rh) {
-      // Find the closest point on the rectangle to the circle center
-      let closestX = Math.max(rx, Math.min(cx, rx + rw));
-      let closestY = Math.max(ry, Math.min(cy, ry + rh));
-      
-      // Calculate the distance from the circle center to this closest point
-      let distanceX = cx - closestX;
-      let distanceY = cy - closestY;
-      
-      // If the distance is less than the circle's radius, an intersection occurs
-      let distanceSquared = (distanceX * distanceX) + (distanceY * distanceY);
-      return distanceSquared < (radius * radius);
-    }
+api.post("/rooms/:roomCode/flappy/tournaments", requireUser, requireApiRoomManager, async (req, res) => {
+  if (!req.room.is_active) {
+    return res.status(403).json({ error: "This room is closed" });
+  }
+  try {
+    res.status(201).json(await openFlappyTournament(req.room, req.user, {
+      durationMinutes: req.body.duration_minutes,
+      maxAttempts: req.body.max_attempts
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-    // Game loop
-    function gameLoop() {
-      if (!gameRunning) return;
+api.get("/rooms/:roomCode/challenges", requireUser, requireRoomMember, async (req, res) => {
+  res.json({ challenges: await getRoomChallenges(req.room.id) });
+});
 
-      // Clear canvas
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+api.post("/rooms/:roomCode/challenges", requireUser, requireRoomMember, async (req, res) => {
+  try {
+    const challenge = await createChallenge(req.room, req.user, {
+      opponentId: parseInt(req.body.opponent_id),
+      kind: req.body.kind,
+      target: req.body.target,
+      durationMinutes: req.body.duration_minutes
+    });
+    res.status(201).json((await getRoomChallenges(req.room.id)).find(c => c.id === challenge.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+api.post("/challenges/:challengeId/:action", requireUser, async (req, res) => {
+  if (!["accept", "decline", "cancel"].includes(req.params.action)) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const challenge = await respondToChallenge(req.user, parseInt(req.params.challengeId), req.params.action);
+  if (!challenge) {
+    return res.status(404).json({ error: "No open challenge of yours with that ID" });
+  }
+  res.json({ id: challenge.id, status: challenge.status, starts_at: challenge.starts_at, ends_at: challenge.ends_at });
+});
 
-      // Update bird
-      if (gameStarted) {
-        bird.velocity += bird.gravity;
-        bird.y += bird.velocity;
+// Team standings are part of the leaderboard response; this lists the teams themselves
+api.get("/rooms/:roomCode/teams", requireUser, requireRoomMember, async (req, res) => {
+  res.json({
+    self_select: req.room.teams_self_select,
+    teams: await getRoomTeams(req.room.id)
+  });
+});
 
-        // Check boundaries (circular collision)
-        if (bird.y - bird.radius <= 0 || bird.y + bird.radius >= canvas.height - 50) {
-          gameOver();
-        }
+api.post("/rooms/:roomCode/teams", requireUser, requireApiRoomManager, async (req, res) => {
+  try {
+    res.status(201).json(await createTeam(req.room.id, req.body.name));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-        // Update pipes
-        updatePipes();
-      }
+api.delete("/rooms/:roomCode/teams/:teamId", requireUser, requireApiRoomManager, async (req, res) => {
+  try {
+    await deleteTeam(req.room.id, parseInt(req.params.teamId));
+    res.status(204).end();
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
 
-      // Draw bird (face emoji)
-      ctx.font = '40px Arial';
-      ctx.textAlign = 'center';
-      ctx.fillText(birdEmoji, bird.x + bird.width/2, bird.y + bird.height/2 + 12);
+// Managers can assign anyone; members can move themselves when the room allows picking
+api.put("/rooms/:roomCode/members/:userId/team", requireUser, requireRoomMember, async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  const roomRole = await getRoomRole(req.user.id, req.room);
+  if (!canManageRoom(roomRole) && !(userId === req.user.id && req.room.teams_self_select)) {
+    return res.status(403).json({ error: "Teams in this room are assigned by the organizers" });
+  }
+  
+  try {
+    const teamId = parseTeamId(req.body.team_id);
+    await setMemberTeam(req.room.id, userId, teamId);
+    res.json({ user_id: userId, team_id: teamId });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-      // Draw pipes
-      drawPipes();
+api.get("/rooms/:roomCode/pace-flags", requireUser, requireApiRoomManager, async (req, res) => {
+  res.json({ user_ids: [...(await getPaceFlags(req.room))] });
+});
 
-      // Draw ground
-      ctx.fillStyle = '#8B4513';
-      ctx.fillRect(0, canvas.height - 50, canvas.width, 50);
+api.get("/rooms/:roomCode", requireUser, requireRoomMember, async (req, res) => {
+  res.json({
+    ...serializeRoom(req.room),
+    total: await getTotalBeerCount(req.room.id),
+    participants: await getRoomParticipants(req.room.id)
+  });
+});
 
-      // Update score display
-      scoreElement.textContent = 'Score: ' + score;
+const sendLeaderboard = async (req, res, room) => {
+  const rankBy = req.query.rank || "count";
+  if (!LEADERBOARD_RANKINGS[rankBy]) {
+    return res.status(400).json({ error: `rank must be one of: ${Object.keys(LEADERBOARD_RANKINGS).join(", ")}` });
+  }
+  const windowName = req.query.window || defaultWindowName(room);
+  if (!LEADERBOARD_WINDOWS[windowName]) {
+    return res.status(400).json({ error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(", ")}` });
+  }
+  
+  const timeWindow = await resolveTimeWindow(windowName, room);
+  res.json({
+    room: serializeRoom(room),
+    rank: rankBy,
+    window: { name: windowName, ...timeWindow },
+    total: await getTotalBeerCount(room.id, timeWindow),
+    ...(await getLeaderboard(room.id, rankBy, timeWindow))
+  });
+};
 
-      // Show start message
-      if (!gameStarted) {
-        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-        ctx.fillStyle = 'white';
-        ctx.font = '24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('Click or Press SPACE to Start!', canvas.width/2, canvas.height/2);
-      }
+api.get("/rooms/:roomCode/leaderboard", requireUser, requireRoomMember, async (req, res) => {
+  await sendLeaderboard(req, res, req.room);
+});
 
-      requestAnimationFrame(gameLoop);
-    }
+// Shortcut for the current room's leaderboard
+api.get("/leaderboard", requireUser, async (req, res) => {
+  const room = await getUserRoom(req.user.id);
+  if (!room) {
+    return res.status(409).json({ error: "Join a room first" });
+  }
+  await sendLeaderboard(req, res, room);
+});
 
-    function updatePipes() {
-      // Add new pipe
-      if (pipes.length === 0 || pipes[pipes.length - 1].x < canvas.width - 200) {
-        const gap = 150;
-        const pipeHeight = Math.random() * (canvas.height - gap - 100) + 50;
-        pipes.push({
-          x: canvas.width,
-          topHeight: pipeHeight,
-          bottomY: pipeHeight + gap,
-          bottomHeight: canvas.height - pipeHeight - gap - 50,
-          passed: false
-        });
-      }
+api.get("/entries", requireUser, async (req, res) => {
+  res.json({ entries: await getUserEntries(req.user.id) });
+});
 
-      // Update pipe positions
-      for (let i = pipes.length - 1; i >= 0; i--) {
-        pipes[i].x -= 2; // Fixed pipe speed for testing
+api.post("/entries", requireUser, async (req, res) => {
+  if (req.user.user_type === "observer") {
+    return res.status(403).json({ error: "Observers can't log drinks" });
+  }
+  // A drink synced from an offline queue names the room it was tapped in
+  let room;
+  if (req.body.room !== undefined && req.body.room !== null) {
+    room = await getRoomByCode(String(req.body.room));
+    if (!room || !(await isRoomMember(req.user.id, room.id))) {
+      return res.status(409).json({ error: "You're no longer in that room" });
+    }
+  } else {
+    room = await getUserRoom(req.user.id);
+    if (!room) {
+      return res.status(409).json({ error: "Join a room first" });
+    }
+  }
+  const user = { ...req.user, room_id: room.id };
+  if (req.body.preset !== undefined && !DRINK_PRESETS[req.body.preset]) {
+    return res.status(400).json({ error: `preset must be one of: ${Object.keys(DRINK_PRESETS).join(", ")}` });
+  }
+  
+  let drink;
+  try {
+    drink = resolveDrink(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const idempotencyKey = req.body.idempotency_key ?? req.get("Idempotency-Key") ?? null;
+  if (idempotencyKey !== null && !isValidIdempotencyKey(idempotencyKey)) {
+    return res.status(400).json({ error: "idempotency_key must be 8-64 letters, digits, '-' or '_'" });
+  }
+  
+  let createdAt = null;
+  if (req.body.created_at !== undefined && req.body.created_at !== null) {
+    try {
+      createdAt = parseEntryTime(req.body.created_at);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  
+  const { entry, duplicate, retryAfter } = await addBeerEntry(user, drink, { idempotencyKey, createdAt });
+  if (!entry && createdAt) {
+    // Waiting won't help a back-dated drink that sits right next to another one
+    return res.status(409).json({ error: `Another drink was logged within ${MIN_ENTRY_INTERVAL_SECONDS} seconds of that time, so this looks like a double-tap.` });
+  }
+  if (!entry) {
+    return res.status(429).set("Retry-After", String(retryAfter)).json({ error: tooSoonMessage(retryAfter), retry_after: retryAfter });
+  }
+  res.status(duplicate ? 200 : 201).json({
+    entry,
+    duplicate,
+    beer_count: await getBeerCount(user.id, user.room_id),
+    nudges: await getSafetyNudges(user, room)
+  });
+});
 
-        // Check collision (circular collision with pipes)
-        let birdCenterX = bird.x + bird.width / 2;
-        let birdCenterY = bird.y + bird.height / 2;
-        
-        // Check collision with top pipe
-        if (circleRectCollision(birdCenterX, birdCenterY, bird.radius, pipes[i].x, 0, 50, pipes[i].topHeight)) {
-          gameOver();
-        }
-        
-        // Check collision with bottom pipe
-        if (circleRectCollision(birdCenterX, birdCenterY, bird.radius, pipes[i].x, pipes[i].bottomY, 50, pipes[i].bottomHeight)) {
-          gameOver();
-        }
+api.post("/hydration", requireUser, async (req, res) => {
+  const room = await getUserRoom(req.user.id);
+  if (!room) {
+    return res.status(409).json({ error: "Join a room first" });
+  }
+  
+  let entry;
+  try {
+    entry = await logHydration(req.user, req.body.kind);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(201).json({ entry, nudges: await getSafetyNudges(req.user, room) });
+});
 
-        // Check if bird passed pipe
-        if (!pipes[i].passed && pipes[i].x + 50 < bird.x) {
-          pipes[i].passed = true;
-          score++;
-        }
+api.delete("/entries/latest", requireUser, async (req, res) => {
+  if (req.user.user_type === "observer") {
+    return res.status(403).json({ error: "Observers can't log drinks" });
+  }
+  if (!(await getUserRoom(req.user.id))) {
+    return res.status(409).json({ error: "Join a room first" });
+  }
+  const entry = await removeLatestBeerEntry(req.user);
+  if (!entry) {
+    return res.status(404).json({ error: "No entries to remove" });
+  }
+  res.json({ entry, beer_count: await getBeerCount(req.user.id, req.user.room_id) });
+});
 
-        // Remove off-screen pipes
-        if (pipes[i].x + 50 < 0) {
-          pipes.splice(i, 1);
-        }
-      }
-    }
+api.delete("/entries/by-key/:idempotencyKey", requireUser, async (req, res) => {
+  if (req.user.user_type === "observer") {
+    return res.status(403).json({ error: "Observers can't log drinks" });
+  }
+  const entry = await removeBeerEntryByKey(req.user, req.params.idempotencyKey);
+  if (!entry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+  res.json({ entry, beer_count: await getBeerCount(req.user.id, entry.room_id) });
+});
 
-    function drawPipes() {
-      ctx.fillStyle = '#228B22';
-      ctx.strokeStyle = '#006400';
-      ctx.lineWidth = 2;
+api.patch("/entries/:entryId", requireUser, async (req, res) => {
+  const { created_at, preset, volume_ml, abv } = req.body;
+  if (preset !== undefined && !DRINK_PRESETS[preset]) {
+    return res.status(400).json({ error: `preset must be one of: ${Object.keys(DRINK_PRESETS).join(", ")}` });
+  }
+  
+  let entry;
+  try {
+    const retyped = preset !== undefined || (volume_ml !== undefined && abv !== undefined);
+    entry = await updateBeerEntry(req.user, parseInt(req.params.entryId), {
+      drink: retyped ? resolveDrink(req.body) : null,
+      createdAt: created_at || null
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!entry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+  res.json({ entry });
+});
 
-      pipes.forEach(pipe => {
-        // Top pipe
-        ctx.fillRect(pipe.x, 0, 50, pipe.topHeight);
-        ctx.strokeRect(pipe.x, 0, 50, pipe.topHeight);
+api.delete("/entries/:entryId", requireUser, async (req, res) => {
+  const entry = await deleteBeerEntry(req.user, parseInt(req.params.entryId));
+  if (!entry) {
+    return res.status(404).json({ error: "Entry not found" });
+  }
+  res.json({ entry });
+});
 
-        // Bottom pipe
-        ctx.fillRect(pipe.x, pipe.bottomY, 50, pipe.bottomHeight);
-        ctx.strokeRect(pipe.x, pipe.bottomY, 50, pipe.bottomHeight);
-      });
-    }
+api.post("/rooms/:roomCode/import", requireUser, requireApiRoomManager, async (req, res) => {
+  if (typeof req.body.csv !== "string") {
+    return res.status(400).json({ error: "csv must be a string" });
+  }
+  // Only problems with the CSV itself are the caller's fault; anything else is a 500
+  let parsed;
+  try {
+    parsed = parseTallyImport(req.body.csv);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const plan = await planTallyImport(req.room, parsed);
+  if (req.body.dry_run) {
+    return res.json(plan);
+  }
+  res.status(201).json(await runTallyImport(req.room, plan));
+});
 
-    function jump() {
-      if (!gameStarted) {
-        gameStarted = true;
-      }
-      if (gameRunning) {
-        bird.velocity = bird.jump;
-      }
-    }
+api.get("/rooms/:roomCode/stats", requireUser, requireRoomMember, async (req, res) => {
+  const windowName = req.query.window || defaultWindowName(req.room);
+  if (!LEADERBOARD_WINDOWS[windowName]) {
+    return res.status(400).json({ error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(", ")}` });
+  }
+  res.json({ window: windowName, ...(await getRoomStats(req.room.id, await resolveTimeWindow(windowName, req.room))) });
+});
 
-    function gameOver() {
-      gameRunning = false;
-      finalScoreElement.textContent = score;
-      gameOverElement.style.display = 'block';
-      
-      // Submit score to server
-      if (score > 0) {
-        submitScore(score);
-      }
-    }
-    
-    async function submitScore(gameScore) {
-      try {
-        const response = await fetch('/submit-score', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ score: gameScore })
-        });
-        
-        if (response.ok) {
-          const data = await response.json();
-          if (data.isNewBest) {
-            // Show new best score notification
-            const gameOverDiv = document.getElementById('gameOver');
-            const newBestMsg = document.createElement('p');
-            newBestMsg.style.color = '#FFD700';
-            newBestMsg.style.fontWeight = 'bold';
-            newBestMsg.textContent = '🎉 New Best Score! 🎉';
-            gameOverDiv.insertBefore(newBestMsg, gameOverDiv.querySelector('button'));
-          }
-        }
-      } catch (error) {
-        console.error('Error submitting score:', error);
-      }
-    }
+api.get("/rooms/:roomCode/export", requireUser, requireRoomMember, async (req, res) => {
+  res.json(await buildRoomExport(req.room));
+});
 
-    function restartGame() {
-      bird = {
-        x: 50,
-        y: 300,
-        width: 40,
-        height: 40,
-        radius: 20, // Half of width/height for circular collision
-        velocity: 0,
-        gravity: 0.5, // Fixed gravity for testing
-        jump: -7 // Fixed jump for testing
-      };
-      pipes = [];
-      score = 0;
-      gameRunning = true;
-      gameStarted = false;
-      gameOverElement.style.display = 'none';
-      
-      // Clean up any new best score notifications
-      const gameOverDiv = document.getElementById('gameOver');
-      const newBestMsg = gameOverDiv.querySelector('p[style*="color: rgb(255, 215, 0)"]');
-      if (newBestMsg) {
-        newBestMsg.remove();
-      }
-      
-      gameLoop(); // Restart the game loop
-    }
+api.get("/rooms/:roomCode/corrections", requireUser, requireRoomMember, async (req, res) => {
+  res.json({ corrections: await getRoomCorrections(req.room.id) });
+});
 
-    // Event listeners
-    canvas.addEventListener('click', jump);
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'Space') {
-        e.preventDefault();
-        jump();
-      }
-    });
+api.get("/flappy/leaderboard", async (req, res) => {
+  res.json({ leaderboard: await getFlappyBirdLeaderboard() });
+});
 
-    // Start game loop
-    gameLoop();
-  </script>
-</body>
-</html>`;
+// Today's daily challenge with the global top 10 (and the caller's attempts when signed in)
+api.get("/flappy/daily", async (req, res) => {
+  res.json({ daily: await getDailyChallenge(await getOrCreateUser(req.session.id)) });
+});
 
-    res.send(gameHtml);
+api.post("/flappy/runs", requireUser, async (req, res) => {
+  try {
+    res.status(201).json(await createFlappyRun(req.user, {
+      tournament: req.body?.tournament === true,
+      daily: req.body?.daily === true,
+      race: req.body?.race === true
+    }));
   } catch (error) {
-    console.error("Error in GET /game:", error);
-    res.status(500).send("Game error");
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Flappy Bird Leaderboard Route
-app.get("/flappy-leaderboard", async (req, res) => {
+api.post("/flappy/scores", requireUser, async (req, res) => {
+  let score, dailyDate;
   try {
-    if (!dbConnected) {
-      return res.send(
-        html(`<div class="header">
-          <h1>🐦 Flappy Bird Leaderboard</h1>
-        </div>
-        <div class="content">
-          <div class="loading">
-            <p>⏳ Setting up database connection... Please refresh in a moment.</p>
-          </div>
-        </div>
-        <script>setTimeout(() => location.reload(), 3000);</script>`)
-      );
-    }
+    ({ score, daily_date: dailyDate } = await submitFlappyRun(req.user, req.body.token, req.body.flaps));
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const bestScore = dailyDate
+    ? await getUserBestDailyScore(req.user.id, dailyDate)
+    : await getUserBestFlappyScore(req.user.id);
+  res.status(201).json({ score, daily_date: dailyDate, best_score: bestScore, is_new_best: score === bestScore });
+});
 
-    const leaderboard = await getFlappyBirdLeaderboard();
-    const user = await getOrCreateUser(req.session.id);
-    
-    const leaderboardRows = leaderboard
-      .map((player, i) => {
-        const isCurrentUser = user && player.name === user.name;
-        return `<tr${
-          isCurrentUser ? ' class="current-user"' : ""
-        }><td>${i + 1}</td><td>${escape(player.name)}</td><td>${player.best_score}</td><td>${player.games_played}</td></tr>`;
-      })
-      .join("");
+api.use((req, res) => {
+  res.status(404).json({ error: "Not found" });
+});
 
-    const currentUserBest = user ? await getUserBestFlappyScore(user.id) : 0;
+// Express 5 forwards rejected async handlers here
+api.use((error, req, res, next) => {
+  console.error(`Error in ${req.method} /api/v1${req.path}:`, error);
+  res.status(500).json({ error: "Server error" });
+});
 
-    res.send(
-      html(`<div class="container">
-        <div class="header">
-          <h1>🐦 Flappy Bird Leaderboard</h1>
-        </div>
-        <div class="content">
-          ${user ? `<div class="user-info">
-            <p>Hi, <strong>${escape(user.name)}</strong>! Your best score: <strong>${currentUserBest}</strong></p>
-          </div>` : ''}
-          <div class="button-group">
-            <a href="/" class="home-btn" style="display:inline-block; padding:10px 20px; background:#4CAF50; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🍺 Back to Beer Tally</a>
-            <a href="/game" style="display:inline-block; margin-left:10px; padding:10px 20px; background:#FF6B6B; color:white; text-decoration:none; border-radius:5px; font-weight:bold;">🐦 Play Again!</a>
-          </div>
-          <div class="leaderboard">
-            <h2>🏆 Top Scores</h2>
-            <div class="table-container">
-              <table>
-                <tr><th>#</th><th>Player</th><th>Best Score</th><th>Games Played</th></tr>
-                ${leaderboardRows.length > 0 ? leaderboardRows : '<tr><td colspan="4" style="text-align: center; color: #666;">No scores yet! Be the first to play!</td></tr>'}
-              </table>
-            </div>
-          </div>
-        </div>
-      </div>`)
-    );
+app.use("/api/v1", api);
+
+app.get("/logout", async (req, res) => {
+  try {
+    await pool.query("DELETE FROM user_sessions WHERE session_id = $1", [req.session.id]);
   } catch (error) {
-    console.error("Error in GET /flappy-leaderboard:", error);
-    res.status(500).send("Server error");
+    console.error("Error unlinking session:", error);
   }
-});
-
-app.get("/logout", (req, res) => {
   req.session.destroy();
   res.redirect("/");
 });
@@ -1988,38 +7874,259 @@ app.get("/socket.io/socket.io.js", (req, res) => {
   res.sendFile("socket.io.js", { root: "node_modules/socket.io/client-dist/" });
 });
 
+// Progressive web app: manifest, icon and a service worker that keeps the tally page usable offline
+app.get("/manifest.webmanifest", (req, res) => {
+  res.type("application/manifest+json").send(JSON.stringify({
+    name: "Beer Tally",
+    short_name: "Beer Tally",
+    start_url: "/",
+    scope: "/",
+    display: "standalone",
+    background_color: "#667eea",
+    theme_color: "#667eea",
+    icons: [{ src: "/icon.svg", sizes: "any", type: "image/svg+xml", purpose: "any" }]
+  }));
+});
+
+app.get("/icon.svg", (req, res) => {
+  res.type("image/svg+xml").send(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512">
+  <rect width="512" height="512" rx="96" fill="#667eea"/>
+  <text x="50%" y="54%" font-size="320" text-anchor="middle" dominant-baseline="middle">🍺</text>
+</svg>`);
+});
+
+const SERVICE_WORKER_CACHE = "beertally-v1";
+const OFFLINE_ASSETS = ["/", "/socket.io/socket.io.js", "/manifest.webmanifest", "/icon.svg"];
+
+// The page itself queues +1/undo taps while offline (see the tally page script); the worker only
+// serves the last good copy of each page and the static assets when the network is gone
+app.get("/sw.js", (req, res) => {
+  res.type("application/javascript").set("Cache-Control", "no-cache").send(`
+const CACHE = ${JSON.stringify(SERVICE_WORKER_CACHE)};
+const ASSETS = ${JSON.stringify(OFFLINE_ASSETS)};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(ASSETS)).catch(() => {}));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== 'GET' || url.origin !== location.origin) return;
+  if (url.pathname.startsWith('/api/') || url.pathname === '/socket.io/') return;
+  
+  if (event.request.mode === 'navigate') {
+    // Network first so the tally is fresh; fall back to the cached page in a dead zone
+    event.respondWith(
+      fetch(event.request)
+        .then(response => {
+          if (response.ok && !response.redirected) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put(event.request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request)
+          .then(cached => cached || caches.match('/'))
+          .then(cached => cached || new Response('<h1>📴 Offline</h1><p>Open the tally page once while online to use it offline.</p>', {
+            headers: { 'Content-Type': 'text/html; charset=utf-8' }
+          })))
+    );
+    return;
+  }
+  
+  if (ASSETS.includes(url.pathname)) {
+    event.respondWith(
+      caches.match(event.request).then(cached => {
+        const refresh = fetch(event.request).then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE).then(cache => cache.put(event.request, copy));
+          }
+          return response;
+        }).catch(() => cached);
+        return cached || refresh;
+      })
+    );
+  }
+});
+`);
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
   
   socket.on('join-room', async (roomCode) => {
     try {
-      socket.join(roomCode);
-      console.log(`Socket ${socket.id} joined room: ${roomCode}`);
+      const user = await getOrCreateUser(socket.request.session.id);
+      if (!user) {
+        return socket.emit('error', 'Please set your name first');
+      }
       
-      // Send room data to client (placeholder for now)
+      // Only let the socket into the room its session user actually belongs to
+      const room = await getRoomByCode(roomCode);
+      if (!room || !(await isRoomMember(user.id, room.id))) {
+        return socket.emit('error', 'You are not a member of this room');
+      }
+      
+      if (socket.data.roomId) {
+        socket.leave(socketRoom(socket.data.roomId));
+      }
+      socket.data.userId = user.id;
+      socket.data.userName = user.name;
+      socket.data.roomId = room.id;
+      socket.join(socketRoom(room.id));
+      console.log(`Socket ${socket.id} (user ${user.id}) joined room: ${room.room_code}`);
+      
+      const participants = await getRoomParticipants(room.id);
       socket.emit('room-joined', {
-        messages: [],
-        participants: []
+        messages: await getRoomMessages(room.id),
+        participants
       });
+      socket.to(socketRoom(room.id)).emit('user-joined', { id: user.id, name: user.name });
+      socket.to(socketRoom(room.id)).emit('participants-updated', participants);
     } catch (error) {
       console.error('Error joining room:', error);
       socket.emit('error', 'Failed to join room');
     }
   });
   
+  socket.on('watch-leaderboard', async (roomCode) => {
+    try {
+      const user = await getOrCreateUser(socket.request.session.id);
+      const room = await getRoomByCode(roomCode);
+      if (!user || !room || !(await isRoomMember(user.id, room.id))) {
+        return socket.emit('error', 'You are not a member of this room');
+      }
+      
+      if (socket.data.leaderboardRoomId) {
+        socket.leave(leaderboardRoom(socket.data.leaderboardRoomId));
+      }
+      socket.data.userId = user.id;
+      socket.data.leaderboardRoomId = room.id;
+      socket.join(leaderboardRoom(room.id));
+    } catch (error) {
+      console.error('Error watching leaderboard:', error);
+      socket.emit('error', 'Failed to subscribe to leaderboard');
+    }
+  });
+  
+  // Flappy race lobby and ghosts, for room members with the game open
+  socket.on('watch-races', async (roomCode) => {
+    try {
+      const user = await getOrCreateUser(socket.request.session.id);
+      const room = await getRoomByCode(roomCode);
+      if (!user || !room || !(await isRoomMember(user.id, room.id))) {
+        return socket.emit('error', 'You are not a member of this room');
+      }
+      
+      if (socket.data.raceRoomId) {
+        socket.leave(raceRoom(socket.data.raceRoomId));
+      }
+      socket.data.userId = user.id;
+      socket.data.raceRoomId = room.id;
+      socket.data.raceRoomCode = room.room_code;
+      socket.data.ghostRaceId = null;
+      socket.join(raceRoom(room.id));
+      socket.emit('race-updated', await getRoomFlappyRace(room.id));
+    } catch (error) {
+      console.error('Error watching races:', error);
+      socket.emit('error', 'Failed to subscribe to races');
+    }
+  });
+  
+  socket.on('race-action', async (action) => {
+    try {
+      if (!socket.data.raceRoomId || !Object.hasOwn(FLAPPY_RACE_ACTIONS, action)) {
+        return socket.emit('error', 'Invalid race action');
+      }
+      const user = await getOrCreateUser(socket.request.session.id);
+      const room = await getRoomByCode(socket.data.raceRoomCode);
+      if (!user || !room || !(await isRoomMember(user.id, room.id))) {
+        return socket.emit('error', 'You are not a member of this room');
+      }
+      await flappyRaceAction(room, user, action);
+    } catch (error) {
+      socket.emit('error', error.message);
+    }
+  });
+  
+  // Racers report their bird's height a few times a second; everyone else draws it as a ghost
+  socket.on('race-position', async (data) => {
+    try {
+      const raceId = parseInt(data?.race_id);
+      const tick = parseInt(data?.tick);
+      const y = Number(data?.y);
+      if (!socket.data.raceRoomId || isNaN(raceId) || isNaN(tick) || !Number.isFinite(y)) return;
+      // Kicked or closed-room sockets are dropped from the channel but keep their data
+      if (!socket.rooms.has(raceRoom(socket.data.raceRoomId))) return;
+      
+      // Checked once per race rather than for every position
+      if (socket.data.ghostRaceId !== raceId) {
+        const user = await getOrCreateUser(socket.request.session.id);
+        const racer = user && await getFlappyRaceEntry(socket.data.raceRoomId, user.id);
+        if (!racer || racer.id !== raceId) return;
+        socket.data.ghostRaceId = raceId;
+        socket.data.ghost = { id: user.id, name: user.name };
+      }
+      socket.to(raceRoom(socket.data.raceRoomId)).volatile.emit('race-ghost', {
+        race_id: raceId,
+        user: socket.data.ghost,
+        tick,
+        y
+      });
+    } catch (error) {
+      console.error('Error relaying race position:', error);
+    }
+  });
+  
   socket.on('send-message', async (data) => {
     try {
-      // Placeholder for message handling
-      console.log('Message received:', data);
-      // Broadcast to room when implemented
+      // Kicked or closed-room sockets are dropped from the channel but keep their data
+      if (!socket.data.roomId || !socket.rooms.has(socketRoom(socket.data.roomId))) {
+        return socket.emit('error', 'Join a room before sending messages');
+      }
+      
+      const message = typeof data?.message === 'string' ? data.message.trim() : '';
+      if (message.length === 0 || message.length > MESSAGE_MAX_LENGTH) {
+        return socket.emit('error', 'Invalid message');
+      }
+      
+      // Re-read the user so renames and room switches are respected
+      const user = await getOrCreateUser(socket.request.session.id);
+      if (!user || !(await isRoomMember(user.id, socket.data.roomId))) {
+        return socket.emit('error', 'You are not a member of this room');
+      }
+      
+      const saved = await saveRoomMessage(socket.data.roomId, user, message);
+      io.to(socketRoom(socket.data.roomId)).emit('new-message', saved);
     } catch (error) {
       console.error('Error sending message:', error);
+      socket.emit('error', 'Failed to send message');
     }
   });
   
-  socket.on('disconnect', () => {
+  socket.on('disconnect', async () => {
     console.log('User disconnected:', socket.id);
+    
+    const { roomId, userId, userName } = socket.data;
+    if (!roomId) return;
+    
+    try {
+      io.to(socketRoom(roomId)).emit('user-left', { id: userId, name: userName });
+      io.to(socketRoom(roomId)).emit('participants-updated', await getRoomParticipants(roomId));
+    } catch (error) {
+      console.error('Error handling disconnect:', error);
+    }
   });
 });
 
@@ -2035,9 +8142,41 @@ const escape = (s) => {
   }[c]));
 };
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🍻 Beer Tally server running on port ${PORT}`);
-  console.log(`🔗 Open http://localhost:${PORT}`);
-});
+// Start server (importing the module for its helpers, as the tests do, doesn't)
+if (isMainModule) {
+  // Challenges, tournaments and races with a time limit are settled even if nobody plays when it runs out
+  setInterval(async () => {
+    if (!dbConnected) return;
+    try {
+      for (const roomId of await resolveChallenges()) {
+        await broadcastLeaderboard(roomId);
+      }
+      await finishFlappyTournaments();
+      for (const roomId of await settleFlappyRaces()) {
+        await broadcastFlappyRace(roomId);
+      }
+    } catch (error) {
+      console.error("Error resolving challenges, tournaments and races:", error);
+    }
+  }, 60 * 1000);
+  
+  server.listen(PORT, () => {
+    console.log(`🍻 Beer Tally server running on port ${PORT}`);
+    console.log(`🔗 Open http://localhost:${PORT}`);
+  });
+}
 
+// Helpers covered by the tests in test/
+export {
+  createFlappySimulation,
+  replayFlappyRun,
+  FLAPPY_MAX_FLAPS,
+  challengeOutcome,
+  parseTallyImport,
+  planTallyImport,
+  rankFlappyRacers,
+  racePodium,
+  settleFlappyRaces,
+  initializeDatabase,
+  pool
+};
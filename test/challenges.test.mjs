@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { challengeOutcome } from "../server.mjs";
+
+const challenge = (kind, target = 3) => ({ kind, target, challenger_id: 1, opponent_id: 2 });
+const at = (minute) => new Date(Date.UTC(2024, 5, 1, 21, minute));
+
+test("first_to goes to whoever reached the target first", () => {
+  const progress = { challenger: 3, opponent: 3, reached: { challenger: at(10), opponent: at(5) } };
+  assert.equal(challengeOutcome(challenge("first_to"), progress, false), 2);
+  
+  const onlyChallenger = { challenger: 3, opponent: 1, reached: { challenger: at(10), opponent: null } };
+  assert.equal(challengeOutcome(challenge("first_to"), onlyChallenger, false), 1);
+});
+
+test("first_to is a draw when both reached the target at the same moment", () => {
+  const progress = { challenger: 3, opponent: 3, reached: { challenger: at(10), opponent: at(10) } };
+  assert.equal(challengeOutcome(challenge("first_to"), progress, false), null);
+});
+
+test("first_to stays open until someone reaches the target or time runs out", () => {
+  const progress = { challenger: 2, opponent: 1, reached: { challenger: null, opponent: null } };
+  assert.equal(challengeOutcome(challenge("first_to"), progress, false), undefined);
+  // Out of time without a finisher: the bigger count wins
+  assert.equal(challengeOutcome(challenge("first_to"), progress, true), 1);
+});
+
+test("most_in_window is only decided once it expires", () => {
+  const progress = { challenger: 2, opponent: 4, reached: {} };
+  assert.equal(challengeOutcome(challenge("most_in_window"), progress, false), undefined);
+  assert.equal(challengeOutcome(challenge("most_in_window"), progress, true), 2);
+  assert.equal(challengeOutcome(challenge("most_in_window"), { challenger: 3, opponent: 3, reached: {} }, true), null);
+});
+
+test("flappy_beat is won by the opponent as soon as they beat the target", () => {
+  const beaten = { challenger: 10, opponent: 11, reached: {} };
+  assert.equal(challengeOutcome(challenge("flappy_beat", 10), beaten, false), 2);
+  
+  const matched = { challenger: 10, opponent: 10, reached: {} };
+  assert.equal(challengeOutcome(challenge("flappy_beat", 10), matched, false), undefined);
+  // Matching the score isn't beating it
+  assert.equal(challengeOutcome(challenge("flappy_beat", 10), matched, true), 1);
+});
@@ -0,0 +1,117 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+
+// Settling a race runs against a real database when TEST_DATABASE_URL is set (it creates and
+// removes its own users and room); the ranking rules below are checked either way
+const databaseUrl = process.env.TEST_DATABASE_URL;
+if (databaseUrl) process.env.DATABASE_URL = databaseUrl;
+const { rankFlappyRacers, racePodium, settleFlappyRaces, initializeDatabase, pool } = await import("../server.mjs");
+
+const at = (second) => new Date(Date.UTC(2024, 5, 1, 21, 0, second));
+
+test("the longest flight wins, and ties go to whoever landed first", () => {
+  const entries = [
+    { user_id: 1, ticks: 500, finished_at: at(30) },
+    { user_id: 2, ticks: 900, finished_at: at(40) },
+    { user_id: 3, ticks: 500, finished_at: at(20) },
+    { user_id: 4, ticks: null, finished_at: null }
+  ];
+  assert.deepEqual(rankFlappyRacers(entries), [
+    { user_id: 2, position: 1 },
+    { user_id: 3, position: 2 },
+    { user_id: 1, position: 3 }
+  ]);
+});
+
+test("a race nobody finished has no positions", () => {
+  assert.deepEqual(rankFlappyRacers([{ user_id: 1, ticks: null, finished_at: null }]), []);
+});
+
+test("the podium lists the top three finishers", () => {
+  const racers = [
+    { name: "Ace", score: 12, position: 1 },
+    { name: "Bo", score: 9, position: 2 },
+    { name: "Cy", score: 9, position: 3 },
+    { name: "Di", score: 2, position: 4 },
+    { name: "Ed", score: null, position: null }
+  ];
+  assert.equal(racePodium(racers), "🥇 Ace (12)  🥈 Bo (9)  🥉 Cy (9)");
+});
+
+describe("settling a race", { skip: !databaseUrl && "TEST_DATABASE_URL is not set" }, () => {
+  let userIds;
+  let roomId;
+  
+  before(async () => {
+    await initializeDatabase();
+    userIds = [];
+    for (const name of ["Ace", "Bo", "Cy", "Di"]) {
+      const user = await pool.query(
+        "INSERT INTO users (session_id, name) VALUES ($1, $2) RETURNING id",
+        [`test:${crypto.randomUUID()}`, name]
+      );
+      userIds.push(user.rows[0].id);
+    }
+    const room = await pool.query(
+      "INSERT INTO rooms (room_code, name, creator_id) VALUES ($1, 'Race test', $2) RETURNING id",
+      [crypto.randomBytes(3).toString("hex").toUpperCase(), userIds[0]]
+    );
+    roomId = room.rows[0].id;
+  });
+  
+  after(async () => {
+    await pool.query("DELETE FROM rooms WHERE id = $1", [roomId]);
+    await pool.query("DELETE FROM users WHERE id = ANY($1)", [userIds]);
+    await pool.end();
+  });
+  
+  async function startRace(entries) {
+    const race = await pool.query(`
+      INSERT INTO flappy_races (room_id, created_by, seed, status, started_at)
+      VALUES ($1, $2, 1, 'racing', LOCALTIMESTAMP - INTERVAL '2 minutes') RETURNING id
+    `, [roomId, userIds[0]]);
+    const raceId = race.rows[0].id;
+    for (const [i, entry] of entries.entries()) {
+      const run = entry.started
+        ? await pool.query("INSERT INTO flappy_runs (user_id, token, seed, room_id, race_id) VALUES ($1, $2, 1, $3, $4) RETURNING id", [userIds[i], crypto.randomUUID(), roomId, raceId])
+        : null;
+      await pool.query(`
+        INSERT INTO flappy_race_entries (race_id, user_id, run_id, score, ticks, finished_at)
+        VALUES ($1, $2, $3, $4, $5, LOCALTIMESTAMP - make_interval(secs => $6))
+      `, [raceId, userIds[i], run?.rows[0].id ?? null, entry.score ?? null, entry.ticks ?? null, entry.landedSecondsAgo ?? null]);
+    }
+    return raceId;
+  }
+  
+  test("waits while someone is still flying", async () => {
+    const raceId = await startRace([
+      { started: true, score: 3, ticks: 400, landedSecondsAgo: 30 },
+      { started: true }
+    ]);
+    assert.deepEqual(await settleFlappyRaces(raceId), []);
+    const race = await pool.query("SELECT status FROM flappy_races WHERE id = $1", [raceId]);
+    assert.equal(race.rows[0].status, "racing");
+    await pool.query("DELETE FROM flappy_races WHERE id = $1", [raceId]);
+  });
+  
+  test("ranks the finishers and announces the winner once everyone is down", async () => {
+    const raceId = await startRace([
+      { started: true, score: 4, ticks: 500, landedSecondsAgo: 10 },
+      { started: true, score: 4, ticks: 500, landedSecondsAgo: 20 },
+      { started: true, score: 9, ticks: 900, landedSecondsAgo: 5 },
+      // Never started, and the late-start window is long gone
+      { started: false }
+    ]);
+    assert.deepEqual(await settleFlappyRaces(raceId), [roomId]);
+    
+    const race = await pool.query("SELECT status FROM flappy_races WHERE id = $1", [raceId]);
+    assert.equal(race.rows[0].status, "finished");
+    const positions = await pool.query("SELECT user_id, position FROM flappy_race_entries WHERE race_id = $1", [raceId]);
+    const positionOf = (i) => positions.rows.find(r => r.user_id === userIds[i]).position;
+    assert.deepEqual([0, 1, 2, 3].map(positionOf), [3, 2, 1, null]);
+    
+    const announcement = await pool.query("SELECT message FROM room_messages WHERE room_id = $1 ORDER BY id DESC LIMIT 1", [roomId]);
+    assert.equal(announcement.rows[0].message, "🏁 Cy won the Flappy Bird race! 🥇 Cy (9)  🥈 Bo (4)  🥉 Ace (4)");
+  });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFlappySimulation, replayFlappyRun, FLAPPY_MAX_FLAPS } from "../server.mjs";
+
+// Plays a course like a player aiming for each pipe's gap, returning the flaps and the outcome
+function play(seed, targetScore) {
+  const sim = createFlappySimulation(seed);
+  const flaps = [0];
+  sim.flap();
+  while (!sim.dead && sim.score < targetScore) {
+    sim.step();
+    const pipe = sim.pipes.find(p => p.x + 50 >= sim.bird.x);
+    const target = pipe ? pipe.bottomY - 45 : 300;
+    if (!sim.dead && sim.bird.y > target && sim.bird.velocity >= 0) {
+      flaps.push(sim.tick);
+      sim.flap();
+    }
+  }
+  while (!sim.dead) sim.step();
+  return { flaps, score: sim.score, ticks: sim.tick };
+}
+
+test("a played run replays to the same score and length", () => {
+  const game = play(12345, 8);
+  assert.ok(game.score >= 1);
+  assert.deepEqual(replayFlappyRun(12345, game.flaps), { score: game.score, ticks: game.ticks });
+});
+
+test("the same flaps on another course don't earn the same score", () => {
+  const game = play(12345, 8);
+  const replay = replayFlappyRun(54321, game.flaps);
+  assert.ok(replay === null || replay.score < game.score);
+});
+
+test("runs that don't start with a flap at tick 0 are rejected", () => {
+  assert.equal(replayFlappyRun(1, []), null);
+  assert.equal(replayFlappyRun(1, [5, 20]), null);
+});
+
+test("out-of-order, negative or fractional ticks are rejected", () => {
+  assert.equal(replayFlappyRun(1, [0, 30, 20]), null);
+  assert.equal(replayFlappyRun(1, [0, -1]), null);
+  assert.equal(replayFlappyRun(1, [0, 10.5]), null);
+  assert.equal(replayFlappyRun(1, "0,10"), null);
+});
+
+test("flaps after the bird has crashed are rejected", () => {
+  const game = play(777, 3);
+  assert.equal(replayFlappyRun(777, [...game.flaps, game.ticks + 100]), null);
+});
+
+test("timelines with too many flaps are rejected", () => {
+  assert.equal(replayFlappyRun(1, Array.from({ length: FLAPPY_MAX_FLAPS + 1 }, (_, i) => i)), null);
+});
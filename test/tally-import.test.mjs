@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTallyImport, planTallyImport } from "../server.mjs";
+
+const room = { id: 7 };
+const planCsv = (csv, db) => planTallyImport(room, parseTallyImport(csv), db);
+
+// Stands in for the two lookups planning makes: the room's members and already-imported keys
+function database({ members = [], importedKeys = [] } = {}) {
+  return {
+    async query(sql, params) {
+      if (sql.includes("room_participants")) return { rows: members };
+      return { rows: params[1].filter(key => importedKeys.includes(key)).map(key => ({ idempotency_key: key })) };
+    }
+  };
+}
+
+test("rows are matched to room members by name, ignoring case", async () => {
+  const csv = "roy,2024-06-01 21:30,pint\nMoss,2024-06-01 21:45,";
+  const plan = await planCsv(csv, database({ members: [{ id: 1, name: "Roy" }, { id: 2, name: "Moss" }] }));
+  
+  assert.deepEqual(plan.rows.map(r => [r.line, r.status, r.user_id, r.drink.drink_type, r.drink.volume_ml]), [
+    [1, "new", 1, "beer", 568],
+    [2, "new", 2, "beer", 355]
+  ]);
+  assert.deepEqual(plan.new_names, []);
+});
+
+test("a header row picks the columns in any order", async () => {
+  const csv = "Drink,When,Who\nlight beer,2024-06-01T21:30:00Z,Jen";
+  const plan = await planCsv(csv, database());
+  
+  assert.equal(plan.rows.length, 1);
+  assert.equal(plan.rows[0].line, 2);
+  assert.equal(plan.rows[0].name, "Jen");
+  assert.equal(plan.rows[0].drink.drink_type, "light_beer");
+  assert.equal(plan.rows[0].created_at.toISOString(), "2024-06-01T21:30:00.000Z");
+});
+
+test("unknown names become one placeholder each", async () => {
+  const csv = "Jen,2024-06-01 21:30\njen,2024-06-01 22:30\nDouglas,2024-06-01 22:45";
+  const plan = await planCsv(csv, database());
+  
+  assert.deepEqual(plan.new_names, ["Jen", "Douglas"]);
+  assert.ok(plan.rows.every(r => r.status === "new" && r.user_id === null));
+});
+
+test("bad rows are reported with a reason instead of failing the import", async () => {
+  const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  const csv = [
+    ",2024-06-01 21:30,pint",
+    "Roy,last tuesday,pint",
+    `Roy,${future},pint`,
+    "Roy,2024-06-01 21:30,mead",
+    "Roy,2024-06-01 21:30,pint"
+  ].join("\n");
+  const plan = await planCsv(csv, database());
+  
+  assert.deepEqual(plan.rows.map(r => r.error), [
+    "Name must be 1-30 characters",
+    "Unreadable timestamp",
+    "Timestamp is in the future",
+    'Unknown drink type "mead"',
+    undefined
+  ]);
+  assert.deepEqual(plan.rows.map(r => r.status), ["error", "error", "error", "error", "new"]);
+});
+
+test("a name shared by two members can't be matched", async () => {
+  const members = [{ id: 1, name: "Roy" }, { id: 3, name: "roy " }];
+  const plan = await planCsv("Roy,2024-06-01 21:30", database({ members }));
+  
+  assert.equal(plan.rows[0].status, "error");
+  assert.equal(plan.rows[0].error, "More than one member has this name");
+});
+
+test("identical rows stay separate drinks, and re-importing them finds duplicates", async () => {
+  const csv = "Roy,2024-06-01 21:30,pint\nRoy,2024-06-01 21:30,pint";
+  const members = [{ id: 1, name: "Roy" }];
+  const first = await planCsv(csv, database({ members }));
+  const keys = first.rows.map(r => r.idempotency_key);
+  assert.notEqual(keys[0], keys[1]);
+  
+  const again = await planCsv(csv, database({ members, importedKeys: keys }));
+  assert.deepEqual(again.rows.map(r => r.idempotency_key), keys);
+  assert.deepEqual(again.rows.map(r => r.status), ["duplicate", "duplicate"]);
+});
+
+test("empty and oversized files are refused", () => {
+  assert.throws(() => parseTallyImport("\n\n"), /empty/);
+  const rows = Array.from({ length: 2001 }, () => "Roy,2024-06-01 21:30,pint").join("\n");
+  assert.throws(() => parseTallyImport(rows), /limited to 2000 rows/);
+});